@@ -8,6 +8,7 @@ import { listCommand } from '../src/commands/list.js';
 import { searchCommand } from '../src/commands/search.js';
 import { callCommand } from '../src/commands/call.js';
 import { walletCommand } from '../src/commands/wallet.js';
+import { spendCommand } from '../src/commands/spend.js';
 import chalk from 'chalk';
 
 // Global error handler
@@ -35,6 +36,9 @@ program
   .option('--server-url <url>', 'Custom server URL', 'https://x402-api.onrender.com')
   .option('--network <network>', 'Network: skale, polygon, mainnet, or testnet')
   .option('--budget <amount>', 'Max USDC budget per session', '1.00')
+  .option('--watch', 'After generating a wallet, wait until the first USDC deposit arrives')
+  .option('--key-storage <backend>', 'Where to keep the agent key: keychain (Linux Secret Service), file (obfuscated, not encrypted) or config (plaintext)')
+  .option('--env-file', 'Keep all settings in the install dir .env; the client config only points at the MCP launcher')
   .action(initCommand);
 
 program
@@ -70,21 +74,55 @@ program
 
 program
   .command('call <endpoint>')
-  .description('Call a marketplace endpoint with automatic x402 payment')
+  .description('Call a marketplace endpoint, or the full URL of any x402 API, with automatic payment')
   .option('--param <key=value>', 'Add parameter (can be used multiple times)', (value, previous) => {
     return previous ? [...previous, value] : [value];
   }, [])
   .option('--key <privateKey>', 'Private key for auto-payment. ⚠️  WARNING: Using --key on CLI exposes your key in shell history. Prefer setting X402_PRIVATE_KEY environment variable instead.')
+  .option('--wallet <name>', 'Pay with a named wallet profile (see `wallet list`) instead of the active one')
+  .option('--network <network>', 'Allowed payment network(s): base, skale, polygon (comma-separated). Refuses to pay on any other chain')
+  .option('--testnet', 'Pay with test USDC on Base Sepolia (refuses mainnet payments)')
+  .option('--ignore-budget', 'Pay even if the call exceeds the per-call, daily or session budget')
+  .option('--max-price <amount>', 'Refuse to pay more than this many USDC per call (default: maxPrice in ~/.x402-bazaar/config.json, else 1.00)')
+  .option('--allow-unverified', 'Pay even if the catalog cannot verify the price and recipients (endpoint not listed, catalog unreachable)')
+  .option('--dry-run', 'Parse the 402, compute and simulate the payment (balance + gas), but never broadcast')
+  .option('--fallback', 'If the facilitator fails, pay with a direct on-chain transfer when the wallet has gas (default: facilitatorFallback in ~/.x402-bazaar/config.json, else on)')
+  .option('--no-fallback', 'Never fall back to a direct transfer when the facilitator fails')
+  .option('--resume', 'Finish a split payment whose platform transfer failed: send only the missing share and retry')
+  .option('-y, --yes', 'Skip the payment confirmation prompt (prices above --max-price still ask)')
   .option('--server-url <url>', 'Server URL', 'https://x402-api.onrender.com')
   .action(callCommand);
 
 program
-  .command('wallet')
-  .description('Check USDC wallet balance or generate a new wallet')
-  .option('--address <address>', 'Ethereum address to check')
+  .command('wallet [action] [name]')
+  .description('Check USDC wallet balance or generate a new wallet; actions: list, use <name>, recover, migrate, send, sweep, history, watch')
+  .option('--address <address>', 'Ethereum address to check (default: your local wallet)')
   .option('--setup', 'Generate a new wallet for auto-payment')
+  .option('--name <name>', 'Wallet profile name for --setup and recover (default: "default")')
+  .option('--index <n>', 'Account index to derive from the recovery phrase (--setup, recover; default 0)')
+  .option('--wallet <name>', 'Use a named wallet profile instead of the active one')
+  .option('--testnet', 'Show test networks (Base Sepolia) instead of mainnets; --setup funds on Base Sepolia')
+  .option('--json', 'Print balances (or history) as JSON')
+  .option('--to <address|name>', 'send/sweep: recipient address or wallet name')
+  .option('--amount <usdc>', 'send: amount of USDC to send; watch: minimum USDC to wait for')
+  .option('--chain <network>', 'send/sweep/watch: chain to use (default: base); --setup/recover: network to fund; history: only this chain; --address: network of the QR code')
+  .option('--since <date>', 'history: start date (YYYY-MM-DD) or relative window (default: 7d)')
+  .option('--limit <n>', 'history: show at most this many transfers (default: 50)')
+  .option('--timeout <minutes>', 'watch: give up after this many minutes (default: 15)')
+  .option('--interval <seconds>', 'watch: seconds between balance checks (default: 10)')
+  .option('--no-gasless', 'send/sweep: use a regular transfer even where a facilitator could pay the gas')
+  .option('-y, --yes', 'send/sweep: skip the confirmation prompt')
   .action(walletCommand);
 
+program
+  .command('spend')
+  .description('Report USDC spent by `call` (by day, endpoint, chain and payment mode)')
+  .option('--format <format>', 'Output format: table, json, or csv', 'table')
+  .option('--since <date>', 'Start date (YYYY-MM-DD) or relative window (e.g. 30d)')
+  .option('--until <date>', 'End date, inclusive (YYYY-MM-DD)')
+  .option('--month <month>', 'Calendar month (YYYY-MM)')
+  .action(spendCommand);
+
 // Default: show help if no command given
 if (process.argv.length <= 2) {
   console.log('');
@@ -100,6 +138,7 @@ if (process.argv.length <= 2) {
   console.log(chalk.cyan('    npx x402-bazaar search <query>') + chalk.dim('  Find services by keyword'));
   console.log(chalk.cyan('    npx x402-bazaar call <endpoint>') + chalk.dim(' Call API with auto-payment'));
   console.log(chalk.cyan('    npx x402-bazaar wallet') + chalk.dim('        Check balance / setup wallet'));
+  console.log(chalk.cyan('    npx x402-bazaar spend') + chalk.dim('         Report USDC spent by your agents'));
   console.log('');
   console.log(chalk.dim('  Run any command with --help for detailed options'));
   console.log('');
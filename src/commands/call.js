@@ -3,6 +3,60 @@ import chalk from "chalk";
 import fs from "fs";
 import path from "path";
 import { log } from "../utils/logger.js";
+import {
+  isInteractive,
+  promptOrDefault,
+  askWalletPassword,
+} from "../utils/prompt.js";
+import { loadUserConfig } from "../lib/user-config.js";
+import {
+  getChain,
+  findChain,
+  resolveChainOption,
+  explorerTxUrl,
+} from "../lib/chains.js";
+import {
+  recordPayment,
+  readLedger,
+  resolveSession,
+  getBudgetLimits,
+  checkBudget,
+} from "../lib/ledger.js";
+import {
+  DEFAULT_WALLET,
+  getActiveWalletName,
+  getWalletPath,
+  readWalletFile,
+  isEncryptedWallet,
+  getWalletAddress,
+  unlockWallet,
+} from "../lib/wallet-store.js";
+import { loadPolicy, checkPolicy, getPolicyPath } from "../lib/policy.js";
+import {
+  loadCatalog,
+  findCatalogEntry,
+  compareWithCatalog,
+} from "../lib/catalog.js";
+import {
+  PAYMENT_INVALID,
+  FACILITATOR_UNAVAILABLE,
+  settlementOutcomeUnknown,
+} from "../lib/facilitator.js";
+import {
+  getPendingSplitsPath,
+  readPendingSplits,
+  findPendingSplit,
+  savePendingSplit,
+  recordPlatformAttempt,
+  removePendingSplit,
+} from "../lib/pending-splits.js";
+import {
+  parsePaymentRequirements,
+  selectPaymentRequirement,
+  createExactPayment,
+  encodePaymentHeader,
+  decodePaymentResponse,
+} from "../lib/x402.js";
 
 /**
  * Parse an array of "key=value" strings into a params object.
@@ -33,9 +87,21 @@ export function parseParams(paramArray) {
   return params;
 }
 
+/**
+ * Whether `endpoint` is a full http(s) URL (a third-party x402 API) rather than a
+ * path on the Bazaar server.
+ *
+ * @param {string} endpoint
+ * @returns {boolean}
+ */
+export function isAbsoluteUrl(endpoint) {
+  return /^https?:\/\//i.test(endpoint);
+}
+
 /**
  * Build a full URL from a base URL, an endpoint path, and optional query params.
- * Ensures the endpoint always starts with `/`.
+ * Ensures the endpoint always starts with `/`. A full http(s) URL endpoint is used
+ * as is, ignoring the base URL.
  *
  * @param {string} baseUrl
  * @param {string} endpoint
@@ -43,6 +109,12 @@ export function parseParams(paramArray) {
  * @returns {string}
  */
 export function constructUrl(baseUrl, endpoint, params) {
+  if (isAbsoluteUrl(endpoint)) {
+    const url = new URL(endpoint);
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+    return url.toString();
+  }
+
   const normalizedEndpoint = endpoint.startsWith("/")
     ? endpoint
     : `/${endpoint}`;
@@ -56,6 +128,169 @@ export function constructUrl(baseUrl, endpoint, params) {
   return url;
 }
 
+/**
+ * Read the network a 402 response asks to be paid on.
+ * Looks at `payment_details.chain`, `payment_details.network`, then the same
+ * fields at the top level of the body. Returns null when none is declared.
+ *
+ * @param {object|null|undefined} paymentInfo - Parsed 402 JSON body
+ * @returns {string|null} raw declared value (e.g. "skale", "base-mainnet", "137")
+ */
+export function detectPaymentNetwork(paymentInfo) {
+  const details = paymentInfo?.payment_details;
+  const raw =
+    details?.chain ??
+    details?.network ??
+    paymentInfo?.chain ??
+    paymentInfo?.network ??
+    null;
+  return raw == null || raw === "" ? null : String(raw);
+}
+
+/**
+ * Parse the `--network` option into a list of registry chain keys.
+ * Accepts a single network or a comma-separated list ("skale,base").
+ *
+ * @param {string|undefined} value
+ * @returns {string[]|null} null when the option was not given
+ * @throws {Error} on an unknown network name
+ */
+export function parseNetworkList(value) {
+  if (!value) return null;
+  return value
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean)
+    .map((n) => getChain(n).key);
+}
+
+/**
+ * Select the chain to pay on for a 402 response.
+ *
+ * - The chain declared by the server wins; an unknown chain is refused.
+ * - fee_splitter (facilitator) mode settles on Polygon unless the server declares
+ *   another chain whose USDC supports EIP-3009.
+ * - When nothing is declared, the first `--network` choice is used, else Base mainnet
+ *   (Base Sepolia with `--testnet`).
+ * - A declared chain outside the user's `--network` list is refused.
+ * - With `--testnet`, any mainnet chain is refused so no real funds can move.
+ *
+ * @param {object} paymentInfo - Parsed 402 JSON body
+ * @param {object} [opts]
+ * @param {boolean} [opts.facilitator=false] - true in fee_splitter mode
+ * @param {string[]|null} [opts.allowed=null] - keys from parseNetworkList()
+ * @param {boolean} [opts.testnet=false] - --testnet flag
+ * @returns {object} chain registry entry
+ * @throws {Error} when the chain is unsupported or conflicts with `allowed`
+ */
+export function resolvePaymentChain(
+  paymentInfo,
+  { facilitator = false, allowed = null, testnet = false } = {},
+) {
+  const declared =
+    detectPaymentNetwork(paymentInfo) || (facilitator ? "polygon" : null);
+
+  let chain;
+  if (declared) {
+    chain = findChain(declared);
+    if (!chain) {
+      throw new Error(
+        `Service requires payment on an unsupported network: ${declared}`,
+      );
+    }
+  } else {
+    chain = resolveChainOption({
+      network: allowed ? allowed[0] : "base",
+      testnet,
+    });
+  }
+
+  if (testnet && !chain.testnet) {
+    throw new Error(
+      `Service requires payment on ${chain.label} (mainnet), but --testnet only pays on test networks`,
+    );
+  }
+
+  if (facilitator && !chain.eip3009) {
+    throw new Error(
+      `Facilitator payments need USDC with EIP-3009 support, which ${chain.label} does not have`,
+    );
+  }
+
+  if (allowed && !allowed.includes(chain.key)) {
+    throw new Error(
+      `Service requires payment on ${chain.label}, but --network allows only: ${allowed.join(", ")}`,
+    );
+  }
+
+  return chain;
+}
+
+/** Price ceiling (USDC) used when neither --max-price nor "maxPrice" in the user config is set. */
+export const DEFAULT_MAX_PRICE = 1.0;
+
+/**
+ * Resolve the per-call price ceiling: --max-price > "maxPrice" in user config > DEFAULT_MAX_PRICE.
+ *
+ * @param {string|number|undefined} flagValue - --max-price option
+ * @param {object} [userConfig] - from loadUserConfig()
+ * @returns {number}
+ * @throws {Error} if the value is not a positive number
+ */
+export function resolveMaxPrice(flagValue, userConfig = {}) {
+  const raw = flagValue ?? userConfig.maxPrice ?? DEFAULT_MAX_PRICE;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(
+      `Invalid max price: ${raw} (expected a positive USDC amount)`,
+    );
+  }
+  return value;
+}
+
+/**
+ * Whether a failed facilitator payment may fall back to a direct on-chain transfer:
+ * --fallback / --no-fallback > "facilitatorFallback" in user config > on.
+ *
+ * @param {boolean|undefined} flagValue - --fallback / --no-fallback option
+ * @param {object} [userConfig] - from loadUserConfig()
+ * @returns {boolean}
+ */
+export function resolveFacilitatorFallback(flagValue, userConfig = {}) {
+  if (typeof flagValue === "boolean") return flagValue;
+  return userConfig.facilitatorFallback !== false;
+}
+
+/**
+ * True when `price` is strictly above the ceiling (compared in micro-USDC).
+ * @param {number|string} price
+ * @param {number} maxPrice
+ * @returns {boolean}
+ */
+export function isAboveMaxPrice(price, maxPrice) {
+  return Math.round(Number(price) * 1e6) > Math.round(maxPrice * 1e6);
+}
+
+/** Timeout of each HTTP request to the API (first GET and paid retry). */
+export const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch options for the retry that carries the payment proof. The retry gets its own
+ * timeout: the first request's signal keeps running through the policy checks, the
+ * password prompt and the payment, and may expire before the paid request is sent.
+ *
+ * @param {object} fetchOptions - options of the first request
+ * @param {object} headers - payment headers to add
+ * @returns {object}
+ */
+export function buildRetryOptions(fetchOptions, headers) {
+  return {
+    ...fetchOptions,
+    headers: { ...fetchOptions.headers, ...headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  };
+}
+
 export async function callCommand(endpoint, options) {
   if (!endpoint || endpoint.trim().length === 0) {
     log.error("Endpoint is required");
@@ -69,9 +304,22 @@ export async function callCommand(endpoint, options) {
   }
 
   const serverUrl = options.serverUrl || "https://x402-api.onrender.com";
-  const normalizedEndpoint = endpoint.startsWith("/")
-    ? endpoint
-    : `/${endpoint}`;
+  let normalizedEndpoint;
+  let endpointPath;
+  try {
+    normalizedEndpoint = isAbsoluteUrl(endpoint)
+      ? new URL(endpoint).toString()
+      : endpoint.startsWith("/")
+        ? endpoint
+        : `/${endpoint}`;
+    endpointPath = isAbsoluteUrl(endpoint)
+      ? new URL(endpoint).pathname
+      : normalizedEndpoint;
+  } catch {
+    log.error(`Invalid URL: ${endpoint}`);
+    console.log("");
+    process.exit(1);
+  }
 
   log.banner();
   log.info(`Calling endpoint: ${chalk.bold(normalizedEndpoint)}`);
@@ -89,6 +337,23 @@ export async function callCommand(endpoint, options) {
   }
   const params = parseParams(rawParamArray);
 
+  let allowedNetworks = null;
+  let maxPrice;
+  let facilitatorFallback;
+  try {
+    allowedNetworks = parseNetworkList(options.network);
+    const userConfig = loadUserConfig();
+    maxPrice = resolveMaxPrice(options.maxPrice, userConfig);
+    facilitatorFallback = resolveFacilitatorFallback(
+      options.fallback,
+      userConfig,
+    );
+  } catch (err) {
+    log.error(err.message);
+    console.log("");
+    process.exit(1);
+  }
+
   if (Object.keys(params).length > 0) {
     log.info("Parameters:");
     for (const [k, v] of Object.entries(params)) {
@@ -97,23 +362,73 @@ export async function callCommand(endpoint, options) {
     console.log("");
   }
 
-  // Resolve private key for auto-payment
-  const privateKey = resolvePrivateKey(options);
-  const autoPay = !!privateKey;
+  // Resolve the paying wallet (encrypted keystores stay locked until a payment is due)
+  let wallet;
+  try {
+    wallet = resolveWallet(options);
+  } catch (err) {
+    log.error(err.message);
+    console.log("");
+    process.exit(1);
+  }
+  const autoPay = !!wallet;
+  let privateKey = wallet ? wallet.privateKey : null;
 
   if (autoPay) {
     log.info(`Auto-payment: ${chalk.hex("#34D399").bold("enabled")}`);
     try {
-      const { getAddressFromKey } = await import("../lib/payment.js");
-      const address = getAddressFromKey(privateKey);
-      log.dim(`  Wallet: ${address.slice(0, 6)}...${address.slice(-4)}`);
+      let address = wallet.address;
+      if (!address) {
+        const { getAddressFromKey } = await import("../lib/payment.js");
+        address = getAddressFromKey(privateKey);
+      }
+      log.dim(
+        `  Wallet: ${address.slice(0, 6)}...${address.slice(-4)}` +
+          (wallet.name ? ` (${wallet.name})` : ""),
+      );
     } catch {
       /* ignore display errors */
     }
+    if (wallet.plaintextFile) {
+      log.warn(
+        `Wallet file ${wallet.plaintextFile} is not encrypted — run \`npx x402-bazaar wallet migrate${wallet.name && wallet.name !== DEFAULT_WALLET ? ` --wallet ${wallet.name}` : ""}\``,
+      );
+    }
     console.log("");
   }
 
   const finalUrl = constructUrl(serverUrl, normalizedEndpoint, params);
+  // Policy patterns: bare paths cover the configured server, other APIs need their origin
+  const policyEndpoint = isAbsoluteUrl(endpoint)
+    ? `${new URL(finalUrl).origin}${endpointPath}`
+    : endpointPath;
+
+  // An earlier split paid the provider but not the platform: finish it, never pay it twice
+  const pendingSplit = findPendingSplit(finalUrl);
+  if (options.resume) {
+    await resumeSplitPayment(pendingSplit, {
+      wallet,
+      privateKey,
+      options,
+      maxPrice,
+      serverUrl,
+      policyEndpoint,
+      url: finalUrl,
+    });
+    return;
+  }
+  if (pendingSplit && autoPay && !options.dryRun) {
+    log.error(
+      `An earlier split payment for this URL is unfinished: the provider was paid (${pendingSplit.txHashProvider}), the platform was not.`,
+    );
+    log.dim(
+      "  Finish it with --resume (sends only the missing platform share):",
+    );
+    log.dim(`    npx x402-bazaar call "${finalUrl}" --resume`);
+    log.dim(`  Pending splits: ${getPendingSplitsPath()}`);
+    console.log("");
+    process.exit(1);
+  }
 
   const spinner = ora(`GET ${finalUrl}...`).start();
 
@@ -121,7 +436,7 @@ export async function callCommand(endpoint, options) {
     const fetchOptions = {
       method: "GET",
       headers: { "Content-Type": "application/json" },
-      signal: AbortSignal.timeout(30000),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
     };
 
     const res = await fetch(finalUrl, fetchOptions);
@@ -141,6 +456,27 @@ export async function callCommand(endpoint, options) {
         process.exit(1);
       }
 
+      // Standard x402 (any compliant API): requirements in `accepts`, paid with X-PAYMENT.
+      // Bazaar 402 bodies carry payment_details and keep the tx-hash proofs below.
+      const accepts = paymentInfo.payment_details
+        ? null
+        : parsePaymentRequirements(paymentInfo);
+      if (accepts) {
+        await handleStandardPayment(accepts, {
+          wallet,
+          privateKey,
+          options,
+          maxPrice,
+          allowedNetworks,
+          serverUrl,
+          endpointPath,
+          policyEndpoint,
+          url: finalUrl,
+          fetchOptions,
+        });
+        return;
+      }
+
       const price = paymentInfo.payment_details?.amount || paymentInfo.price;
       const payTo =
         paymentInfo.payment_details?.recipient ||
@@ -153,20 +489,69 @@ export async function callCommand(endpoint, options) {
       const serverSplit = paymentInfo.payment_details?.split || null;
       const isSplitMode = !!providerWallet;
 
-      // Facilitator mode (Polygon Phase 2): payment_mode === 'fee_splitter'
+      // Fee splitter mode (Polygon Phase 2): payment_mode === 'fee_splitter'
       const paymentMode = paymentInfo.payment_details?.payment_mode || null;
       const facilitatorUrl =
         paymentInfo.payment_details?.facilitator ||
         paymentInfo.facilitator ||
         null;
-      const isFacilitatorMode =
+      const isFeeSplitterMode =
         paymentMode === "fee_splitter" && !!facilitatorUrl;
 
+      // Payment chain: declared by the server, constrained by --network
+      let paymentChain = null;
+      let chainError = null;
+      try {
+        paymentChain = resolvePaymentChain(paymentInfo, {
+          facilitator: isFeeSplitterMode,
+          allowed: allowedNetworks,
+          testnet: !!options.testnet,
+        });
+      } catch (err) {
+        chainError = err;
+      }
+
+      // Facilitator mode: sign an EIP-3009 authorization and let the facilitator settle it
+      // (no gas). Always used for fee_splitter; for a single-recipient payment whenever the
+      // 402 offers a facilitator and USDC on the payment chain supports EIP-3009 (Base, Polygon).
+      const isFacilitatorMode =
+        isFeeSplitterMode ||
+        (!!facilitatorUrl && !isSplitMode && !!paymentChain?.eip3009);
+
+      // Every address the payment would send funds to, checked against policy.json
+      const policyPayment = {
+        endpoint: policyEndpoint,
+        serverUrl,
+        price,
+        recipients: isFacilitatorMode
+          ? [{ role: "facilitator recipient", address: payTo }]
+          : isSplitMode
+            ? [
+                { role: "provider wallet", address: providerWallet },
+                { role: "platform wallet", address: payTo },
+              ]
+            : [{ role: "recipient", address: payTo }],
+      };
+      // The declared service ID is only cross-checked against the listing of this endpoint
+      const catalogPayment = {
+        endpoint: endpointPath,
+        serviceId:
+          paymentInfo.payment_details?.service_id ||
+          paymentInfo.service_id ||
+          null,
+        price,
+        chain: paymentChain,
+        providerWallet,
+        payTo,
+      };
+
       if (price) {
         log.info(`Price: ${chalk.cyan.bold(`${price} USDC`)}`);
       }
       if (isFacilitatorMode) {
-        log.dim(`  Mode: fee_splitter via Polygon facilitator (gas-free)`);
+        log.dim(
+          `  Mode: ${isFeeSplitterMode ? "fee_splitter" : "single transfer"} via facilitator (gas-free)`,
+        );
         log.dim(`  Facilitator: ${facilitatorUrl}`);
         log.dim(`  Recipient: ${payTo}`);
       } else if (isSplitMode) {
@@ -176,18 +561,90 @@ export async function callCommand(endpoint, options) {
       } else if (payTo) {
         log.dim(`  Pay to: ${payTo}`);
       }
+      if (paymentChain) {
+        log.dim(
+          `  Network: ${paymentChain.label} (chain ID ${paymentChain.chainId})` +
+            (paymentChain.testnet ? " — testnet" : ""),
+        );
+      }
       console.log("");
 
+      // Dry run: work out and simulate the payment, never broadcast
+      if (options.dryRun && price && payTo) {
+        if (chainError) {
+          log.error(chainError.message);
+          console.log("");
+          process.exit(1);
+        }
+        if (wallet && !privateKey)
+          privateKey = await unlockPayingWallet(wallet);
+        const catalogCheck = await verifyWithCatalog(serverUrl, catalogPayment);
+        await handleDryRun(privateKey, {
+          mode: isFacilitatorMode
+            ? "facilitator"
+            : isSplitMode
+              ? "split"
+              : "legacy",
+          chain: paymentChain,
+          price,
+          payTo,
+          providerWallet,
+          serverSplit,
+          feeSplitter: isFeeSplitterMode,
+          maxPrice,
+          policyViolations: evaluatePolicy(
+            withListedService(policyPayment, catalogCheck),
+          ).violations,
+          catalogCheck,
+          allowUnverified: !!options.allowUnverified,
+        });
+        return;
+      }
+
       // Auto-pay if key is available
       if (autoPay && price && payTo) {
+        if (chainError) {
+          log.error(chainError.message);
+          log.dim("  No payment was sent.");
+          console.log("");
+          process.exit(1);
+        }
+
+        const catalogCheck = await verifyWithCatalog(serverUrl, catalogPayment);
+        enforcePolicy(withListedService(policyPayment, catalogCheck));
+        enforceCatalog(catalogCheck, {
+          allowUnverified: !!options.allowUnverified,
+        });
+        enforceBudget(price, options);
+        if (!privateKey) privateKey = await unlockPayingWallet(wallet);
+        await ensureFundsOnChain(privateKey, paymentChain, price);
+        await confirmPayment({
+          price,
+          maxPrice,
+          chain: paymentChain,
+          mode: isFacilitatorMode
+            ? "facilitator"
+            : isSplitMode
+              ? "split"
+              : "legacy",
+          recipients: isFacilitatorMode
+            ? [isFeeSplitterMode ? `${payTo} (fee splitter)` : payTo]
+            : isSplitMode
+              ? [`${providerWallet} (provider, 95%)`, `${payTo} (platform, 5%)`]
+              : [payTo],
+          yes: !!options.yes,
+        });
+
         if (isFacilitatorMode) {
           await handleFacilitatorPayment(
             privateKey,
             price,
             facilitatorUrl,
-            paymentInfo.payment_details,
+            { ...paymentInfo.payment_details, amount: price, recipient: payTo },
+            paymentChain,
             finalUrl,
             fetchOptions,
+            facilitatorFallback,
           );
         } else if (isSplitMode) {
           await handleSplitAutoPayment(
@@ -196,6 +653,7 @@ export async function callCommand(endpoint, options) {
             providerWallet,
             payTo,
             serverSplit,
+            paymentChain.key,
             finalUrl,
             fetchOptions,
           );
@@ -204,6 +662,7 @@ export async function callCommand(endpoint, options) {
             privateKey,
             payTo,
             price,
+            paymentChain.key,
             finalUrl,
             fetchOptions,
           );
@@ -212,25 +671,7 @@ export async function callCommand(endpoint, options) {
       }
 
       // No auto-pay — show instructions
-      log.separator();
-      console.log("");
-      log.info("To pay automatically, provide your private key:");
-      console.log("");
-      log.dim("  Option 1: Environment variable (recommended)");
-      log.dim("    export X402_PRIVATE_KEY=0xYourPrivateKey");
-      log.dim("    npx x402-bazaar call /api/weather --param city=Paris");
-      console.log("");
-      log.dim("  Option 2: Generate a wallet file");
-      log.dim("    npx x402-bazaar wallet --setup");
-      console.log("");
-      log.dim("  Option 3: --key flag (reads from wallet.json file)");
-      log.dim(
-        "    npx x402-bazaar call /api/weather --param city=Paris --key ~/.x402-bazaar/wallet.json",
-      );
-      console.log("");
-      log.dim("  Option 4: Use the MCP server (via Claude/Cursor)");
-      log.dim("    npx x402-bazaar init");
-      console.log("");
+      printPaymentInstructions();
       return;
     }
 
@@ -274,11 +715,44 @@ export async function callCommand(endpoint, options) {
 }
 
 /**
- * Resolve private key from: --key flag > X402_PRIVATE_KEY env > ~/.x402-bazaar/wallet.json
+ * Explain how to configure a wallet so `call` can pay automatically.
+ */
+function printPaymentInstructions() {
+  log.separator();
+  console.log("");
+  log.info("To pay automatically, provide your private key:");
+  console.log("");
+  log.dim("  Option 1: Environment variable (recommended)");
+  log.dim("    export X402_PRIVATE_KEY=0xYourPrivateKey");
+  log.dim("    npx x402-bazaar call /api/weather --param city=Paris");
+  console.log("");
+  log.dim("  Option 2: Generate a wallet file");
+  log.dim("    npx x402-bazaar wallet --setup");
+  console.log("");
+  log.dim("  Option 3: --key flag (hex key or wallet file)");
+  log.dim(
+    "    npx x402-bazaar call /api/weather --param city=Paris --key ~/.x402-bazaar/wallet.json",
+  );
+  console.log("");
+  log.dim("  Option 4: Use the MCP server (via Claude/Cursor)");
+  log.dim("    npx x402-bazaar init");
+  console.log("");
+}
+
+/**
+ * Resolve the paying wallet from: --key flag (hex key or wallet file) > --wallet profile
+ * > X402_PRIVATE_KEY env > active wallet profile (`wallet use`, default ~/.x402-bazaar/wallet.json).
+ * Encrypted wallet files are returned locked (privateKey null); see unlockPayingWallet().
+ *
+ * @returns {{ privateKey: string|null, address: string|null, keystore: object|null, file: string|null, plaintextFile: string|null, name: string|null }|null}
+ * @throws {Error} if a wallet file cannot be read or a named profile does not exist
  */
-function resolvePrivateKey(options) {
+function resolveWallet(options) {
   if (options.key) {
     const raw = options.key.trim();
+    if (fs.existsSync(raw) && fs.statSync(raw).isFile()) {
+      return walletFromFile(path.resolve(raw));
+    }
     // Warn if a raw private key is passed directly as CLI argument (visible in ps aux, shell history)
     const hex = raw.startsWith("0x") ? raw.slice(2) : raw;
     if (/^[0-9a-fA-F]{64}$/.test(hex)) {
@@ -295,168 +769,968 @@ function resolvePrivateKey(options) {
       );
       console.log("");
     }
-    return normalizeKey(options.key);
+    return walletFromKey(options.key);
+  }
+
+  if (options.wallet) {
+    const walletPath = getWalletPath(options.wallet);
+    if (!fs.existsSync(walletPath)) {
+      throw new Error(
+        `No wallet named "${options.wallet}" (see: npx x402-bazaar wallet list)`,
+      );
+    }
+    return walletFromFile(walletPath, options.wallet);
   }
 
   if (process.env.X402_PRIVATE_KEY) {
-    return normalizeKey(process.env.X402_PRIVATE_KEY);
+    return walletFromKey(process.env.X402_PRIVATE_KEY);
   }
 
-  // Try local wallet file
-  try {
-    const home = process.env.HOME || process.env.USERPROFILE;
-    const walletPath = path.join(home, ".x402-bazaar", "wallet.json");
-    if (fs.existsSync(walletPath)) {
-      const data = JSON.parse(fs.readFileSync(walletPath, "utf-8"));
-      if (data.privateKey) {
-        return normalizeKey(data.privateKey);
-      }
-    }
-  } catch {
-    /* ignore */
+  // Try the active wallet profile
+  const active = getActiveWalletName();
+  const walletPath = getWalletPath(active);
+  if (fs.existsSync(walletPath)) return walletFromFile(walletPath, active);
+  if (active !== DEFAULT_WALLET) {
+    throw new Error(
+      `Active wallet "${active}" not found at ${walletPath} (see: npx x402-bazaar wallet list)`,
+    );
   }
 
   return null;
 }
 
-function normalizeKey(key) {
-  key = key.trim();
-  if (!key.startsWith("0x")) key = "0x" + key;
-  if (!/^0x[a-fA-F0-9]{64}$/.test(key)) return null;
-  return key;
+function walletFromKey(key) {
+  const privateKey = normalizeKey(key);
+  if (!privateKey) return null;
+  return {
+    privateKey,
+    address: null,
+    keystore: null,
+    file: null,
+    plaintextFile: null,
+    name: null,
+  };
+}
+
+function walletFromFile(file, name = null) {
+  const data = readWalletFile(file);
+  if (isEncryptedWallet(data)) {
+    return {
+      privateKey: null,
+      address: getWalletAddress(data),
+      keystore: data,
+      file,
+      plaintextFile: null,
+      name,
+    };
+  }
+  if (!data || !data.privateKey) return null;
+  const wallet = walletFromKey(data.privateKey);
+  if (wallet) Object.assign(wallet, { plaintextFile: file, name });
+  return wallet;
 }
 
 /**
- * Handle Polygon facilitator payment (EIP-3009 gas-free, fee_splitter mode) and retry.
- *
- * Flow:
- *   1. Sign EIP-3009 TransferWithAuthorization off-chain ($0 gas for user)
- *   2. POST to facilitator /settle — facilitator executes on-chain
- *   3. Retry the API call with the txHash as proof (X-Payment-TxHash header)
- *
- * Falls back to standard sendUsdcPayment on the same recipient if the facilitator fails.
- *
- * @param {string} privateKey      - Agent private key (hex, with 0x)
- * @param {number} price           - Full price in USDC
- * @param {string} facilitatorUrl  - Facilitator base URL
- * @param {object} details         - payment_details from the 402 response
- * @param {string} url             - API endpoint URL
- * @param {object} fetchOptions    - Fetch options for the retry request
+ * Decrypt an encrypted wallet file with X402_WALLET_PASSWORD or a password prompt.
+ * Exits on a wrong or missing password.
+ * @param {object} wallet - from resolveWallet()
+ * @returns {Promise<string>} private key
  */
-async function handleFacilitatorPayment(
-  privateKey,
-  price,
-  facilitatorUrl,
-  details,
-  url,
-  fetchOptions,
-) {
-  const spinner = ora(
-    `Signing EIP-3009 permit and settling via Polygon facilitator (gas-free)...`,
-  ).start();
-
-  let txHash;
+async function unlockPayingWallet(wallet) {
+  if (wallet.privateKey) return wallet.privateKey;
 
+  let password;
   try {
-    const { sendViaFacilitator } = await import("../lib/payment.js");
-    txHash = await sendViaFacilitator(privateKey, facilitatorUrl, details, url);
-
-    spinner.succeed(
-      `Facilitator settlement confirmed: ${chalk.hex("#34D399").bold(`${price} USDC`)} ` +
-        `(gas-free via Polygon facilitator)`,
-    );
-    log.dim(`  Tx: https://polygonscan.com/tx/${txHash}`);
+    password = await askWalletPassword({
+      message: `Password for ${wallet.file}:`,
+    });
+  } catch (err) {
+    log.error(err.message);
+    log.dim("  No payment was sent.");
     console.log("");
-  } catch (facilitatorErr) {
-    spinner.warn(
-      `Facilitator payment failed — falling back to direct transfer`,
-    );
-    log.dim(`  Reason: ${facilitatorErr.message}`);
+    process.exit(1);
+  }
+
+  const spinner = ora("Unlocking wallet...").start();
+  try {
+    const privateKey = await unlockWallet(wallet.keystore, password);
+    spinner.stop();
+    return privateKey;
+  } catch (err) {
+    spinner.fail("Could not unlock wallet");
+    log.error(err.message);
+    log.dim("  No payment was sent.");
     console.log("");
+    process.exit(1);
+  }
+}
+
+/**
+ * Confirm a payment before any funds move.
+ *
+ * - Non-interactive: pays up to the ceiling, refuses above it.
+ * - Interactive: shows price, recipient(s), chain and mode and asks for confirmation
+ *   (skipped with --yes unless the price is above the ceiling).
+ *
+ * @param {object} p
+ * @param {number|string} p.price
+ * @param {number} p.maxPrice - from resolveMaxPrice()
+ * @param {object} p.chain - chain registry entry
+ * @param {string} p.mode - 'legacy' | 'split' | 'facilitator' | 'x402'
+ * @param {string[]} p.recipients - display strings
+ * @param {boolean} p.yes - --yes flag
+ */
+async function confirmPayment({ price, maxPrice, chain, mode, recipients, yes }) {
+  const aboveCeiling = isAboveMaxPrice(price, maxPrice);
 
-    // Fallback: direct USDC transfer on Polygon (standard sendUsdcPayment on Base
-    // is intentionally NOT used here; we log a clear message and exit so the user
-    // knows they need MATIC gas or can retry manually)
+  if (!isInteractive() && aboveCeiling) {
     log.error(
-      "Fallback direct transfer not available for Polygon in facilitator mode.",
+      `Payment refused: price ${price} USDC is above the max price of ${maxPrice} USDC`,
     );
-    log.dim("  Ensure POLYGON_FACILITATOR_URL is reachable or retry later.");
     log.dim(
-      "  You can also send USDC manually and provide --key with sufficient MATIC for gas.",
+      "  Raise it with --max-price <amount> or \"maxPrice\" in ~/.x402-bazaar/config.json.",
     );
+    log.dim("  No payment was sent.");
     console.log("");
     process.exit(1);
   }
 
-  // Retry with facilitator payment proof
-  const retrySpinner = ora(
-    "Retrying with facilitator payment proof...",
-  ).start();
+  if (!isInteractive() || (yes && !aboveCeiling)) return;
 
-  const retryRes = await fetch(url, {
-    ...fetchOptions,
-    headers: {
-      ...fetchOptions.headers,
-      "X-Payment-TxHash": txHash,
-      "X-Payment-Chain": "polygon",
+  log.separator();
+  log.info(chalk.bold("Payment summary"));
+  log.dim(`  Price:     ${price} USDC`);
+  for (const [i, r] of recipients.entries()) {
+    log.dim(`  ${i === 0 ? "Recipient:" : "          "} ${r}`);
+  }
+  log.dim(`  Chain:     ${chain.label} (chain ID ${chain.chainId})`);
+  log.dim(`  Mode:      ${mode}`);
+  log.separator();
+  if (aboveCeiling) {
+    log.warn(`Price is above your max price of ${maxPrice} USDC.`);
+  }
+
+  const { confirmed } = await promptOrDefault([
+    {
+      type: "confirm",
+      name: "confirmed",
+      message: `Pay ${price} USDC on ${chain.label}?`,
+      default: !aboveCeiling,
     },
+  ]);
+  console.log("");
+
+  if (!confirmed) {
+    log.info("Payment cancelled. No payment was sent.");
+    console.log("");
+    process.exit(0);
+  }
+}
+
+/**
+ * Check a price against the configured budget caps and the local ledger.
+ * @param {number|string} price
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun=false] - do not start or rotate the session on disk
+ * @returns {{ ok: boolean, violations: object[] }} see checkBudget() in lib/ledger.js
+ */
+function evaluateBudget(price, { dryRun = false } = {}) {
+  const limits = getBudgetLimits();
+  return checkBudget(price, {
+    limits,
+    entries: readLedger(),
+    session: resolveSession({
+      idleMinutes: limits.sessionIdleMinutes,
+      persist: !dryRun,
+    }),
   });
+}
 
-  retrySpinner.stop();
+/**
+ * Human-readable description of a budget violation.
+ * @param {{ limit: string, cap: number, spent: number, amount: number }} v
+ * @returns {string}
+ */
+function describeBudgetViolation(v) {
+  const labels = { perDay: "daily", perSession: "session" };
+  return v.limit === "perCall"
+    ? `per-call cap ${v.cap} USDC (this call ${v.amount} USDC)`
+    : `${labels[v.limit]} cap ${v.cap} USDC (spent ${v.spent.toFixed(6)}, this call ${v.amount} USDC)`;
+}
 
-  if (!retryRes.ok) {
+/**
+ * Refuse the payment when it would exceed a per-call, per-day or per-session cap
+ * from the user config ("budget" in ~/.x402-bazaar/config.json).
+ * `--ignore-budget` overrides the caps for this call (a warning is still shown).
+ *
+ * @param {number|string} price - price in USDC
+ * @param {object} options - command options
+ */
+function enforceBudget(price, options) {
+  let result;
+  try {
+    result = evaluateBudget(price);
+  } catch (err) {
+    log.error(`Could not check spending budget: ${err.message}`);
     console.log("");
-    log.error(`HTTP ${retryRes.status}: ${retryRes.statusText}`);
-    try {
-      const body = await retryRes.text();
-      if (body) console.log(chalk.red(body));
-    } catch {
-      /* ignore */
+    process.exit(1);
+  }
+
+  if (result.ok) return;
+
+  if (options.ignoreBudget) {
+    for (const v of result.violations) {
+      log.warn(
+        `Exceeds ${describeBudgetViolation(v)} — overridden by --ignore-budget`,
+      );
     }
     console.log("");
-    process.exit(1);
+    return;
   }
 
-  await displayResponse(retryRes);
+  for (const v of result.violations) {
+    log.error(`Payment refused: exceeds ${describeBudgetViolation(v)}`);
+  }
+  log.dim("  Caps are set in ~/.x402-bazaar/config.json (\"budget\").");
+  log.dim("  Re-run with --ignore-budget to pay anyway.");
+  log.dim("  No payment was sent.");
+  console.log("");
+  process.exit(1);
 }
 
 /**
- * Handle split native payment (95% to provider, 5% to platform) and retry.
- *
- * On success the retry request carries two separate tx-hash headers:
- *   X-Payment-TxHash-Provider — hash of the 95% transfer to the provider
- *   X-Payment-TxHash-Platform — hash of the 5% transfer to the platform
+ * Check a payment against ~/.x402-bazaar/policy.json (see lib/policy.js).
+ * A policy file that cannot be read refuses the payment rather than ignoring the policy.
  *
- * @param {string}      privateKey    - Agent private key (hex, with 0x)
- * @param {number}      totalPrice    - Full price in USDC
- * @param {string}      providerWallet - Provider wallet address (95% recipient)
- * @param {string}      platformWallet - Platform wallet address (5% recipient)
- * @param {object|null} serverSplit   - Optional split amounts from 402 payment_details.split
- * @param {string}      url           - API endpoint URL
- * @param {object}      fetchOptions  - Fetch options passed to the retry request
+ * @param {object} payment - see checkPolicy()
+ * @returns {{ ok: boolean, violations: { rule: string, message: string }[] }}
  */
-async function handleSplitAutoPayment(
-  privateKey,
-  totalPrice,
+function evaluatePolicy(payment) {
+  try {
+    return checkPolicy(loadPolicy(), payment);
+  } catch (err) {
+    log.error(err.message);
+    log.dim("  Fix or remove the policy file. No payment was sent.");
+    console.log("");
+    process.exit(1);
+  }
+}
+
+/**
+ * Policy input with the service ID of the catalog listing for the requested endpoint.
+ * The ID a 402 declares never reaches the policy: any server could claim an allowed
+ * service, or one with a looser price cap.
+ *
+ * @param {object} payment - see checkPolicy()
+ * @param {{ entry: object|null }} catalogCheck - from verifyWithCatalog()
+ * @returns {object}
+ */
+function withListedService(payment, catalogCheck) {
+  const id = catalogCheck.entry?.id;
+  return { ...payment, serviceId: id != null ? String(id) : null };
+}
+
+/**
+ * Refuse the payment when it breaks the local payment policy: a recipient, endpoint or
+ * service that is not allowed, or a price above the endpoint's cap. Unlike the budget
+ * there is no override flag — the policy guards against spoofed payment details.
+ *
+ * @param {object} payment - see checkPolicy()
+ */
+function enforcePolicy(payment) {
+  const result = evaluatePolicy(payment);
+  if (result.ok) return;
+
+  for (const v of result.violations) {
+    log.error(`Payment refused by policy: ${v.message}`);
+  }
+  log.dim(`  Policy file: ${getPolicyPath()}`);
+  log.dim("  No payment was sent.");
+  console.log("");
+  process.exit(1);
+}
+
+/**
+ * Compare the 402 payment details with the service's entry in the marketplace catalog
+ * (`/api/services`, cached for 10 minutes in ~/.x402-bazaar/cache). A blocking difference
+ * found in the cached copy is re-checked against a fresh catalog before it counts, so a
+ * legitimate price change is not refused because of a stale cache.
+ *
+ * @param {string} serverUrl
+ * @param {object} p
+ * @param {string} p.endpoint
+ * @param {string|null} p.serviceId - declared in the 402: cross-checked, never used for the lookup
+ * @param {number|string} p.price
+ * @param {object} p.chain - payment chain registry entry
+ * @param {string|null} p.providerWallet - split mode only
+ * @param {string|null} p.payTo
+ * @returns {Promise<{ entry: object|null, diffs: object[], warning: string|null }>}
+ */
+async function verifyWithCatalog(serverUrl, p) {
+  const spinner = ora(
+    "Checking payment details against the catalog...",
+  ).start();
+  try {
+    const payment = {
+      ...p,
+      platformWallets: [].concat(loadUserConfig().platformWallet || []),
+    };
+    let catalog = await loadCatalog(serverUrl);
+    let entry = findCatalogEntry(catalog.services, payment);
+    let diffs = entry ? compareWithCatalog(entry, payment) : [];
+
+    if (catalog.fromCache && (!entry || diffs.some((d) => d.blocking))) {
+      catalog = await loadCatalog(serverUrl, { refresh: true });
+      entry = findCatalogEntry(catalog.services, payment);
+      diffs = entry ? compareWithCatalog(entry, payment) : [];
+    }
+    spinner.stop();
+
+    if (!entry) {
+      return {
+        entry: null,
+        diffs: [],
+        warning: `${p.endpoint} is not listed in the catalog — price and recipients could not be verified`,
+      };
+    }
+    return { entry, diffs, warning: null };
+  } catch (err) {
+    spinner.stop();
+    return {
+      entry: null,
+      diffs: [],
+      warning: `${err.message} — price and recipients could not be verified`,
+    };
+  }
+}
+
+/**
+ * Print catalog differences as a diff: `-` what the catalog lists, `+` what the 402 asks for.
+ * @param {object[]} diffs - from compareWithCatalog()
+ */
+function printCatalogDiff(diffs) {
+  const width = Math.max(...diffs.map((d) => d.field.length));
+  for (const d of diffs) {
+    const note = d.note ? chalk.dim(` (${d.note})`) : "";
+    console.log(
+      `    ${d.field.padEnd(width)}  ${chalk.red(`- catalog: ${d.catalog}`)}`,
+    );
+    console.log(
+      `    ${" ".repeat(width)}  ${chalk.green(`+ 402:     ${d.payment}`)}${note}`,
+    );
+  }
+  console.log("");
+}
+
+/**
+ * Refuse the payment when the 402 details disagree with the catalog: another listing's
+ * service ID, a higher price, a chain the service is not listed on, or another payee. A payment the
+ * catalog cannot verify (unlisted endpoint, catalog unreachable) is refused too, unless
+ * --allow-unverified: a spoofed 402 must not get through just because the catalog is down.
+ * @param {{ entry: object|null, diffs: object[], warning: string|null }} check - from verifyWithCatalog()
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowUnverified=false] - --allow-unverified
+ */
+function enforceCatalog(check, { allowUnverified = false } = {}) {
+  if (check.warning) {
+    if (allowUnverified) {
+      log.warn(`${check.warning} (paying anyway: --allow-unverified)`);
+      console.log("");
+      return;
+    }
+    log.error(`Payment refused: ${check.warning}`);
+    log.dim(
+      "  Compare with `npx x402-bazaar list`, or pass --allow-unverified if you trust this server.",
+    );
+    log.dim("  No payment was sent.");
+    console.log("");
+    process.exit(1);
+  }
+  if (check.diffs.length === 0) return;
+
+  const blocking = check.diffs.some((d) => d.blocking);
+  if (blocking) {
+    log.error(
+      "Payment refused: the 402 payment details do not match the catalog",
+    );
+  } else {
+    log.info("Payment details differ from the catalog:");
+  }
+  printCatalogDiff(check.diffs);
+  if (blocking) {
+    log.dim(
+      "  The server may be misconfigured or spoofed. Compare with: npx x402-bazaar list",
+    );
+    log.dim("  No payment was sent.");
+    console.log("");
+    process.exit(1);
+  }
+}
+
+/**
+ * Dry run (--dry-run): compute the exact transfers the payment would make, check the
+ * wallet balance and estimate gas with viem (simulateContract + estimateContractGas),
+ * print the result and stop. Nothing is signed or broadcast.
+ * Exits with code 1 when the payment would fail.
+ *
+ * @param {string|null} privateKey - null when no wallet is configured
+ * @param {object} p
+ * @param {'legacy'|'split'|'facilitator'|'x402'} p.mode
+ * @param {object} p.chain - chain registry entry
+ * @param {number|string} p.price
+ * @param {string} p.payTo
+ * @param {string|null} p.providerWallet
+ * @param {object|null} p.serverSplit
+ * @param {boolean} [p.feeSplitter] - facilitator mode: payTo is a fee splitter contract
+ * @param {number} p.maxPrice
+ * @param {object[]} p.policyViolations - from evaluatePolicy()
+ * @param {object} p.catalogCheck - from verifyWithCatalog()
+ * @param {boolean} [p.allowUnverified=false] - --allow-unverified
+ */
+async function handleDryRun(
+  privateKey,
+  {
+    mode,
+    chain,
+    price,
+    payTo,
+    providerWallet,
+    serverSplit,
+    feeSplitter = false,
+    maxPrice,
+    policyViolations,
+    catalogCheck,
+    allowUnverified = false,
+  },
+) {
+  const { buildPaymentPlan, simulatePayment } =
+    await import("../lib/payment.js");
+  const usdc = (raw) => (Number(raw) / 1_000_000).toFixed(6);
+  let problems = 0;
+
+  log.info(chalk.bold("Dry run — no transaction will be signed or broadcast"));
+  console.log("");
+
+  let plan;
+  try {
+    plan = buildPaymentPlan({
+      mode,
+      network: chain.key,
+      price,
+      payTo,
+      providerWallet,
+      serverSplit,
+      feeSplitter,
+    });
+  } catch (err) {
+    log.error(err.message);
+    console.log("");
+    process.exit(1);
+  }
+
+  log.dim(`  Chain: ${chain.label} (chain ID ${chain.chainId})`);
+  log.dim(`  Mode:  ${mode}${plan.gasless ? " (gas paid by facilitator)" : ""}`);
+  for (const t of plan.transfers) {
+    log.dim(`  → ${usdc(t.amountRaw)} USDC to ${t.to} (${t.role})`);
+  }
+  console.log("");
+
+  for (const v of policyViolations) {
+    log.warn(`Policy would refuse it: ${v.message}`);
+    problems++;
+  }
+  if (catalogCheck.warning) {
+    if (allowUnverified) {
+      log.warn(`${catalogCheck.warning} (allowed: --allow-unverified)`);
+    } else {
+      log.warn(
+        `${catalogCheck.warning} — it would be refused (--allow-unverified to pay anyway)`,
+      );
+      problems++;
+    }
+  } else if (catalogCheck.diffs.length > 0) {
+    const blocking = catalogCheck.diffs.some((d) => d.blocking);
+    if (blocking) {
+      log.warn(
+        "Payment details do not match the catalog — it would be refused:",
+      );
+      problems++;
+    } else {
+      log.info("Payment details differ from the catalog:");
+    }
+    printCatalogDiff(catalogCheck.diffs);
+  }
+  if (isAboveMaxPrice(price, maxPrice)) {
+    log.warn(`Price is above your max price of ${maxPrice} USDC.`);
+    problems++;
+  }
+  try {
+    for (const v of evaluateBudget(price, { dryRun: true }).violations) {
+      log.warn(`Would exceed ${describeBudgetViolation(v)}`);
+      problems++;
+    }
+  } catch (err) {
+    log.warn(`Could not check spending budget: ${err.message}`);
+  }
+
+  if (!privateKey) {
+    log.dim("  No wallet configured — skipping balance and gas checks.");
+    console.log("");
+    if (problems > 0) {
+      log.warn(
+        `Dry run found ${problems} problem${problems !== 1 ? "s" : ""}. No payment was sent.`,
+      );
+      console.log("");
+      process.exit(1);
+    }
+    return;
+  }
+
+  const spinner = ora(
+    `Checking balance and simulating on ${chain.label}...`,
+  ).start();
+  let sim;
+  try {
+    sim = await simulatePayment(privateKey, plan);
+    spinner.stop();
+  } catch (err) {
+    spinner.fail("Simulation failed");
+    log.error(err.shortMessage || err.message);
+    console.log("");
+    process.exit(1);
+  }
+
+  log.info(`From: ${sim.from}`);
+  const balanceLine = `USDC balance: ${usdc(sim.balanceRaw)} (need ${usdc(sim.totalRaw)})`;
+  if (sim.sufficientBalance) {
+    log.success(balanceLine);
+  } else {
+    log.error(balanceLine);
+    problems++;
+  }
+
+  for (const t of sim.transfers) {
+    if (t.error) {
+      log.error(`Transfer to ${t.to} would fail: ${t.error}`);
+      problems++;
+    } else if (t.gas != null) {
+      log.dim(`  Gas estimate (${t.to}): ${t.gas.toString()}`);
+    }
+  }
+
+  const native = (wei) => (Number(wei) / 1e18).toFixed(8);
+  log.dim(
+    `  ${chain.nativeSymbol} balance: ${native(sim.nativeBalance)}` +
+      (sim.estimatedFee != null
+        ? ` (estimated fee ${native(sim.estimatedFee)} ${chain.nativeSymbol})`
+        : ""),
+  );
+  if (sim.estimatedFee != null && sim.nativeBalance < sim.estimatedFee) {
+    log.error(`Not enough ${chain.nativeSymbol} for gas.`);
+    problems++;
+  }
+  console.log("");
+
+  if (problems > 0) {
+    log.warn(
+      `Dry run found ${problems} problem${problems !== 1 ? "s" : ""}. No payment was sent.`,
+    );
+    console.log("");
+    process.exit(1);
+  }
+  log.success("Dry run OK — the payment would go through. No payment was sent.");
+  console.log("");
+}
+
+/**
+ * Record a confirmed payment in the local ledger.
+ * Ledger write failures never block the API call — the payment already happened.
+ *
+ * @param {object} payment - see recordPayment() in lib/ledger.js
+ */
+function recordLedgerPayment(payment) {
+  try {
+    recordPayment(payment);
+  } catch (err) {
+    log.warn(`Could not record payment in local ledger: ${err.message}`);
+  }
+}
+
+/**
+ * Pre-flight balance check on the chain the service requires.
+ * Exits with a funding hint when the wallet cannot cover the price there.
+ * RPC failures are not fatal: the payment step re-checks the balance.
+ *
+ * @param {string} privateKey
+ * @param {object} chain - chain registry entry
+ * @param {number|string} price - price in USDC
+ */
+async function ensureFundsOnChain(privateKey, chain, price) {
+  let address;
+  let balance;
+  try {
+    const { getAddressFromKey, getUsdcBalance } =
+      await import("../lib/payment.js");
+    address = getAddressFromKey(privateKey);
+    balance = await getUsdcBalance(address, chain.key);
+  } catch {
+    return;
+  }
+
+  if (balance >= parseFloat(price)) return;
+
+  log.error(
+    balance === 0
+      ? `Your wallet has no USDC on ${chain.label} (chain ID ${chain.chainId}), which this service requires.`
+      : `Insufficient USDC on ${chain.label}: ${balance.toFixed(6)} USDC (need ${price} USDC).`,
+  );
+  log.dim(`  Fund ${address} with USDC on ${chain.label}.`);
+  if (chain.faucet) log.dim(`  Free test USDC: ${chain.faucet}`);
+  log.dim(
+    `  Check balance: npx x402-bazaar wallet --address ${address}` +
+      (chain.testnet ? " --testnet" : ""),
+  );
+  log.dim("  No payment was sent.");
+  console.log("");
+  process.exit(1);
+}
+
+function normalizeKey(key) {
+  key = key.trim();
+  if (!key.startsWith("0x")) key = "0x" + key;
+  if (!/^0x[a-fA-F0-9]{64}$/.test(key)) return null;
+  return key;
+}
+
+/**
+ * Handle a facilitator payment (EIP-3009 gas-free: Polygon fee_splitter mode, or any
+ * single-recipient payment on a chain whose USDC supports EIP-3009) and retry.
+ *
+ * Flow:
+ *   1. GET /supported — the facilitator handles this chain and USDC
+ *   2. Sign EIP-3009 TransferWithAuthorization off-chain ($0 gas for user)
+ *   3. POST /verify — invalid signature or balance is reported before settling
+ *   4. POST to facilitator /settle — facilitator executes on-chain
+ *   5. Retry the API call with the txHash as proof (X-Payment-TxHash header)
+ *
+ * A payment the facilitator rejects (PAYMENT_INVALID) is reported as such. When the
+ * facilitator is down, unsupported or refuses to settle, the same amount is sent to the
+ * same recipient as a direct on-chain transfer instead, if the wallet holds gas and
+ * `fallback` is on. No fallback runs when /settle got no answer: it may still settle.
+ *
+ * @param {string} privateKey      - Agent private key (hex, with 0x)
+ * @param {number} price           - Full price in USDC
+ * @param {string} facilitatorUrl  - Facilitator base URL
+ * @param {object} details         - payment_details from the 402 response (amount, recipient)
+ * @param {object} chain           - payment chain registry entry
+ * @param {string} url             - API endpoint URL
+ * @param {object} fetchOptions    - Fetch options for the retry request
+ * @param {boolean} [fallback=true] - allow the direct transfer fallback
+ */
+async function handleFacilitatorPayment(
+  privateKey,
+  price,
+  facilitatorUrl,
+  details,
+  chain,
+  url,
+  fetchOptions,
+  fallback = true,
+) {
+  const stepText = {
+    supported: `Checking facilitator support for ${chain.label}...`,
+    sign: "Signing EIP-3009 permit (gas-free)...",
+    verify: "Verifying payment with the facilitator...",
+    settle: `Settling via facilitator on ${chain.label}...`,
+  };
+  const spinner = ora(stepText.supported).start();
+
+  let txHash;
+
+  try {
+    const { sendViaFacilitator, getAddressFromKey } =
+      await import("../lib/payment.js");
+    txHash = await sendViaFacilitator(
+      privateKey,
+      facilitatorUrl,
+      details,
+      url,
+      chain.key,
+      { onStep: (step) => (spinner.text = stepText[step]) },
+    );
+
+    recordLedgerPayment({
+      url,
+      chain: chain.key,
+      mode: "facilitator",
+      amount: price,
+      txHashes: [txHash],
+      recipients: [details.recipient],
+      from: getAddressFromKey(privateKey),
+    });
+
+    spinner.succeed(
+      `Facilitator settlement confirmed: ${chalk.hex("#34D399").bold(`${price} USDC`)} ` +
+        `(gas-free on ${chain.label})`,
+    );
+    log.dim(`  Tx: ${explorerTxUrl(chain, txHash)}`);
+    console.log("");
+  } catch (facilitatorErr) {
+    // The signed payment itself is wrong: no other payment route would do better
+    if (facilitatorErr.code === PAYMENT_INVALID) {
+      spinner.fail("Facilitator rejected the payment");
+      console.log("");
+      log.error(facilitatorErr.message);
+      log.dim("  Nothing was settled. No payment was sent.");
+      if (facilitatorErr.invalidReason === "insufficient_funds") {
+        log.dim(`  Fund your wallet with USDC on ${chain.label}.`);
+      }
+      console.log("");
+      process.exit(1);
+    }
+
+    if (settlementOutcomeUnknown(facilitatorErr)) {
+      spinner.fail("No answer from the facilitator while settling");
+      console.log("");
+      log.error(facilitatorErr.message);
+      log.warn(
+        "The payment may still be settled. Check your wallet history before retrying:",
+      );
+      log.dim(`  npx x402-bazaar wallet history --chain ${chain.key}`);
+      console.log("");
+      process.exit(1);
+    }
+
+    spinner.warn(
+      facilitatorErr.code === FACILITATOR_UNAVAILABLE
+        ? "Facilitator unavailable"
+        : "Facilitator payment failed",
+    );
+    log.dim(`  Reason: ${facilitatorErr.message}`);
+    console.log("");
+
+    if (!fallback) {
+      log.error(
+        "Direct transfer fallback is off (--no-fallback or \"facilitatorFallback\": false).",
+      );
+      log.dim(
+        `  Ensure the facilitator (${facilitatorUrl}) is reachable or retry later.`,
+      );
+      log.dim("  No payment was sent.");
+      console.log("");
+      process.exit(1);
+    }
+
+    txHash = await sendDirectFallback(
+      privateKey,
+      price,
+      details.recipient,
+      chain,
+      url,
+    );
+  }
+
+  // Retry with payment proof
+  const retrySpinner = ora("Retrying with payment proof...").start();
+
+  const retryRes = await fetch(
+    url,
+    buildRetryOptions(fetchOptions, {
+      "X-Payment-TxHash": txHash,
+      ...(chain.paymentHeader
+        ? { "X-Payment-Chain": chain.paymentHeader }
+        : {}),
+    }),
+  );
+
+  retrySpinner.stop();
+
+  if (!retryRes.ok) {
+    console.log("");
+    log.error(`HTTP ${retryRes.status}: ${retryRes.statusText}`);
+    try {
+      const body = await retryRes.text();
+      if (body) console.log(chalk.red(body));
+    } catch {
+      /* ignore */
+    }
+    console.log("");
+    process.exit(1);
+  }
+
+  await displayResponse(retryRes);
+}
+
+/**
+ * Facilitator fallback: send the payment as a plain USDC transfer to the same recipient,
+ * paying gas in the chain's native token. The transfer is simulated first; without
+ * enough USDC or gas, exits without sending anything.
+ *
+ * @param {string} privateKey
+ * @param {number|string} price - USDC
+ * @param {string} recipient - facilitator payTo (fee splitter or platform wallet)
+ * @param {object} chain - chain registry entry
+ * @param {string} url - API URL, for the ledger
+ * @returns {Promise<string>} tx hash
+ */
+async function sendDirectFallback(privateKey, price, recipient, chain, url) {
+  const { buildPaymentPlan, simulatePayment, sendUsdcPayment } =
+    await import("../lib/payment.js");
+  const symbol = chain.nativeSymbol;
+  const spinner = ora(
+    `Checking ${symbol} for a direct transfer on ${chain.label}...`,
+  ).start();
+
+  let problem = null;
+  try {
+    const sim = await simulatePayment(
+      privateKey,
+      buildPaymentPlan({
+        mode: "legacy",
+        network: chain.key,
+        price,
+        payTo: recipient,
+      }),
+    );
+    const transferError = sim.transfers.find((t) => t.error)?.error;
+    if (!sim.sufficientBalance) {
+      problem = `Insufficient USDC on ${chain.label} for a direct transfer.`;
+    } else if (
+      sim.nativeBalance === 0n ||
+      (sim.estimatedFee != null && sim.nativeBalance < sim.estimatedFee)
+    ) {
+      problem = `Not enough ${symbol} for gas on ${chain.label} — a direct transfer needs ${symbol}.`;
+    } else if (transferError) {
+      problem = `The direct transfer would fail: ${transferError}`;
+    }
+  } catch (err) {
+    problem = `Could not check the wallet on ${chain.label}: ${err.shortMessage || err.message}`;
+  }
+
+  if (problem) {
+    spinner.fail("Direct transfer fallback not possible");
+    log.error(problem);
+    log.dim(
+      "  Retry later, when the facilitator is back. No payment was sent.",
+    );
+    console.log("");
+    process.exit(1);
+  }
+
+  spinner.text = `Sending ${price} USDC directly on ${chain.label} (gas paid in ${symbol})...`;
+  try {
+    const payment = await sendUsdcPayment(
+      privateKey,
+      recipient,
+      price,
+      chain.key,
+    );
+    spinner.succeed(
+      `Direct transfer confirmed: ${chalk.hex("#34D399").bold(`${price} USDC`)}`,
+    );
+    log.dim(`  Tx: ${payment.explorer}`);
+    console.log("");
+
+    recordLedgerPayment({
+      url,
+      chain: chain.key,
+      mode: "legacy",
+      amount: price,
+      txHashes: [payment.txHash],
+      recipients: [recipient],
+      from: payment.from,
+    });
+    return payment.txHash;
+  } catch (err) {
+    spinner.fail("Direct transfer failed");
+    console.log("");
+    log.error(err.shortMessage || err.message);
+    console.log("");
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle split native payment (95% to provider, 5% to platform) and retry.
+ *
+ * On success the retry request carries two separate tx-hash headers:
+ *   X-Payment-TxHash-Provider — hash of the 95% transfer to the provider
+ *   X-Payment-TxHash-Platform — hash of the 5% transfer to the platform
+ * plus X-Payment-Chain when paying outside Base mainnet (e.g. "skale").
+ *
+ * The provider transfer is saved as a pending split until the platform transfer confirms.
+ * If the platform transfer fails, `call --resume` finishes the payment (see resumeSplitPayment()).
+ *
+ * @param {string}      privateKey    - Agent private key (hex, with 0x)
+ * @param {number}      totalPrice    - Full price in USDC
+ * @param {string}      providerWallet - Provider wallet address (95% recipient)
+ * @param {string}      platformWallet - Platform wallet address (5% recipient)
+ * @param {object|null} serverSplit   - Optional split amounts from 402 payment_details.split
+ * @param {string}      network       - Payment network ("base" or "skale")
+ * @param {string}      url           - API endpoint URL
+ * @param {object}      fetchOptions  - Fetch options passed to the retry request
+ * @param {object|null} [pending]     - pending split to finish: only the platform share is sent,
+ *                                      or none when `pending.txHashPlatform` is already confirmed
+ */
+async function handleSplitAutoPayment(
+  privateKey,
+  totalPrice,
   providerWallet,
   platformWallet,
   serverSplit,
+  network,
   url,
   fetchOptions,
+  pending = null,
 ) {
+  const { sendSplitUsdcPayment, SPLIT_INCOMPLETE } = await import(
+    "../lib/payment.js"
+  );
+  const chain = getChain(network);
+
   const spinner = ora(
-    `Sending ${totalPrice} USDC (split: 95% provider / 5% platform)...`,
+    pending?.txHashPlatform
+      ? "Using the confirmed platform transfer..."
+      : pending
+        ? `Sending the platform share on ${chain.label}...`
+        : `Sending ${totalPrice} USDC on ${chain.label} (split: 95% provider / 5% platform)...`,
   ).start();
 
+  // The provider is paid at this point: a failed write must not hide that or stop the platform leg
+  let saveError = null;
   try {
-    const { sendSplitUsdcPayment } = await import("../lib/payment.js");
-
     const result = await sendSplitUsdcPayment(privateKey, {
       totalAmountUsdc: totalPrice,
       providerWallet,
       platformWallet,
       serverSplit,
+      network,
+      providerTxHash: pending ? pending.txHashProvider : null,
+      platformTxHash: pending?.txHashPlatform || null,
+      onProviderPaid: (provider) => {
+        try {
+          savePendingSplit({
+            url,
+            network: chain.key,
+            from: provider.from,
+            totalAmountUsdc: totalPrice,
+            serverSplit,
+            providerWallet,
+            platformWallet,
+            txHashProvider: provider.txHash,
+          });
+        } catch (err) {
+          saveError = err;
+        }
+      },
     });
+    try {
+      removePendingSplit(url);
+    } catch (err) {
+      log.warn(
+        `Could not clear the pending split (${err.message}) — remove ${url} from ${getPendingSplitsPath()}`,
+      );
+    }
 
     spinner.succeed(
       `Split payment confirmed: ` +
@@ -473,17 +1747,42 @@ async function handleSplitAutoPayment(
     log.dim(`  Platform tx: ${result.explorerPlatform}`);
     console.log("");
 
+    // A resumed split only adds the platform share: the provider share was recorded when it failed
+    recordLedgerPayment(
+      pending
+        ? {
+            url,
+            chain: chain.key,
+            mode: "split",
+            amount: result.platformAmountUsdc,
+            txHashes: [result.txHashPlatform],
+            recipients: [platformWallet],
+            from: result.from,
+          }
+        : {
+            url,
+            chain: chain.key,
+            mode: "split",
+            amount: result.providerAmountUsdc + result.platformAmountUsdc,
+            txHashes: [result.txHashProvider, result.txHashPlatform],
+            recipients: [providerWallet, platformWallet],
+            from: result.from,
+          },
+    );
+
     // Retry with both payment proofs
     const retrySpinner = ora("Retrying with split payment proof...").start();
 
-    const retryRes = await fetch(url, {
-      ...fetchOptions,
-      headers: {
-        ...fetchOptions.headers,
+    const retryRes = await fetch(
+      url,
+      buildRetryOptions(fetchOptions, {
         "X-Payment-TxHash-Provider": result.txHashProvider,
         "X-Payment-TxHash-Platform": result.txHashPlatform,
-      },
-    });
+        ...(chain.paymentHeader
+          ? { "X-Payment-Chain": chain.paymentHeader }
+          : {}),
+      }),
+    );
 
     retrySpinner.stop();
 
@@ -502,12 +1801,60 @@ async function handleSplitAutoPayment(
 
     await displayResponse(retryRes);
   } catch (err) {
+    if (err.code === SPLIT_INCOMPLETE) {
+      spinner.fail("Split payment incomplete: the platform share was not paid");
+      console.log("");
+      log.error(err.message);
+      log.dim(`  Provider tx: ${err.explorerProvider}`);
+      if (err.txHashPlatform) {
+        log.dim(
+          `  Platform tx ${err.txHashPlatform} was broadcast but not confirmed; --resume checks it before sending again.`,
+        );
+        if (!saveError) {
+          try {
+            recordPlatformAttempt(url, err.txHashPlatform);
+          } catch (writeErr) {
+            saveError = writeErr;
+          }
+        }
+      }
+      if (!pending) {
+        recordLedgerPayment({
+          url,
+          chain: chain.key,
+          mode: "split",
+          amount: err.providerAmountUsdc,
+          txHashes: [err.txHashProvider],
+          recipients: [providerWallet],
+          from: err.from,
+        });
+      }
+      if (saveError) {
+        printManualSplitFinish(saveError, {
+          chain,
+          platformWallet,
+          platformAmountUsdc: err.platformAmountUsdc,
+          txHashProvider: err.txHashProvider,
+          txHashPlatform: err.txHashPlatform,
+        });
+        process.exit(1);
+      }
+      log.dim(`  Saved in ${getPendingSplitsPath()}.`);
+      log.dim(
+        `  Send the missing ${err.platformAmountUsdc.toFixed(6)} USDC and get the response (the provider is not paid again):`,
+      );
+      log.dim(`    npx x402-bazaar call "${url}" --resume`);
+      console.log("");
+      process.exit(1);
+    }
+
     spinner.fail("Split payment failed");
     console.log("");
 
     if (err.message.includes("Insufficient USDC")) {
       log.error(err.message);
-      log.dim("  Fund your wallet with USDC on Base.");
+      log.dim(`  Fund your wallet with USDC on ${chain.label}.`);
+      if (chain.faucet) log.dim(`  Free test USDC: ${chain.faucet}`);
       log.dim(
         "  Check balance: npx x402-bazaar wallet --address <your-address>",
       );
@@ -526,14 +1873,249 @@ async function handleSplitAutoPayment(
 }
 
 /**
- * Handle automatic x402 payment and retry
+ * When the pending split could not be saved, `--resume` cannot help: explain how to
+ * finish the split payment by hand.
+ *
+ * @param {Error} saveError
+ * @param {object} p
+ * @param {object} p.chain
+ * @param {string} p.platformWallet
+ * @param {number} p.platformAmountUsdc
+ * @param {string} p.txHashProvider
+ * @param {string|null} p.txHashPlatform - broadcast but unconfirmed platform transfer, if any
+ */
+function printManualSplitFinish(
+  saveError,
+  { chain, platformWallet, platformAmountUsdc, txHashProvider, txHashPlatform },
+) {
+  log.warn(
+    `Could not save the pending split (${saveError.message}) — --resume will not know about it.`,
+  );
+  log.dim(`  The provider was paid: ${txHashProvider}`);
+  if (txHashPlatform) {
+    log.dim(
+      `  First check whether platform tx ${txHashPlatform} was mined; if it was, do not pay again.`,
+    );
+  }
+  log.dim(
+    `  ${txHashPlatform ? "Otherwise send" : "Send"} ${platformAmountUsdc.toFixed(6)} USDC on ${chain.label} to ${platformWallet}.`,
+  );
+  log.dim("  Then call the API again with the headers:");
+  log.dim(`    X-Payment-TxHash-Provider: ${txHashProvider}`);
+  log.dim("    X-Payment-TxHash-Platform: <platform transfer hash>");
+  if (chain.paymentHeader) {
+    log.dim(`    X-Payment-Chain: ${chain.paymentHeader}`);
+  }
+  console.log("");
+}
+
+/**
+ * `call --resume`: finish a split payment whose platform transfer failed. Checks on-chain
+ * that the recorded provider transfer succeeded, and reuses an earlier platform transfer
+ * that was broadcast and has since confirmed. Otherwise sends only the missing platform
+ * share from the wallet that paid the provider (policy and budget still apply), then
+ * retries the request with both transaction hashes.
+ *
+ * @param {object|null} pending - from findPendingSplit()
+ * @param {object} ctx
+ * @param {object|null} ctx.wallet - from resolveWallet()
+ * @param {string|null} ctx.privateKey
+ * @param {object} ctx.options - call options (--yes)
+ * @param {number} ctx.maxPrice
+ * @param {string} ctx.serverUrl
+ * @param {string} ctx.policyEndpoint - path on the server, or URL, for the policy check
+ * @param {string} ctx.url - full API URL
+ */
+async function resumeSplitPayment(
+  pending,
+  { wallet, privateKey, options, maxPrice, serverUrl, policyEndpoint, url },
+) {
+  if (!pending) {
+    log.error(`No unfinished split payment for ${url}`);
+    const others = readPendingSplits();
+    if (others.length > 0) {
+      log.dim("  Unfinished split payments:");
+      for (const e of others) log.dim(`    ${e.url}`);
+    }
+    console.log("");
+    process.exit(1);
+  }
+  if (!wallet) {
+    log.error(
+      `Resuming needs the wallet that paid the provider (${pending.from})`,
+    );
+    console.log("");
+    process.exit(1);
+  }
+
+  const { computeSplitAmounts, getAddressFromKey, checkUsdcTransfer } =
+    await import("../lib/payment.js");
+  let chain;
+  let amounts;
+  try {
+    chain = getChain(pending.network);
+    amounts = computeSplitAmounts({
+      totalAmountUsdc: pending.totalAmountUsdc,
+      serverSplit: pending.serverSplit,
+    });
+  } catch (err) {
+    log.error(`Cannot resume the split payment: ${err.message}`);
+    console.log("");
+    process.exit(1);
+  }
+  const platformAmountUsdc = Number(amounts.platformAmountRaw) / 1_000_000;
+
+  const spinner = ora(
+    `Checking the provider transfer on ${chain.label}...`,
+  ).start();
+  let platformTxHash = null;
+  try {
+    const provider = await checkUsdcTransfer(
+      chain.key,
+      pending.txHashProvider,
+      {
+        from: pending.from,
+        to: pending.providerWallet,
+        amountRaw: amounts.providerAmountRaw,
+      },
+    );
+    if (provider !== "confirmed") {
+      spinner.fail("Cannot resume: the provider transfer is not confirmed");
+      console.log("");
+      log.error(
+        {
+          pending: `${pending.txHashProvider} is not mined yet. Wait, then run --resume again.`,
+          failed: `${pending.txHashProvider} reverted: the provider was not paid.`,
+          mismatch: `${pending.txHashProvider} does not transfer ${(Number(amounts.providerAmountRaw) / 1_000_000).toFixed(6)} USDC from ${pending.from} to ${pending.providerWallet}.`,
+        }[provider],
+      );
+      if (provider !== "pending") {
+        log.dim(
+          `  Nothing was sent. Remove the entry for ${url} from ${getPendingSplitsPath()} and call the API again.`,
+        );
+      }
+      console.log("");
+      process.exit(1);
+    }
+
+    for (const hash of pending.platformTxHashes || []) {
+      const attempt = await checkUsdcTransfer(chain.key, hash, {
+        from: pending.from,
+        to: pending.platformWallet,
+        amountRaw: amounts.platformAmountRaw,
+      });
+      if (attempt === "confirmed") {
+        platformTxHash = hash;
+        break;
+      }
+      if (attempt === "pending") {
+        spinner.fail(
+          "Cannot resume yet: an earlier platform transfer is not mined",
+        );
+        console.log("");
+        log.error(
+          `${hash} was broadcast but is not mined yet. Wait, then run --resume again (the platform is not paid twice).`,
+        );
+        console.log("");
+        process.exit(1);
+      }
+    }
+    spinner.succeed(
+      platformTxHash
+        ? "Provider and platform transfers confirmed on-chain"
+        : "Provider transfer confirmed on-chain",
+    );
+  } catch (err) {
+    spinner.fail("Could not check the earlier transfers");
+    console.log("");
+    log.error(err.message);
+    log.dim(
+      "  Nothing was sent. Run --resume again when the RPC is reachable.",
+    );
+    console.log("");
+    process.exit(1);
+  }
+
+  log.info(chalk.bold("Resuming split payment"));
+  log.dim(`  Provider paid: ${explorerTxUrl(chain, pending.txHashProvider)}`);
+  if (platformTxHash) {
+    log.dim(`  Platform paid: ${explorerTxUrl(chain, platformTxHash)}`);
+  } else {
+    log.dim(
+      `  Missing: ${platformAmountUsdc.toFixed(6)} USDC to platform wallet ${pending.platformWallet}`,
+    );
+  }
+  log.dim(`  Network: ${chain.label} (chain ID ${chain.chainId})`);
+  console.log("");
+
+  // When both shares are already on-chain only the request is left: nothing is sent
+  if (!platformTxHash) {
+    enforcePolicy({
+      endpoint: policyEndpoint,
+      serverUrl,
+      price: platformAmountUsdc,
+      recipients: [
+        { role: "platform wallet", address: pending.platformWallet },
+      ],
+    });
+    enforceBudget(platformAmountUsdc, options);
+  }
+  if (!privateKey) privateKey = await unlockPayingWallet(wallet);
+  const address = getAddressFromKey(privateKey);
+  if (address.toLowerCase() !== pending.from.toLowerCase()) {
+    log.error(
+      `The provider was paid from ${pending.from}, not ${address}. Resume with that wallet.`,
+    );
+    console.log("");
+    process.exit(1);
+  }
+  if (!platformTxHash) {
+    await confirmPayment({
+      price: platformAmountUsdc,
+      maxPrice,
+      chain,
+      mode: "split",
+      recipients: [`${pending.platformWallet} (platform, 5%)`],
+      yes: !!options.yes,
+    });
+  }
+
+  await handleSplitAutoPayment(
+    privateKey,
+    pending.totalAmountUsdc,
+    pending.providerWallet,
+    pending.platformWallet,
+    pending.serverSplit,
+    chain.key,
+    url,
+    {
+      method: "GET",
+      headers: { "Content-Type": "application/json" },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    },
+    platformTxHash ? { ...pending, txHashPlatform: platformTxHash } : pending,
+  );
+}
+
+/**
+ * Handle automatic x402 payment (legacy single transfer) and retry.
+ * Adds X-Payment-Chain to the retry request when paying outside Base mainnet.
  */
-async function handleAutoPayment(privateKey, payTo, price, url, fetchOptions) {
-  const spinner = ora(`Sending ${price} USDC on Base mainnet...`).start();
+async function handleAutoPayment(
+  privateKey,
+  payTo,
+  price,
+  network,
+  url,
+  fetchOptions,
+) {
+  const { sendUsdcPayment } = await import("../lib/payment.js");
+  const chain = getChain(network);
+
+  const spinner = ora(`Sending ${price} USDC on ${chain.label}...`).start();
 
   try {
-    const { sendUsdcPayment } = await import("../lib/payment.js");
-    const payment = await sendUsdcPayment(privateKey, payTo, price);
+    const payment = await sendUsdcPayment(privateKey, payTo, price, network);
 
     spinner.succeed(
       `Payment confirmed: ${chalk.hex("#34D399").bold(`${price} USDC`)}`,
@@ -541,16 +2123,28 @@ async function handleAutoPayment(privateKey, payTo, price, url, fetchOptions) {
     log.dim(`  Tx: ${payment.explorer}`);
     console.log("");
 
+    recordLedgerPayment({
+      url,
+      chain: chain.key,
+      mode: "legacy",
+      amount: price,
+      txHashes: [payment.txHash],
+      recipients: [payTo],
+      from: payment.from,
+    });
+
     // Retry with payment proof
     const retrySpinner = ora("Retrying with payment proof...").start();
 
-    const retryRes = await fetch(url, {
-      ...fetchOptions,
-      headers: {
-        ...fetchOptions.headers,
+    const retryRes = await fetch(
+      url,
+      buildRetryOptions(fetchOptions, {
         "X-Payment-TxHash": payment.txHash,
-      },
-    });
+        ...(chain.paymentHeader
+          ? { "X-Payment-Chain": chain.paymentHeader }
+          : {}),
+      }),
+    );
 
     retrySpinner.stop();
 
@@ -574,7 +2168,8 @@ async function handleAutoPayment(privateKey, payTo, price, url, fetchOptions) {
 
     if (err.message.includes("Insufficient USDC")) {
       log.error(err.message);
-      log.dim("  Fund your wallet with USDC on Base.");
+      log.dim(`  Fund your wallet with USDC on ${chain.label}.`);
+      if (chain.faucet) log.dim(`  Free test USDC: ${chain.faucet}`);
       log.dim(
         "  Check balance: npx x402-bazaar wallet --address <your-address>",
       );
@@ -587,6 +2182,221 @@ async function handleAutoPayment(privateKey, payTo, price, url, fetchOptions) {
   }
 }
 
+/**
+ * Pay a standard x402 API (https://x402.org): pick a payment requirement from the 402
+ * `accepts` list, sign an `exact` EIP-3009 authorization and retry with it in the
+ * X-PAYMENT header. The API settles the authorization itself (usually through its
+ * facilitator) and reports the transaction in X-PAYMENT-RESPONSE — no gas is needed.
+ *
+ * Runs the same checks as Bazaar payments: --dry-run, policy, budget, max price and
+ * confirmation. The catalog check only applies to endpoints on the Bazaar server.
+ *
+ * @param {object[]} accepts - from parsePaymentRequirements()
+ * @param {object} ctx
+ * @param {object|null} ctx.wallet - from resolveWallet()
+ * @param {string|null} ctx.privateKey - null while the wallet is locked
+ * @param {object} ctx.options - call options
+ * @param {number} ctx.maxPrice
+ * @param {string[]|null} ctx.allowedNetworks - from --network
+ * @param {string} ctx.serverUrl
+ * @param {string} ctx.endpointPath - URL path, for the catalog check
+ * @param {string} ctx.policyEndpoint - path on the server, or URL, for the policy check
+ * @param {string} ctx.url - API URL
+ * @param {object} ctx.fetchOptions - Fetch options for the retry request
+ */
+async function handleStandardPayment(
+  accepts,
+  {
+    wallet,
+    privateKey,
+    options,
+    maxPrice,
+    allowedNetworks,
+    serverUrl,
+    endpointPath,
+    policyEndpoint,
+    url,
+    fetchOptions,
+  },
+) {
+  let selected;
+  try {
+    selected = selectPaymentRequirement(accepts, {
+      allowed: allowedNetworks,
+      testnet: !!options.testnet,
+    });
+  } catch (err) {
+    log.error(err.message);
+    log.dim("  No payment was sent.");
+    console.log("");
+    process.exit(1);
+  }
+  const { requirement, chain } = selected;
+  const payTo = requirement.payTo;
+  const price = (Number(requirement.maxAmountRequired) / 1e6).toString();
+
+  log.info(`Price: ${chalk.cyan.bold(`${price} USDC`)}`);
+  log.dim(`  Mode: x402 exact (signed authorization, settled by the API)`);
+  log.dim(`  Pay to: ${payTo}`);
+  log.dim(
+    `  Network: ${chain.label} (chain ID ${chain.chainId})` +
+      (chain.testnet ? " — testnet" : ""),
+  );
+  if (requirement.description) {
+    log.dim(`  Description: ${requirement.description}`);
+  }
+  console.log("");
+
+  const policyPayment = {
+    endpoint: policyEndpoint,
+    serverUrl,
+    price,
+    recipients: [{ role: "recipient", address: payTo }],
+  };
+  let onBazaar = false;
+  try {
+    onBazaar = new URL(url).origin === new URL(serverUrl).origin;
+  } catch {
+    /* not the Bazaar server */
+  }
+  const checkCatalog = () =>
+    onBazaar
+      ? verifyWithCatalog(serverUrl, {
+          endpoint: endpointPath,
+          serviceId: null,
+          price,
+          chain,
+          providerWallet: null,
+          payTo,
+        })
+      : { entry: null, diffs: [], warning: null };
+
+  if (options.dryRun) {
+    if (wallet && !privateKey) privateKey = await unlockPayingWallet(wallet);
+    const catalogCheck = await checkCatalog();
+    await handleDryRun(privateKey, {
+      mode: "x402",
+      chain,
+      price,
+      payTo,
+      providerWallet: null,
+      serverSplit: null,
+      maxPrice,
+      policyViolations: evaluatePolicy(
+        withListedService(policyPayment, catalogCheck),
+      ).violations,
+      catalogCheck,
+      allowUnverified: !!options.allowUnverified,
+    });
+    return;
+  }
+
+  if (!wallet) {
+    printPaymentInstructions();
+    return;
+  }
+
+  const catalogCheck = await checkCatalog();
+  enforcePolicy(withListedService(policyPayment, catalogCheck));
+  enforceCatalog(catalogCheck, {
+    allowUnverified: !!options.allowUnverified,
+  });
+  enforceBudget(price, options);
+  if (!privateKey) privateKey = await unlockPayingWallet(wallet);
+  await ensureFundsOnChain(privateKey, chain, price);
+  await confirmPayment({
+    price,
+    maxPrice,
+    chain,
+    mode: "x402",
+    recipients: [payTo],
+    yes: !!options.yes,
+  });
+
+  const spinner = ora(`Signing ${price} USDC authorization...`).start();
+
+  try {
+    const paymentPayload = await createExactPayment(
+      privateKey,
+      requirement,
+      chain,
+    );
+
+    spinner.text = "Retrying with X-PAYMENT...";
+    const retryRes = await fetch(
+      url,
+      buildRetryOptions(fetchOptions, {
+        "X-PAYMENT": encodePaymentHeader(paymentPayload),
+      }),
+    );
+    spinner.stop();
+
+    // Record the payment as soon as the API settled or accepted it, even if the
+    // response itself is an error: the USDC has left the wallet and counts toward the budget
+    const settlement = decodePaymentResponse(
+      retryRes.headers.get("X-PAYMENT-RESPONSE"),
+    );
+    const paid =
+      settlement?.success !== false && (!!settlement || retryRes.ok);
+    if (paid) {
+      recordLedgerPayment({
+        url,
+        chain: chain.key,
+        mode: "x402",
+        amount: price,
+        txHashes: settlement?.transaction ? [settlement.transaction] : [],
+        recipients: [payTo],
+        from: paymentPayload.payload.authorization.from,
+      });
+    }
+
+    if (!retryRes.ok) {
+      console.log("");
+      log.error(`HTTP ${retryRes.status}: ${retryRes.statusText}`);
+      try {
+        const body = await retryRes.text();
+        if (body) console.log(chalk.red(body));
+      } catch {
+        /* ignore */
+      }
+      if (paid) {
+        log.dim(
+          `  The payment was settled${settlement?.transaction ? ` (${explorerTxUrl(chain, settlement.transaction)})` : ""} but the API returned an error.`,
+        );
+      } else if (retryRes.status === 402) {
+        log.dim("  The API did not accept the signed payment.");
+      } else {
+        log.dim(
+          `  The payment may still settle — check: npx x402-bazaar wallet history --chain ${chain.key}`,
+        );
+      }
+      console.log("");
+      process.exit(1);
+    }
+
+    console.log("");
+    if (settlement?.transaction) {
+      log.success(
+        `Payment settled: ${chalk.hex("#34D399").bold(`${price} USDC`)}`,
+      );
+      log.dim(`  Tx: ${explorerTxUrl(chain, settlement.transaction)}`);
+    } else {
+      log.success(
+        `Payment accepted: ${chalk.hex("#34D399").bold(`${price} USDC`)}`,
+      );
+      log.dim("  The API did not return a settlement (X-PAYMENT-RESPONSE).");
+    }
+
+    await displayResponse(retryRes);
+  } catch (err) {
+    spinner.fail("Payment failed");
+    console.log("");
+    log.error(err.message);
+    console.log("");
+    process.exit(1);
+  }
+}
+
 /**
  * Display API response with JSON highlighting
  */
@@ -13,7 +13,6 @@ import {
 } from "fs";
 import { join, dirname, resolve } from "path";
 import { execSync } from "child_process";
-import { randomBytes } from "crypto";
 import { fileURLToPath } from "url";
 import { log } from "../utils/logger.js";
 import {
@@ -28,6 +27,22 @@ import {
 } from "../detectors/environment.js";
 import { generateMcpConfig } from "../generators/mcp-config.js";
 import { generateEnvContent } from "../generators/env-file.js";
+import {
+  generateLauncherContent,
+  LAUNCHER_FILE,
+  SECRET_STORE_FILE,
+} from "../generators/launcher.js";
+import {
+  isKeychainAvailable,
+  storeSecret,
+  SECRET_BACKENDS,
+} from "../lib/secret-store.js";
+import { getChain, explorerAddressUrl } from "../lib/chains.js";
+import {
+  loadUserConfig,
+  saveUserConfig,
+  getConfigDir,
+} from "../lib/user-config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -280,6 +295,7 @@ export async function initCommand(options) {
 
   let walletMode = "readonly";
   let agentPrivateKey = "";
+  let generatedAddress = null;
   let coinbaseApiKey = "";
   let coinbaseApiSecret = "";
   let maxBudget = "1.00";
@@ -340,6 +356,16 @@ export async function initCommand(options) {
     network = configAnswers.network;
     maxBudget = configAnswers.maxBudget;
 
+    // Persist the session budget for `call` too (the MCP server reads it from .env)
+    try {
+      const { budget = {} } = loadUserConfig();
+      saveUserConfig({
+        budget: { ...budget, perSession: parseFloat(maxBudget) },
+      });
+    } catch (err) {
+      log.warn(`Could not save budget to user config: ${err.message}`);
+    }
+
     console.log("");
 
     const { mode } = await promptOrDefault([
@@ -372,37 +398,34 @@ export async function initCommand(options) {
     walletMode = mode;
 
     if (mode === "generate") {
-      agentPrivateKey = "0x" + randomBytes(32).toString("hex");
+      // Derive the agent key from a recovery phrase (BIP-39, account 0) so it can be backed up
+      const { createMnemonic, deriveAccountFromMnemonic, formatMnemonicGrid } =
+        await import("../lib/mnemonic.js");
+      const mnemonic = createMnemonic();
+      const account = deriveAccountFromMnemonic(mnemonic, 0);
+      agentPrivateKey = account.privateKey;
+      generatedAddress = account.address;
       log.success("New wallet generated!");
+      console.log("");
+      log.box(
+        "Recovery phrase — write it down, it is shown only once",
+        formatMnemonicGrid(mnemonic),
+      );
+      log.dim(
+        "  Restore it later, or derive one account per agent: npx x402-bazaar wallet recover --index <n>",
+      );
 
-      // Derive address using viem (installed in step 2)
-      // Pass private key via env var to avoid shell exposure (ps aux, bash history)
       let walletAddress = "";
       try {
-        walletAddress = execSync(
-          `node --input-type=module -e "import{privateKeyToAccount}from'viem/accounts';console.log(privateKeyToAccount(process.env._X402_PK).address)"`,
-          {
-            cwd: installDir,
-            stdio: "pipe",
-            timeout: 15000,
-            env: { ...process.env, _X402_PK: agentPrivateKey },
-          },
-        )
-          .toString()
-          .trim();
+        walletAddress = account.address;
         console.log("");
         log.info(`Wallet address: ${chalk.bold(walletAddress)}`);
-        if (network === "skale") {
-          log.dim(
-            `  Explorer: https://skale-base-explorer.skalenodes.com/address/${walletAddress}`,
-          );
-        } else if (network === "polygon") {
-          log.dim(
-            `  PolygonScan: https://polygonscan.com/address/${walletAddress}`,
-          );
-        } else {
-          log.dim(`  BaseScan: https://basescan.org/address/${walletAddress}`);
-        }
+        log.dim(
+          `  Explorer: ${explorerAddressUrl(getChain(network), walletAddress)}`,
+        );
+        console.log("");
+        const { printFundingQr } = await import("../utils/qr.js");
+        printFundingQr(getChain(network), walletAddress);
         console.log("");
         log.separator();
         if (network === "skale") {
@@ -425,7 +448,7 @@ export async function initCommand(options) {
           );
           console.log("");
           log.warn(
-            `IMPORTANT: Send USDC on ${chalk.bold("SKALE on Base")} (chain ID 1187947933) — not Base or Ethereum!`,
+            `IMPORTANT: Send USDC on ${chalk.bold(getChain("skale").label)} (chain ID ${getChain("skale").chainId}) — not Base or Ethereum!`,
           );
         } else if (network === "polygon") {
           log.info(chalk.bold("To activate payments, fund this wallet:"));
@@ -447,7 +470,7 @@ export async function initCommand(options) {
           );
           console.log("");
           log.warn(
-            `IMPORTANT: Send ${chalk.bold("native USDC")} on ${chalk.bold("Polygon")} (chain ID 137) — not USDC.e!`,
+            `IMPORTANT: Send ${chalk.bold("native USDC")} on ${chalk.bold("Polygon")} (chain ID ${getChain("polygon").chainId}) — not USDC.e!`,
           );
         } else {
           log.info(chalk.bold("To activate payments, fund this wallet:"));
@@ -561,6 +584,13 @@ export async function initCommand(options) {
   log.step(4, "Generating configuration...");
   console.log("");
 
+  let agentKeyRef = "";
+  if (walletMode !== "readonly" && agentPrivateKey) {
+    agentKeyRef = await storeAgentKey(agentPrivateKey, options);
+  }
+  const envFileMode = walletMode !== "readonly" && !!options.envFile;
+  if (agentKeyRef || envFileMode) installLauncher(installDir);
+
   const config = generateMcpConfig({
     environment: targetEnv.name,
     installDir,
@@ -568,9 +598,11 @@ export async function initCommand(options) {
     maxBudget,
     network,
     agentPrivateKey,
+    agentKeyRef,
     coinbaseApiKey,
     coinbaseApiSecret,
     readOnly: walletMode === "readonly",
+    envFile: envFileMode,
   });
 
   // Write .env file in install dir
@@ -580,6 +612,7 @@ export async function initCommand(options) {
       maxBudget,
       network,
       agentPrivateKey,
+      agentKeyRef,
       coinbaseApiKey,
       coinbaseApiSecret,
     });
@@ -589,6 +622,11 @@ export async function initCommand(options) {
       chmodSync(envPath, 0o600);
     } catch {}
     log.success(`.env created at ${chalk.dim(envPath)}`);
+    if (envFileMode) {
+      log.dim(
+        "  The client config only points at the launcher, which loads this file.",
+      );
+    }
   }
 
   // Write or merge config into the AI client config file
@@ -646,6 +684,40 @@ export async function initCommand(options) {
   console.log("");
   log.separator();
 
+  // ─── Step 6: Wait for Funds (optional) ──────────────────────────────
+  let walletFunded = false;
+  if (walletMode === "generate" && generatedAddress) {
+    console.log("");
+    log.step(6, "Waiting for your first deposit (optional)...");
+    console.log("");
+
+    const chain = getChain(network);
+    const { watch } = await promptOrDefault(
+      [
+        {
+          type: "confirm",
+          name: "watch",
+          message: `Wait here until USDC arrives on ${chain.label}?`,
+          default: false,
+        },
+      ],
+      options.watch ? { watch: true } : {},
+    );
+
+    if (watch) {
+      console.log("");
+      const { watchForFunds } = await import("./wallet-watch.js");
+      walletFunded = await watchForFunds(chain, generatedAddress);
+    } else {
+      log.dim(
+        "  Later, wait for the deposit with: npx x402-bazaar wallet watch" +
+          ` --address ${generatedAddress} --chain ${chain.key}`,
+      );
+    }
+
+    log.separator();
+  }
+
   // ─── Summary ────────────────────────────────────────────────────────
   console.log("");
   log.success(chalk.bold("Setup complete!"));
@@ -661,14 +733,16 @@ export async function initCommand(options) {
     walletMode === "readonly"
       ? "Read-only (no payments)"
       : walletMode === "generate"
-        ? "New wallet (needs funding)"
+        ? walletFunded
+          ? "New wallet (funded)"
+          : "New wallet (needs funding)"
         : "Configured";
 
   const summaryLines = [
     `Environment:    ${targetEnv.label}`,
     `Install dir:    ${installDir}`,
     `Server:         ${serverUrl}`,
-    `Network:        ${network === "mainnet" ? "Base Mainnet" : network === "skale" ? "SKALE on Base" : network === "polygon" ? "Polygon" : "Base Sepolia"}`,
+    `Network:        ${getChain(network).label}`,
     `Budget limit:   ${maxBudget} USDC / session`,
     `Wallet:         ${walletLabel}`,
     `Services:       ${serviceCount > 0 ? serviceCount + " available" : "check with npx x402-bazaar status"}`,
@@ -679,11 +753,13 @@ export async function initCommand(options) {
     ...(walletMode === "generate"
       ? [
           "Before your agent can pay for APIs:",
-          network === "skale"
-            ? "  1. Bridge USDC → SKALE on Base: https://x402bazaar.org/fund (CREDITS auto-funded!)"
-            : network === "polygon"
-              ? "  1. Send USDC to your wallet on Polygon (gas-free via x402 facilitator!)"
-              : "  1. Send USDC + a little ETH to your wallet on Base",
+          walletFunded
+            ? "  1. Wallet funded — nothing to do"
+            : network === "skale"
+              ? "  1. Bridge USDC → SKALE on Base: https://x402bazaar.org/fund (CREDITS auto-funded!)"
+              : network === "polygon"
+                ? "  1. Send USDC to your wallet on Polygon (gas-free via x402 facilitator!)"
+                : "  1. Send USDC + a little ETH to your wallet on Base",
           "  2. Restart your IDE",
           "",
         ]
@@ -762,6 +838,116 @@ export async function initCommand(options) {
   }
 }
 
+/**
+ * Keep the agent key out of the AI client config: store it in the OS keychain (Linux
+ * Secret Service) or an obfuscated file (its key file sits next to it, so this is not
+ * encryption); the launcher resolves the reference when the MCP server starts.
+ * Returns "" to inline the key (--key-storage config).
+ *
+ * @param {string} agentPrivateKey
+ * @param {object} options - init options (keyStorage)
+ * @returns {Promise<string>} secret reference for AGENT_PRIVATE_KEY_REF, or ""
+ */
+async function storeAgentKey(agentPrivateKey, options) {
+  const keychain = isKeychainAvailable();
+  const choices = [
+    ...(keychain
+      ? [
+          {
+            name: "OS keychain (Linux Secret Service) — recommended",
+            value: "keychain",
+          },
+        ]
+      : []),
+    {
+      name: "Obfuscated file in ~/.x402-bazaar/secrets (not encrypted: anyone who can read that folder can recover the key)",
+      value: "file",
+    },
+    {
+      name: "Inline in the client config (plaintext, not recommended)",
+      value: "config",
+    },
+  ];
+
+  const overrides = {};
+  if (options.keyStorage) {
+    const valid = [...SECRET_BACKENDS, "config"];
+    if (!valid.includes(options.keyStorage)) {
+      log.error(
+        `Invalid --key-storage: ${options.keyStorage} (expected ${valid.join(", ")})`,
+      );
+      process.exit(1);
+    }
+    overrides.storage = options.keyStorage;
+  }
+
+  const { storage } = await promptOrDefault(
+    [
+      {
+        type: "list",
+        name: "storage",
+        message: "Where should the agent private key be stored?",
+        choices,
+        default: keychain ? "keychain" : "file",
+      },
+    ],
+    overrides,
+  );
+
+  if (storage === "config") {
+    log.warn(
+      "The agent key will be written in plaintext to the client config and .env.",
+    );
+    return "";
+  }
+
+  const secretsDir = join(getConfigDir(), "secrets");
+  let ref;
+  try {
+    ref = storeSecret("agent-key", agentPrivateKey, {
+      backend: storage,
+      dir: secretsDir,
+    });
+  } catch (err) {
+    if (storage !== "keychain") {
+      log.error(`Could not store the agent key: ${err.message}`);
+      process.exit(1);
+    }
+    log.warn(`OS keychain unavailable (${err.message})`);
+    log.dim("  Falling back to an obfuscated file (not encrypted).");
+    ref = storeSecret("agent-key", agentPrivateKey, {
+      backend: "file",
+      dir: secretsDir,
+    });
+  }
+
+  log.success(
+    ref.startsWith("keychain:")
+      ? "Agent key stored in the OS keychain (Secret Service)"
+      : `Agent key stored (obfuscated) in ${chalk.dim(secretsDir)}`,
+  );
+  if (!ref.startsWith("keychain:")) {
+    log.warn(
+      "The file is not encrypted: its key is stored in the same folder. Keep that folder out of backups and shared disks.",
+    );
+  }
+  log.dim(`  The client config only references it: ${ref}`);
+  return ref;
+}
+
+/**
+ * Write x402-launcher.mjs next to mcp-server.mjs. It runs from the install dir,
+ * so it gets its own copy of the secret resolver.
+ * @param {string} installDir
+ */
+function installLauncher(installDir) {
+  writeFileSync(join(installDir, LAUNCHER_FILE), generateLauncherContent());
+  copyFileSync(
+    join(__dirname, "..", "lib", "secret-store.js"),
+    join(installDir, SECRET_STORE_FILE),
+  );
+}
+
 /**
  * Write config to the target AI client config file.
  * Merges with existing config if file already exists.
@@ -0,0 +1,215 @@
+import chalk from "chalk";
+import { log } from "../utils/logger.js";
+import { readLedger, dayKey, getLedgerPath } from "../lib/ledger.js";
+
+const FORMATS = ["table", "json", "csv"];
+
+/**
+ * Resolve the --since / --until / --month options into a [from, to) time range.
+ * Dates are local calendar days; `--since 7d` means the last 7 days including today.
+ *
+ * @param {object} options
+ * @param {string} [options.since] - YYYY-MM-DD or "<n>d"
+ * @param {string} [options.until] - YYYY-MM-DD (inclusive)
+ * @param {string} [options.month] - YYYY-MM
+ * @param {number} [now=Date.now()]
+ * @returns {{ from: number|null, to: number|null }} epoch ms, null = unbounded
+ * @throws {Error} on malformed dates
+ */
+export function parseDateRange({ since, until, month } = {}, now = Date.now()) {
+  const parseDay = (value, flag) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!m) throw new Error(`Invalid ${flag} date: ${value} (expected YYYY-MM-DD)`);
+    return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime();
+  };
+
+  let from = null;
+  let to = null;
+
+  if (month) {
+    const m = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!m) throw new Error(`Invalid --month: ${month} (expected YYYY-MM)`);
+    from = new Date(Number(m[1]), Number(m[2]) - 1, 1).getTime();
+    to = new Date(Number(m[1]), Number(m[2]), 1).getTime();
+  }
+
+  if (since) {
+    const rel = /^(\d+)d$/.exec(since);
+    if (rel) {
+      const today = new Date(now);
+      from = new Date(
+        today.getFullYear(),
+        today.getMonth(),
+        today.getDate() - Number(rel[1]) + 1,
+      ).getTime();
+    } else {
+      from = parseDay(since, "--since");
+    }
+  }
+
+  if (until) {
+    to = parseDay(until, "--until") + 24 * 60 * 60 * 1000;
+  }
+
+  return { from, to };
+}
+
+/**
+ * Summarize ledger entries by day, endpoint, chain and payment mode.
+ *
+ * @param {object[]} entries - from readLedger()
+ * @param {{ from: number|null, to: number|null }} [range]
+ * @returns {{
+ *   total: number,
+ *   count: number,
+ *   byDay: { key: string, payments: number, usdc: number }[],
+ *   byEndpoint: { key: string, payments: number, usdc: number }[],
+ *   byChain: { key: string, payments: number, usdc: number }[],
+ *   byMode: { key: string, payments: number, usdc: number }[],
+ * }}
+ */
+export function summarizeSpend(entries, { from = null, to = null } = {}) {
+  const selected = entries.filter((e) => {
+    const t = new Date(e.timestamp).getTime();
+    return (from == null || t >= from) && (to == null || t < to);
+  });
+
+  const group = (keyOf) => {
+    const map = new Map();
+    for (const e of selected) {
+      const key = keyOf(e);
+      const row = map.get(key) || { key, payments: 0, micro: 0 };
+      row.payments += 1;
+      row.micro += Math.round((Number(e.amount) || 0) * 1e6);
+      map.set(key, row);
+    }
+    return [...map.values()].map(({ key, payments, micro }) => ({
+      key,
+      payments,
+      usdc: micro / 1e6,
+    }));
+  };
+
+  const byUsdcDesc = (a, b) => b.usdc - a.usdc || a.key.localeCompare(b.key);
+  const totalMicro = selected.reduce(
+    (acc, e) => acc + Math.round((Number(e.amount) || 0) * 1e6),
+    0,
+  );
+
+  return {
+    total: totalMicro / 1e6,
+    count: selected.length,
+    byDay: group((e) => dayKey(e.timestamp)).sort((a, b) =>
+      a.key.localeCompare(b.key),
+    ),
+    byEndpoint: group((e) => e.endpoint || "unknown").sort(byUsdcDesc),
+    byChain: group((e) => e.chain || "unknown").sort(byUsdcDesc),
+    byMode: group((e) => e.mode || "unknown").sort(byUsdcDesc),
+  };
+}
+
+/**
+ * Render a summary as CSV: one row per (dimension, key).
+ * @param {object} summary - from summarizeSpend()
+ * @returns {string}
+ */
+export function formatSpendCsv(summary) {
+  const escape = (v) => {
+    const str = String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = ["dimension,key,payments,usdc"];
+  const sections = [
+    ["day", summary.byDay],
+    ["endpoint", summary.byEndpoint],
+    ["chain", summary.byChain],
+    ["mode", summary.byMode],
+  ];
+  for (const [dimension, rows] of sections) {
+    for (const row of rows) {
+      lines.push(
+        [dimension, row.key, row.payments, row.usdc.toFixed(6)]
+          .map(escape)
+          .join(","),
+      );
+    }
+  }
+  lines.push(
+    ["total", "all", summary.count, summary.total.toFixed(6)]
+      .map(escape)
+      .join(","),
+  );
+  return lines.join("\n") + "\n";
+}
+
+function printTable(title, rows) {
+  console.log(chalk.hex("#FF9900").bold(`  ${title}`));
+  if (rows.length === 0) {
+    log.dim("    (none)");
+    console.log("");
+    return;
+  }
+  const width = Math.max(...rows.map((r) => r.key.length), 8);
+  for (const row of rows) {
+    console.log(
+      `    ${chalk.white(row.key.padEnd(width))}  ` +
+        `${chalk.cyan(row.usdc.toFixed(6).padStart(12))} USDC  ` +
+        chalk.dim(`${row.payments} payment${row.payments !== 1 ? "s" : ""}`),
+    );
+  }
+  console.log("");
+}
+
+export async function spendCommand(options) {
+  const format = (options.format || "table").toLowerCase();
+  if (!FORMATS.includes(format)) {
+    log.error(`Invalid --format: ${format} (expected ${FORMATS.join(", ")})`);
+    process.exit(1);
+  }
+
+  let summary;
+  try {
+    const range = parseDateRange(options);
+    summary = summarizeSpend(readLedger(), range);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  // Machine-readable output goes to stdout without banner or colors
+  if (format === "json") {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+  if (format === "csv") {
+    process.stdout.write(formatSpendCsv(summary));
+    return;
+  }
+
+  log.banner();
+  log.info(`Local payment ledger: ${chalk.dim(getLedgerPath())}`);
+  console.log("");
+
+  if (summary.count === 0) {
+    log.warn("No payments recorded for this period.");
+    log.dim("  Payments made with `npx x402-bazaar call` are recorded here.");
+    console.log("");
+    return;
+  }
+
+  log.separator();
+  console.log("");
+  printTable("By day", summary.byDay);
+  printTable("By endpoint", summary.byEndpoint);
+  printTable("By chain", summary.byChain);
+  printTable("By payment mode", summary.byMode);
+  log.separator();
+  console.log("");
+  log.info(
+    `Total: ${chalk.cyan.bold(`${summary.total.toFixed(6)} USDC`)} ` +
+      chalk.dim(
+        `across ${summary.count} payment${summary.count !== 1 ? "s" : ""}`,
+      ),
+  );
+  console.log("");
+}
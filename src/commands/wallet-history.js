@@ -0,0 +1,162 @@
+import ora from 'ora';
+import chalk from 'chalk';
+import { log } from '../utils/logger.js';
+import { listChains, resolveChainOption, explorerTxUrl } from '../lib/chains.js';
+import { formatUnitsFixed } from '../lib/balances.js';
+import {
+  buildKnownRecipients,
+  indexLedgerByTx,
+  estimateBlockSince,
+  fetchOutgoingTransfers,
+} from '../lib/history.js';
+import { readLedger } from '../lib/ledger.js';
+import { loadUserConfig } from '../lib/user-config.js';
+import { listWallets } from '../lib/wallet-store.js';
+import { parseDateRange } from './spend.js';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Label each transfer with its counterparty and, when it was paid through `call`,
+ * the endpoint recorded in the local ledger.
+ *
+ * @param {object[]} transfers - from fetchOutgoingTransfers(), with `chain` set
+ * @param {Map} known - from buildKnownRecipients()
+ * @param {Map} ledgerByTx - from indexLedgerByTx()
+ * @returns {object[]}
+ */
+export function labelTransfers(transfers, known, ledgerByTx) {
+  return transfers.map((t) => {
+    const match = known.get(t.to.toLowerCase()) || null;
+    const entry = ledgerByTx.get(t.txHash.toLowerCase()) || null;
+    return {
+      ...t,
+      counterparty: match ? match.label : null,
+      kind: match ? match.kind : 'unknown',
+      endpoint: entry ? entry.endpoint : null,
+    };
+  });
+}
+
+/**
+ * `wallet history`: outgoing USDC transfers of `address`, read straight from the chain
+ * with eth_getLogs (no indexer), matched against known marketplace recipients.
+ *
+ * @param {string} address
+ * @param {object} options - commander options (chain, testnet, since, limit, json)
+ * @param {string|null} source - wallet profile the address came from
+ */
+export async function showHistory(address, options, source) {
+  let chains;
+  let since;
+  let limit;
+  try {
+    chains = options.chain
+      ? [resolveChainOption({ network: options.chain, testnet: options.testnet })]
+      : listChains().filter(c => !!c.testnet === !!options.testnet);
+    since = parseDateRange({ since: options.since || '7d' }).from;
+    limit = options.limit ? Number(options.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit <= 0) throw new Error(`Invalid --limit: ${options.limit}`);
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  const spinner = options.json
+    ? null
+    : ora(`Reading USDC transfers on ${chains.map(c => c.label).join(', ')}...`).start();
+
+  const results = await Promise.all(chains.map(async (chain) => {
+    try {
+      const { fromBlock, latest } = await estimateBlockSince(chain, since);
+      const transfers = await fetchOutgoingTransfers(chain, address, { fromBlock, toBlock: latest, limit });
+      return { chain, transfers: transfers.map(t => ({ ...t, chain })), error: null };
+    } catch (err) {
+      const message = err.cause?.code ? `Cannot connect to RPC (${err.cause.code})` : err.message;
+      return { chain, transfers: [], error: message };
+    }
+  }));
+
+  let ledger = [];
+  let platformWallet = [];
+  let wallets = [];
+  try { ledger = readLedger(); } catch { /* unreadable ledger — no endpoint labels */ }
+  try { platformWallet = loadUserConfig().platformWallet || []; } catch { /* ignore */ }
+  try { wallets = listWallets(); } catch { /* ignore */ }
+
+  const known = buildKnownRecipients({ chains: listChains(), ledger, platformWallet, wallets });
+  const rows = labelTransfers(results.flatMap(r => r.transfers), known, indexLedgerByTx(ledger))
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+  const failed = results.filter(r => r.error);
+  const totalRaw = rows.reduce((acc, r) => acc + r.amountRaw, 0n);
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      address,
+      wallet: source,
+      since: new Date(since).toISOString(),
+      totalUsdc: formatUnitsFixed(totalRaw, 6, 6),
+      transfers: rows.map(r => ({
+        time: new Date(r.timestamp).toISOString(),
+        chain: r.chain.key,
+        amount: formatUnitsFixed(r.amountRaw, 6, 6),
+        to: r.to,
+        counterparty: r.counterparty,
+        kind: r.kind,
+        endpoint: r.endpoint,
+        txHash: r.txHash,
+        block: r.blockNumber,
+        explorer: r.chain.explorer ? explorerTxUrl(r.chain, r.txHash) : null,
+      })),
+      errors: failed.map(r => ({ chain: r.chain.key, error: r.error })),
+    }, null, 2));
+    if (failed.length === results.length) process.exit(1);
+    return;
+  }
+
+  if (failed.length === results.length) spinner.fail('Could not read transfer history');
+  else if (failed.length > 0) spinner.warn('Some chains could not be reached');
+  else spinner.stop();
+  console.log('');
+
+  log.info(`Address:  ${chalk.hex('#34D399')(address)}${source ? chalk.dim(` (wallet "${source}")`) : ''}`);
+  log.dim(`  Outgoing USDC since ${new Date(since).toLocaleDateString()}`);
+  console.log('');
+
+  for (const r of failed) log.warn(`${r.chain.label}: ${r.error}`);
+  if (failed.length === results.length) {
+    console.log('');
+    process.exit(1);
+  }
+
+  if (rows.length === 0) {
+    log.dim('  No outgoing USDC transfers in this period.');
+    console.log('');
+    return;
+  }
+
+  log.separator();
+  for (const r of rows) {
+    const when = new Date(r.timestamp).toLocaleString();
+    const who = r.counterparty
+      ? (r.kind === 'unknown' ? r.counterparty : chalk.hex('#34D399')(r.counterparty))
+      : chalk.yellow(r.to);
+    console.log(
+      `  ${chalk.dim(when)}  ${chalk.white(r.chain.label)}  ${chalk.cyan.bold(formatUnitsFixed(r.amountRaw, 6, 6))} USDC → ${who}` +
+        (r.endpoint ? chalk.dim(`  ${r.endpoint}`) : ''),
+    );
+    log.dim(`    ${r.chain.explorer ? explorerTxUrl(r.chain, r.txHash) : r.txHash}`);
+  }
+  log.separator();
+  console.log('');
+
+  const marketplaceRaw = rows
+    .filter(r => ['platform', 'fee-splitter', 'provider'].includes(r.kind))
+    .reduce((acc, r) => acc + r.amountRaw, 0n);
+  log.info(`Total sent: ${chalk.cyan.bold(formatUnitsFixed(totalRaw, 6, 6))} USDC in ${rows.length} transfer${rows.length !== 1 ? 's' : ''}`);
+  log.dim(`  To x402 Bazaar (platform, FeeSplitter, providers): ${formatUnitsFixed(marketplaceRaw, 6, 6)} USDC`);
+  if (rows.length === limit) log.dim(`  Showing the ${limit} most recent — raise --limit to see more.`);
+  console.log('');
+}
@@ -0,0 +1,197 @@
+import ora from 'ora';
+import chalk from 'chalk';
+import { log } from '../utils/logger.js';
+import { isInteractive, promptOrDefault, askWalletPassword } from '../utils/prompt.js';
+import { resolveChainOption, explorerAddressUrl } from '../lib/chains.js';
+import { getChainBalances, formatUnitsFixed } from '../lib/balances.js';
+import { PAYMENT_INVALID, settlementOutcomeUnknown } from '../lib/facilitator.js';
+import {
+  getWalletPath,
+  readWalletFile,
+  getWalletAddress,
+  isEncryptedWallet,
+  unlockWallet,
+  validateWalletName,
+} from '../lib/wallet-store.js';
+
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Parse a USDC amount (at most 6 decimals) into micro-USDC.
+ * @param {string} value
+ * @returns {bigint}
+ * @throws {Error} on a malformed or non-positive amount
+ */
+export function parseUsdcAmount(value) {
+  const str = String(value ?? '').trim();
+  if (!/^\d+(\.\d{1,6})?$/.test(str)) {
+    throw new Error(`Invalid --amount: ${value} (expected a USDC amount with at most 6 decimals)`);
+  }
+  const [whole, frac = ''] = str.split('.');
+  const raw = BigInt(whole) * 1_000_000n + BigInt(frac.padEnd(6, '0'));
+  if (raw === 0n) throw new Error('--amount must be greater than 0');
+  return raw;
+}
+
+/**
+ * Resolve --to: an address, or the name of a local wallet profile (to top up another profile).
+ * @param {string} to
+ * @returns {{ address: string, profile: string|null }}
+ * @throws {Error} if it is neither
+ */
+export function resolveRecipient(to) {
+  const value = String(to ?? '').trim();
+  if (!value) throw new Error('Missing --to (an address or a wallet name)');
+  if (ADDRESS_RE.test(value)) return { address: value, profile: null };
+
+  let data = null;
+  try {
+    data = readWalletFile(getWalletPath(validateWalletName(value)));
+  } catch { /* not a profile name */ }
+  const address = getWalletAddress(data);
+  if (!address) throw new Error(`--to must be an address or a wallet name: ${value}`);
+  return { address, profile: value };
+}
+
+/**
+ * `wallet send` / `wallet sweep`: move USDC out of a local wallet profile.
+ *
+ * @param {'send'|'sweep'} action
+ * @param {string} profile - source wallet profile
+ * @param {object} options - commander options (to, amount, chain, testnet, yes, gasless)
+ */
+export async function sendFromWallet(action, profile, options) {
+  let chain;
+  let recipient;
+  let amountRaw = null;
+  try {
+    chain = resolveChainOption({ network: options.chain, testnet: options.testnet });
+    recipient = resolveRecipient(options.to);
+    if (action === 'send') amountRaw = parseUsdcAmount(options.amount);
+    else if (options.amount) throw new Error('`wallet sweep` sends the whole balance — drop --amount or use `wallet send`');
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  const walletPath = getWalletPath(profile);
+  let data;
+  try {
+    data = readWalletFile(walletPath);
+    if (!data) throw new Error(`No wallet named "${profile}" (see: npx x402-bazaar wallet list)`);
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  const from = getWalletAddress(data);
+  if (from && from.toLowerCase() === recipient.address.toLowerCase()) {
+    log.error('Source and destination are the same wallet.');
+    console.log('');
+    process.exit(1);
+  }
+
+  const gasless = options.gasless !== false && !!chain.facilitator;
+
+  // Same balance checks as a payment, before asking anything
+  const spinner = ora(`Checking balance on ${chain.label}...`).start();
+  let balances = null;
+  if (from) {
+    try {
+      balances = await getChainBalances(chain, from);
+      spinner.stop();
+    } catch (err) {
+      spinner.fail(`Could not read balance on ${chain.label}`);
+      log.error(err.message);
+      console.log('');
+      process.exit(1);
+    }
+  } else {
+    spinner.stop();
+  }
+
+  if (balances) {
+    if (action === 'sweep') amountRaw = balances.usdcRaw;
+    const problem = amountRaw === 0n
+      ? `No USDC to send on ${chain.label}.`
+      : balances.usdcRaw < amountRaw
+        ? `Insufficient USDC on ${chain.label}: ${formatUnitsFixed(balances.usdcRaw, 6, 6)} USDC (need ${formatUnitsFixed(amountRaw, 6, 6)})`
+        : !gasless && balances.nativeRaw === 0n
+          ? `No ${chain.nativeSymbol} for gas on ${chain.label} — send a little ${chain.nativeSymbol} to ${from} first.`
+          : null;
+    if (problem) {
+      log.error(problem);
+      console.log('');
+      process.exit(1);
+    }
+  }
+
+  log.info(chalk.bold(action === 'sweep' ? 'Sweep USDC' : 'Send USDC'));
+  console.log('');
+  log.dim(`  From:    ${from || '(address unknown until unlocked)'}${chalk.dim(` (wallet "${profile}")`)}`);
+  log.dim(`  To:      ${recipient.address}${recipient.profile ? chalk.dim(` (wallet "${recipient.profile}")`) : ''}`);
+  log.dim(`  Amount:  ${amountRaw != null ? `${formatUnitsFixed(amountRaw, 6, 6)} USDC` : 'entire USDC balance'}`);
+  log.dim(`  Chain:   ${chain.label} (chain ID ${chain.chainId})`);
+  log.dim(`  Method:  ${gasless ? 'EIP-3009 authorization settled by the facilitator (no gas)' : `on-chain transfer (gas paid in ${chain.nativeSymbol})`}`);
+  console.log('');
+
+  if (!options.yes) {
+    if (!isInteractive()) {
+      log.error('Refusing to move funds without confirmation — pass --yes in non-interactive runs.');
+      console.log('');
+      process.exit(1);
+    }
+    const { confirmed } = await promptOrDefault([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: 'Send this transfer?',
+      default: false,
+    }]);
+    if (!confirmed) {
+      log.info('Cancelled — nothing was sent.');
+      console.log('');
+      return;
+    }
+  }
+
+  let privateKey;
+  try {
+    const password = isEncryptedWallet(data)
+      ? await askWalletPassword({ message: `Password for ${walletPath}:` })
+      : undefined;
+    privateKey = await unlockWallet(data, password);
+  } catch (err) {
+    log.error(err.message);
+    log.dim('  Nothing was sent.');
+    console.log('');
+    process.exit(1);
+  }
+
+  const sending = ora(`Sending USDC on ${chain.label}...`).start();
+  try {
+    const { transferUsdc } = await import('../lib/payment.js');
+    const result = await transferUsdc(privateKey, {
+      to: recipient.address,
+      amountRaw,
+      network: chain.key,
+      gasless,
+    });
+    sending.succeed(`Sent ${formatUnitsFixed(result.amountRaw, 6, 6)} USDC`);
+    console.log('');
+    log.info(`Tx:       ${chalk.dim(result.explorer)}`);
+    log.dim(`  Recipient: ${explorerAddressUrl(chain, recipient.address)}`);
+    console.log('');
+  } catch (err) {
+    sending.fail('Transfer failed');
+    log.error(err.shortMessage || err.message);
+    if (settlementOutcomeUnknown(err)) {
+      log.warn(`The transfer may still be settled. Check before retrying: x402-bazaar wallet history --chain ${chain.key}`);
+    } else if (gasless && err.code !== PAYMENT_INVALID) {
+      log.dim('  Retry with --no-gasless to send a regular transfer (needs gas).');
+    }
+    console.log('');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,129 @@
+import ora from 'ora';
+import chalk from 'chalk';
+import { log } from '../utils/logger.js';
+import { resolveChainOption, explorerAddressUrl } from '../lib/chains.js';
+import { waitForFunds, formatUnitsFixed } from '../lib/balances.js';
+import { parseUsdcAmount } from './wallet-send.js';
+
+const DEFAULT_TIMEOUT_MINUTES = 15;
+const DEFAULT_INTERVAL_SECONDS = 10;
+
+/**
+ * Parse a positive number option (--timeout, --interval).
+ * @param {string|number|undefined} value
+ * @param {number} fallback
+ * @param {string} flag
+ * @returns {number}
+ */
+export function parsePositiveNumber(value, fallback, flag) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid ${flag}: ${value} (expected a positive number)`);
+  return n;
+}
+
+function formatRemaining(ms) {
+  const total = Math.ceil(ms / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return m > 0 ? `${m}m ${String(s).padStart(2, '0')}s` : `${s}s`;
+}
+
+/**
+ * Poll `address` on `chain` until a USDC deposit (and gas, where the chain needs it) has arrived,
+ * with a spinner showing the latest balances. Used by `wallet watch` and by `init`.
+ *
+ * @param {object} chain - chain registry entry
+ * @param {string} address
+ * @param {object} [opts]
+ * @param {bigint} [opts.minUsdcRaw=1n]
+ * @param {number} [opts.timeoutMinutes=15]
+ * @param {number} [opts.intervalSeconds=10]
+ * @returns {Promise<boolean>} true once funded, false on timeout
+ */
+export async function watchForFunds(chain, address, {
+  minUsdcRaw = 1n,
+  timeoutMinutes = DEFAULT_TIMEOUT_MINUTES,
+  intervalSeconds = DEFAULT_INTERVAL_SECONDS,
+} = {}) {
+  const wanted = minUsdcRaw > 1n ? `${formatUnitsFixed(minUsdcRaw, 6, 6)} USDC` : 'USDC';
+  log.info(`Waiting for ${wanted}${chain.gasSponsor ? '' : ` and ${chain.nativeSymbol} for gas`} on ${chalk.bold(chain.label)}`);
+  log.dim(`  Address: ${chalk.hex('#34D399')(address)}`);
+  log.dim(`  Checking every ${intervalSeconds}s for up to ${timeoutMinutes} min — Ctrl+C to stop.`);
+  console.log('');
+
+  const spinner = ora('Checking balance...').start();
+  const result = await waitForFunds(chain, address, {
+    minUsdcRaw,
+    timeoutMs: timeoutMinutes * 60_000,
+    intervalMs: intervalSeconds * 1000,
+    onPoll: ({ balances, status, error, remainingMs, baselineUsdcRaw }) => {
+      const left = chalk.dim(`(${formatRemaining(remainingMs)} left)`);
+      if (error) {
+        spinner.text = `${chalk.yellow(`RPC error: ${error.cause?.code || error.message}`)} — retrying ${left}`;
+        return;
+      }
+      const received = baselineUsdcRaw > 0n
+        ? chalk.dim(` (+${formatUnitsFixed(balances.usdcRaw - baselineUsdcRaw, 6, 6)})`)
+        : '';
+      const usdc = `${formatUnitsFixed(balances.usdcRaw, 6, 6)} USDC${received} ${status.usdc ? chalk.green('✔') : chalk.dim('…')}`;
+      const gas = chain.gasSponsor
+        ? chalk.dim(`gas: ${chain.gasSponsor}`)
+        : `${formatUnitsFixed(balances.nativeRaw, 18, 6)} ${chain.nativeSymbol} ${status.gas ? chalk.green('✔') : chalk.dim('…')}`;
+      spinner.text = `${usdc}  ${gas}  ${left}`;
+    },
+  });
+
+  if (result.funded) {
+    spinner.succeed(`Funds received on ${chain.label}`);
+    log.info(`Balance: ${chalk.cyan.bold(formatUnitsFixed(result.balances.usdcRaw, 6, 6))} USDC` +
+      (chain.gasSponsor ? '' : `, ${formatUnitsFixed(result.balances.nativeRaw, 18, 6)} ${chain.nativeSymbol}`));
+    console.log('');
+    return true;
+  }
+
+  spinner.fail(`No deposit detected on ${chain.label} after ${timeoutMinutes} min`);
+  const b = result.balances;
+  if (!b) {
+    log.error(`The ${chain.label} RPC could not be reached — check your connection.`);
+  } else if (b.usdcRaw - result.baselineUsdcRaw < minUsdcRaw) {
+    log.warn(`USDC balance is ${formatUnitsFixed(b.usdcRaw, 6, 6)} (received ${formatUnitsFixed(b.usdcRaw - result.baselineUsdcRaw, 6, 6)} while watching) — make sure the transfer was sent on ${chain.label} (chain ID ${chain.chainId}).`);
+  } else {
+    log.warn(`USDC arrived, but there is no ${chain.nativeSymbol} for gas yet — send a little ${chain.nativeSymbol} as well.`);
+  }
+  if (chain.explorer) log.dim(`  Explorer: ${explorerAddressUrl(chain, address)}`);
+  log.dim('  Keep waiting: npx x402-bazaar wallet watch' + (chain.testnet ? ' --testnet' : ` --chain ${chain.key}`));
+  console.log('');
+  return false;
+}
+
+/**
+ * `wallet watch`: wait for a deposit to the selected wallet.
+ * The chain is --chain, else the network the wallet was created for, else Base.
+ *
+ * @param {string} address
+ * @param {object} options - commander options (chain, testnet, amount, timeout, interval)
+ * @param {string|null} walletNetwork - `network` recorded in the wallet file
+ */
+export async function watchWallet(address, options, walletNetwork) {
+  let chain;
+  let watchOpts;
+  try {
+    chain = resolveChainOption({
+      network: options.chain || (options.testnet ? undefined : walletNetwork) || undefined,
+      testnet: options.testnet,
+    });
+    watchOpts = {
+      minUsdcRaw: options.amount ? parseUsdcAmount(options.amount) : 1n,
+      timeoutMinutes: parsePositiveNumber(options.timeout, DEFAULT_TIMEOUT_MINUTES, '--timeout'),
+      intervalSeconds: parsePositiveNumber(options.interval, DEFAULT_INTERVAL_SECONDS, '--interval'),
+    };
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  const funded = await watchForFunds(chain, address, watchOpts);
+  if (!funded) process.exit(1);
+}
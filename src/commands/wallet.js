@@ -1,28 +1,140 @@
 import ora from 'ora';
 import chalk from 'chalk';
-import fs from 'fs';
-import path from 'path';
 import { log } from '../utils/logger.js';
+import inquirer from 'inquirer';
+import { isInteractive, askWalletPassword } from '../utils/prompt.js';
+import { getChain, resolveChainOption, explorerAddressUrl } from '../lib/chains.js';
+import { getAllBalances, formatUnitsFixed } from '../lib/balances.js';
+import {
+  DEFAULT_WALLET,
+  getActiveWalletName,
+  setActiveWallet,
+  validateWalletName,
+  listWallets,
+  getWalletPath,
+  readWalletFile,
+  writeWalletFile,
+  isEncryptedWallet,
+  getWalletAddress,
+  encryptWallet,
+  unlockWallet,
+} from '../lib/wallet-store.js';
+
+const ACTIONS = ['list', 'use', 'recover', 'migrate', 'send', 'sweep', 'history', 'watch'];
+
+export async function walletCommand(action, name, options) {
+  if (!options.json) log.banner();
+
+  if (action && !ACTIONS.includes(action)) {
+    log.error(`Unknown wallet action: ${action} (expected ${ACTIONS.join(', ')})`);
+    console.log('');
+    process.exit(1);
+  }
+
+  // Profile selection: --name (for --setup) or --wallet, else the active profile
+  let profile;
+  try {
+    profile = validateWalletName(options.name || options.wallet || getActiveWalletName());
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  if (action === 'list') {
+    listWalletProfiles();
+    return;
+  }
+
+  if (action === 'use') {
+    useWalletProfile(name);
+    return;
+  }
 
-const BASE_RPC_URL = 'https://mainnet.base.org';
-const USDC_CONTRACT_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-const BALANCE_OF_SELECTOR = '0x70a08231';
+  if (action === 'migrate') {
+    await migrateWallet(profile);
+    return;
+  }
+
+  if (action === 'send' || action === 'sweep') {
+    const { sendFromWallet } = await import('./wallet-send.js');
+    await sendFromWallet(action, profile, options);
+    return;
+  }
 
-export async function walletCommand(options) {
-  log.banner();
+  // Network for --setup / recover funding instructions and QR code
+  let chain;
+  try {
+    chain = resolveChainOption({ network: options.chain, testnet: options.testnet });
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  let index;
+  try {
+    const { parseAccountIndex } = await import('../lib/mnemonic.js');
+    index = parseAccountIndex(options.index);
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  if (action === 'recover') {
+    await recoverWallet(chain, profile, index);
+    return;
+  }
 
   // Handle --setup: generate a new wallet
   if (options.setup) {
-    await setupWallet();
+    await setupWallet(chain, profile, index);
     return;
   }
 
-  if (!options.address) {
-    log.info('Check USDC balance or generate a new wallet.');
+  // No --address: default to the address in the selected wallet file
+  let address = options.address ? options.address.trim() : null;
+  let source = null;
+  let walletNetwork = null;
+  if (!address) {
+    try {
+      const data = readWalletFile(getWalletPath(profile));
+      if (!data && options.wallet) {
+        throw new Error(`No wallet named "${profile}" (see: npx x402-bazaar wallet list)`);
+      }
+      if (data) {
+        address = getWalletAddress(data);
+        if (!address) throw new Error(`Wallet "${profile}" has no address field`);
+        source = profile;
+        walletNetwork = data.network || null;
+      }
+    } catch (err) {
+      log.error(err.message);
+      console.log('');
+      process.exit(1);
+    }
+  }
+
+  if (!address) {
+    log.info('Check USDC balances or generate a new wallet.');
     console.log('');
     log.dim('  Usage:');
+    log.dim('    x402-bazaar wallet  (balances of your local wallet on every chain)');
     log.dim('    x402-bazaar wallet --address 0xYourAddress');
     log.dim('    x402-bazaar wallet --setup');
+    log.dim('    x402-bazaar wallet --address 0xYourAddress --testnet  (test networks)');
+    log.dim('    x402-bazaar wallet --json  (machine-readable balances)');
+    log.dim('    x402-bazaar wallet --setup --name <name>  (additional named wallet)');
+    log.dim('    x402-bazaar wallet --wallet <name>  (balance of a saved wallet)');
+    log.dim('    x402-bazaar wallet recover --name agent-2 --index 2  (import from a recovery phrase)');
+    log.dim('    x402-bazaar wallet send --to 0xTreasury --amount 5 --chain base');
+    log.dim('    x402-bazaar wallet sweep --to <wallet name or address> --chain polygon');
+    log.dim('    x402-bazaar wallet history --since 30d  (outgoing USDC, matched to marketplace recipients)');
+    log.dim('    x402-bazaar wallet watch  (wait until a deposit arrives)');
+    log.dim('    x402-bazaar wallet list');
+    log.dim('    x402-bazaar wallet use <name>');
+    log.dim('    x402-bazaar wallet migrate  (encrypt a plaintext wallet.json)');
     console.log('');
     log.dim('  Examples:');
     log.dim('    x402-bazaar wallet --address 0xA986540F0AaDFB5Ba5ceb2b1d81d90DBE479084b');
@@ -31,9 +143,11 @@ export async function walletCommand(options) {
     return;
   }
 
-  const address = options.address.trim();
-
   if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: `Invalid Ethereum address: ${address}` }, null, 2));
+      process.exit(1);
+    }
     log.error('Invalid Ethereum address format');
     log.dim('  Expected: 0x followed by 40 hexadecimal characters');
     log.dim(`  Got: ${address}`);
@@ -41,174 +155,474 @@ export async function walletCommand(options) {
     process.exit(1);
   }
 
-  log.info(`Checking wallet: ${chalk.bold(maskAddress(address))}`);
-  console.log('');
+  if (action === 'history') {
+    const { showHistory } = await import('./wallet-history.js');
+    await showHistory(address, options, source);
+    return;
+  }
 
-  const spinner = ora('Fetching USDC balance from Base...').start();
+  if (action === 'watch') {
+    const { watchWallet } = await import('./wallet-watch.js');
+    await watchWallet(address, options, walletNetwork);
+    return;
+  }
 
-  try {
-    const paddedAddress = address.slice(2).padStart(64, '0');
-    const data = BALANCE_OF_SELECTOR + paddedAddress;
-
-    const rpcPayload = {
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'eth_call',
-      params: [{ to: USDC_CONTRACT_BASE, data }, 'latest'],
-    };
-
-    const res = await fetch(BASE_RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(rpcPayload),
-      signal: AbortSignal.timeout(15000),
-    });
+  // Explicit --address: show a QR code first, to fund it from a phone wallet
+  let qrChain = null;
+  if (options.address && !options.json) {
+    try {
+      qrChain = resolveChainOption({ network: options.chain, testnet: options.testnet });
+    } catch (err) {
+      log.error(err.message);
+      console.log('');
+      process.exit(1);
+    }
+  }
 
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+  if (qrChain) {
+    const { printFundingQr } = await import('../utils/qr.js');
+    printFundingQr(qrChain, address);
+    if (!options.chain) log.dim('  Another network: add --chain <network> (e.g. --chain polygon)');
+    console.log('');
+  }
 
-    const rpcResponse = await res.json();
-    if (rpcResponse.error) throw new Error(rpcResponse.error.message || 'RPC error');
-    if (!rpcResponse.result) throw new Error('No result from RPC');
+  await showBalances(address, { testnet: !!options.testnet, json: !!options.json, source });
+}
 
-    const balanceRaw = BigInt(rpcResponse.result);
-    const balanceUsdc = Number(balanceRaw) / 1_000_000;
+/**
+ * Print USDC and gas balances of `address` on every supported chain.
+ * @param {string} address
+ * @param {object} opts
+ * @param {boolean} opts.testnet - show test networks instead of mainnets
+ * @param {boolean} opts.json - machine-readable output on stdout
+ * @param {string|null} opts.source - wallet profile the address came from
+ */
+async function showBalances(address, { testnet, json, source }) {
+  // Keystores store the address lower-case; show the checksummed form
+  const { getAddress } = await import('viem');
+  address = getAddress(address.toLowerCase());
+
+  const spinner = json
+    ? null
+    : ora(`Fetching balances for ${maskAddress(address)}...`).start();
+
+  const rows = await getAllBalances(address, { testnet });
+  const totalRaw = rows.reduce((acc, r) => acc + (r.usdcRaw ?? 0n), 0n);
+  const failed = rows.filter(r => r.error);
+
+  if (json) {
+    console.log(JSON.stringify({
+      address,
+      wallet: source,
+      totalUsdc: formatUnitsFixed(totalRaw, 6, 6),
+      chains: rows.map(r => ({
+        key: r.key,
+        label: r.label,
+        chainId: r.chainId,
+        usdc: r.usdc,
+        native: r.native,
+        nativeSymbol: r.nativeSymbol,
+        gasNeeded: r.gasNeeded,
+        warning: r.warning,
+        error: r.error,
+        explorer: getChain(r.key).explorer ? explorerAddressUrl(getChain(r.key), address) : null,
+      })),
+    }, null, 2));
+    if (failed.length === rows.length) process.exit(1);
+    return;
+  }
 
-    spinner.succeed('Balance fetched');
-    console.log('');
-    log.separator();
-    console.log('');
+  if (failed.length === rows.length) spinner.fail('Failed to fetch balances');
+  else if (failed.length > 0) spinner.warn('Some chains could not be reached');
+  else spinner.succeed('Balances fetched');
+  console.log('');
+  log.separator();
+  console.log('');
 
-    log.info(`Address:  ${chalk.hex('#34D399')(maskAddress(address))}`);
-    log.info(`Network:  ${chalk.hex('#0052FF').bold('Base Mainnet')} (Chain ID: 8453)`);
-    log.info(`Balance:  ${chalk.cyan.bold(balanceUsdc.toFixed(6))} ${chalk.dim('USDC')}`);
+  log.info(`Address:  ${chalk.hex('#34D399')(address)}${source ? chalk.dim(` (wallet "${source}")`) : ''}`);
+  console.log('');
 
+  const width = Math.max(...rows.map(r => r.label.length), 10);
+  console.log(chalk.dim(`  ${'Chain'.padEnd(width)}  ${'USDC'.padStart(14)}  Gas`));
+  for (const r of rows) {
+    if (r.error) {
+      console.log(`  ${chalk.white(r.label.padEnd(width))}  ${chalk.red(`unavailable — ${r.error}`)}`);
+      continue;
+    }
+    const usdc = r.usdcRaw > 0n ? chalk.cyan.bold(r.usdc.padStart(14)) : chalk.dim(r.usdc.padStart(14));
+    const chain = getChain(r.key);
+    const gas = `${r.native} ${r.nativeSymbol}` + (chain.gasSponsor ? chalk.dim(` (${chain.gasSponsor})`) : '');
+    console.log(`  ${chalk.white(r.label.padEnd(width))}  ${usdc}  ${r.warning ? chalk.yellow(gas) : gas}`);
+  }
+
+  console.log('');
+  log.separator();
+  console.log('');
+
+  for (const r of rows.filter(r => r.warning)) log.warn(r.warning);
+
+  const totalUsdc = Number(totalRaw) / 1_000_000;
+  if (failed.length === rows.length) {
+    log.error('No chain RPC could be reached — check your connection.');
     console.log('');
-    log.separator();
-    console.log('');
-    log.dim(`  Explorer:  https://basescan.org/address/${address}`);
+    process.exit(1);
+  } else if (totalRaw === 0n) {
+    log.warn('This wallet has no USDC.');
+    log.dim('  Send USDC on one of the chains above to start using paid APIs.');
+    for (const r of rows) {
+      const chain = getChain(r.key);
+      if (chain.faucet) log.dim(`  Free test USDC (${chain.label}): ${chain.faucet}`);
+    }
+  } else if (totalUsdc < 0.1) {
+    log.warn(`Low balance (${totalUsdc.toFixed(6)} USDC in total) — consider adding more USDC.`);
+    log.dim('  Most x402 Bazaar APIs cost $0.001-$0.05 per call.');
+  } else {
+    log.success(`Wallet is funded: ${chalk.cyan.bold(totalUsdc.toFixed(6))} USDC in total`);
+    const estimatedCalls = Math.floor(totalUsdc / 0.005);
+    log.dim(`  Estimated API calls: ~${estimatedCalls} (at avg $0.005/call)`);
+  }
+  console.log('');
+}
 
-    if (balanceUsdc === 0) {
+/**
+ * Print a notice and return true if the profile already has a wallet file.
+ * @param {string} walletPath
+ * @returns {Promise<boolean>}
+ */
+async function reportExistingWallet(walletPath) {
+  try {
+    const existing = readWalletFile(walletPath);
+    if (existing && (existing.privateKey || isEncryptedWallet(existing))) {
+      let address = getWalletAddress(existing);
+      if (!address) {
+        const { getAddressFromKey } = await import('../lib/payment.js');
+        address = getAddressFromKey(await unlockWallet(existing));
+      }
       console.log('');
-      log.warn('This wallet has no USDC.');
-      log.dim('  Send USDC on Base to this address to start using paid APIs.');
-    } else if (balanceUsdc < 0.1) {
+      log.warn('A wallet already exists!');
+      log.info(`Address: ${chalk.hex('#34D399')(address)}`);
+      log.dim(`  File: ${walletPath}`);
       console.log('');
-      log.warn('Low balance — consider adding more USDC.');
-      log.dim('  Most x402 Bazaar APIs cost $0.001-$0.05 per call.');
-    } else {
+      log.dim('  To keep several wallets, create a named one: npx x402-bazaar wallet --setup --name <name>');
+      log.dim('  To check balance: npx x402-bazaar wallet --address ' + address);
       console.log('');
-      log.success('Wallet is funded and ready!');
-      const estimatedCalls = Math.floor(balanceUsdc / 0.005);
-      log.dim(`  Estimated API calls: ~${estimatedCalls} (at avg $0.005/call)`);
+      return true;
     }
+  } catch { /* ignore parse errors, will overwrite */ }
+  return false;
+}
+
+async function askNewWalletPassword() {
+  try {
+    return await askWalletPassword({ message: 'Choose a wallet password:', confirm: true });
+  } catch (err) {
+    log.error(err.message);
     console.log('');
+    process.exit(1);
+  }
+}
+
+/**
+ * Generate a new wallet from a fresh recovery phrase and save it as an encrypted keystore
+ * (~/.x402-bazaar/wallet.json, or wallets/<name>.json for a named profile)
+ * @param {object} chain - chain registry entry the wallet will be funded on
+ * @param {string} profile - wallet profile name
+ * @param {number} index - BIP-44 account index to derive
+ */
+async function setupWallet(chain, profile, index) {
+  log.info(
+    profile === DEFAULT_WALLET
+      ? 'Generating a new wallet for x402 Bazaar auto-payment...'
+      : `Generating wallet "${profile}" for x402 Bazaar auto-payment...`
+  );
+  console.log('');
+
+  const walletPath = getWalletPath(profile);
+  if (await reportExistingWallet(walletPath)) return;
+
+  const password = await askNewWalletPassword();
+  const spinner = ora('Generating and encrypting key pair...').start();
 
+  try {
+    const { createMnemonic, deriveAccountFromMnemonic, formatMnemonicGrid } = await import('../lib/mnemonic.js');
+    const mnemonic = createMnemonic();
+    const account = deriveAccountFromMnemonic(mnemonic, index);
+
+    await saveWallet({ chain, profile, walletPath, account, password });
+    spinner.succeed('Wallet generated!');
+    console.log('');
+
+    log.box('Recovery phrase — write it down, it is shown only once', formatMnemonicGrid(mnemonic));
+    log.dim('  Anyone with these words controls the funds. Keep them offline.');
+    log.dim('  Restore it, or derive one account per agent: npx x402-bazaar wallet recover --name <name> --index <n>');
+    console.log('');
+
+    await printWalletSaved({ chain, profile, walletPath, account });
   } catch (err) {
-    spinner.fail('Failed to fetch balance');
+    spinner.fail('Wallet generation failed');
+    console.log('');
+    log.error(err.message);
     console.log('');
+    process.exit(1);
+  }
+}
 
-    if (err.name === 'AbortError') {
-      log.error('Request timeout — Base RPC may be slow');
-    } else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
-      log.error('Cannot connect to Base RPC');
-    } else {
-      log.error(err.message);
+/**
+ * Import a wallet from a recovery phrase (`wallet recover`). The phrase comes from
+ * X402_MNEMONIC or a masked prompt; --index picks the account to derive.
+ * @param {object} chain
+ * @param {string} profile
+ * @param {number} index
+ */
+async function recoverWallet(chain, profile, index) {
+  const walletPath = getWalletPath(profile);
+  if (await reportExistingWallet(walletPath)) return;
+
+  let phrase = process.env.X402_MNEMONIC;
+  if (!phrase) {
+    if (!isInteractive()) {
+      log.error('Set X402_MNEMONIC or run in an interactive terminal to enter the recovery phrase');
+      console.log('');
+      process.exit(1);
     }
+    const { validateMnemonic } = await import('../lib/mnemonic.js');
+    ({ phrase } = await inquirer.prompt([{
+      type: 'password',
+      name: 'phrase',
+      message: 'Recovery phrase (12-24 words):',
+      mask: '*',
+      validate: (v) => {
+        try { validateMnemonic(v); return true; } catch (err) { return err.message; }
+      },
+    }]));
+  }
+
+  let account;
+  try {
+    const { deriveAccountFromMnemonic } = await import('../lib/mnemonic.js');
+    account = deriveAccountFromMnemonic(phrase, index);
+  } catch (err) {
+    log.error(err.message);
+    console.log('');
+    process.exit(1);
+  }
+
+  log.info(`Account ${index} (${account.path}): ${chalk.hex('#34D399').bold(account.address)}`);
+  console.log('');
+
+  const password = await askNewWalletPassword();
+  const spinner = ora('Encrypting wallet...').start();
+  try {
+    await saveWallet({ chain, profile, walletPath, account, password });
+    spinner.succeed('Wallet recovered!');
+    console.log('');
+    await printWalletSaved({ chain, profile, walletPath, account });
+  } catch (err) {
+    spinner.fail('Wallet recovery failed');
+    console.log('');
+    log.error(err.message);
     console.log('');
     process.exit(1);
   }
 }
 
 /**
- * Generate a new wallet and save to ~/.x402-bazaar/wallet.json
+ * Encrypt and write a derived account; the first wallet on this machine becomes the active one.
  */
-async function setupWallet() {
-  log.info('Generating a new wallet for x402 Bazaar auto-payment...');
-  console.log('');
+async function saveWallet({ chain, profile, walletPath, account, password }) {
+  writeWalletFile(await encryptWallet(account.privateKey, password, {
+    network: chain.key,
+    derivationPath: account.path,
+  }), walletPath);
+
+  const active = getActiveWalletName();
+  if (active !== profile && !readWalletFile(getWalletPath(active))) setActiveWallet(profile);
+}
 
-  const home = process.env.HOME || process.env.USERPROFILE;
-  const dir = path.join(home, '.x402-bazaar');
-  const walletPath = path.join(dir, 'wallet.json');
+async function printWalletSaved({ chain, profile, walletPath, account }) {
+  const isActive = getActiveWalletName() === profile;
 
-  // Check if wallet already exists
-  if (fs.existsSync(walletPath)) {
-    try {
-      const existing = JSON.parse(fs.readFileSync(walletPath, 'utf-8'));
-      if (existing.privateKey) {
-        const { getAddressFromKey } = await import('../lib/payment.js');
-        const address = getAddressFromKey(existing.privateKey.startsWith('0x') ? existing.privateKey : '0x' + existing.privateKey);
-        console.log('');
-        log.warn('A wallet already exists!');
-        log.info(`Address: ${chalk.hex('#34D399')(address)}`);
-        log.dim(`  File: ${walletPath}`);
-        console.log('');
-        log.dim('  To use a different wallet, delete the file and run --setup again.');
-        log.dim('  To check balance: npx x402-bazaar wallet --address ' + address);
-        console.log('');
-        return;
-      }
-    } catch { /* ignore parse errors, will overwrite */ }
-  }
+  log.separator();
+  console.log('');
 
-  const spinner = ora('Generating cryptographic key pair...').start();
+  log.info(`Address:     ${chalk.hex('#34D399').bold(account.address)}`);
+  log.info(`Wallet:      ${chalk.bold(profile)}${isActive ? chalk.dim(' (active)') : ''}`);
+  log.info(`Account:     ${chalk.dim(account.path)}`);
+  log.info(`Network:     ${chalk.hex('#0052FF').bold(chain.label)}`);
+  log.info(`Saved to:    ${chalk.dim(walletPath)}`);
 
-  try {
-    const { generatePrivateKey, privateKeyToAccount } = await import('viem/accounts');
-    const privateKey = generatePrivateKey();
-    const account = privateKeyToAccount(privateKey);
+  console.log('');
+  log.separator();
+  console.log('');
 
-    // Create directory
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  log.info('Next steps:');
+  console.log('');
+  log.dim(`  1. Fund this wallet with USDC on ${chain.label}:`);
+  log.dim(`     Send USDC to ${chalk.hex('#34D399')(account.address)}`);
+  log.dim(chain.gasSponsor
+    ? `     No ${chain.nativeSymbol} needed for gas (${chain.gasSponsor})`
+    : `     + a tiny amount of ${chain.nativeSymbol} for gas (~$0.01)`);
+  if (chain.faucet) log.dim(`     Free test USDC: ${chain.faucet}`);
+  console.log('');
+  const { printFundingQr } = await import('../utils/qr.js');
+  printFundingQr(chain, account.address);
+  console.log('');
+  log.dim(`     Wait for it to arrive: ${chalk.cyan('npx x402-bazaar wallet watch' + (isActive ? '' : ` --wallet ${profile}`))}`);
+  console.log('');
+  log.dim('  2. Call paid APIs automatically:');
+  log.dim(`     ${chalk.cyan('npx x402-bazaar call /api/weather --param city=Paris' + (isActive ? '' : ` --wallet ${profile}`) + (chain.testnet ? ' --testnet' : ''))}`);
+  log.dim(isActive
+    ? '     (auto-payment will use your saved wallet)'
+    : `     (or make it the default: npx x402-bazaar wallet use ${profile})`);
+  console.log('');
+  log.dim('  3. The CLI reads your wallet file automatically — no need to export the key.');
+  log.dim('     It asks for the password when a payment is due, or reads X402_WALLET_PASSWORD.');
+  log.dim(`     The private key is encrypted (V3 keystore) in: ${walletPath}`);
+  console.log('');
 
-    // Save wallet (private key stored locally)
-    fs.writeFileSync(walletPath, JSON.stringify({
-      address: account.address,
-      privateKey: privateKey,
-      network: 'base',
-      created: new Date().toISOString(),
-    }, null, 2), 'utf-8');
-    try { fs.chmodSync(walletPath, 0o600); } catch {}
+  log.warn('Back up the recovery phrase (or the wallet file and its password) — without them the funds are lost.');
+  log.dim(`  Wallet file: ${walletPath}`);
+  console.log('');
+}
 
-    spinner.succeed('Wallet generated!');
+/**
+ * Print the saved wallet profiles (`wallet list`).
+ */
+function listWalletProfiles() {
+  let wallets;
+  try {
+    wallets = listWallets();
+  } catch (err) {
+    log.error(err.message);
     console.log('');
-    log.separator();
+    process.exit(1);
+  }
+
+  if (wallets.length === 0) {
+    log.warn('No wallets yet.');
+    log.dim('  Create one with: npx x402-bazaar wallet --setup [--name <name>]');
     console.log('');
+    return;
+  }
 
-    log.info(`Address:     ${chalk.hex('#34D399').bold(account.address)}`);
-    log.info(`Network:     ${chalk.hex('#0052FF').bold('Base Mainnet')}`);
-    log.info(`Saved to:    ${chalk.dim(walletPath)}`);
+  const width = Math.max(...wallets.map(w => w.name.length), 8);
+  for (const w of wallets) {
+    const marker = w.active ? chalk.hex('#34D399')('*') : ' ';
+    const details = w.error
+      ? chalk.red(w.error)
+      : [
+          w.address ? chalk.hex('#34D399')(w.address) : chalk.dim('(no address)'),
+          w.encrypted ? chalk.dim('encrypted') : chalk.yellow('plaintext'),
+          w.network ? chalk.dim(w.network) : '',
+        ].filter(Boolean).join('  ');
+    console.log(`  ${marker} ${chalk.bold(w.name.padEnd(width))}  ${details}`);
+  }
+  console.log('');
+  log.dim('  * active wallet — change with: npx x402-bazaar wallet use <name>');
+  if (!wallets.some(w => w.active)) {
+    log.warn(`Active wallet "${getActiveWalletName()}" no longer exists — pick another with \`wallet use\`.`);
+  }
+  console.log('');
+}
 
+/**
+ * Make a wallet profile the default for `call` and `wallet` (`wallet use <name>`).
+ * @param {string} name
+ */
+function useWalletProfile(name) {
+  if (!name) {
+    log.error('Missing wallet name (usage: npx x402-bazaar wallet use <name>)');
     console.log('');
-    log.separator();
+    process.exit(1);
+  }
+  try {
+    setActiveWallet(name);
+  } catch (err) {
+    log.error(err.message);
     console.log('');
+    process.exit(1);
+  }
+  log.success(`Active wallet: ${chalk.bold(name)}`);
+  log.dim(`  File: ${getWalletPath(name)}`);
+  console.log('');
+}
 
-    log.info('Next steps:');
-    console.log('');
-    log.dim('  1. Fund this wallet with USDC on Base:');
-    log.dim(`     Send USDC to ${chalk.hex('#34D399')(account.address)}`);
-    log.dim('     + a tiny amount of ETH for gas (~$0.01)');
+/**
+ * Encrypt an existing plaintext wallet file in place.
+ * @param {string} profile - wallet profile name
+ */
+async function migrateWallet(profile) {
+  const walletPath = getWalletPath(profile);
+
+  let data;
+  try {
+    data = readWalletFile(walletPath);
+  } catch (err) {
+    log.error(err.message);
     console.log('');
-    log.dim('  2. Call paid APIs automatically:');
-    log.dim(`     ${chalk.cyan('npx x402-bazaar call /api/weather --param city=Paris')}`);
-    log.dim('     (auto-payment will use your saved wallet)');
+    process.exit(1);
+  }
+
+  if (!data) {
+    log.error(`No wallet file found at ${walletPath}`);
+    log.dim('  Create one with: npx x402-bazaar wallet --setup');
     console.log('');
-    log.dim('  3. The CLI reads your wallet file automatically — no need to export the key.');
-    log.dim(`     The private key is stored securely in: ${walletPath}`);
+    process.exit(1);
+  }
+
+  if (isEncryptedWallet(data)) {
+    log.success('Wallet is already encrypted — nothing to do.');
+    log.dim(`  File: ${walletPath}`);
     console.log('');
+    return;
+  }
 
-    log.warn('Keep your private key safe! Anyone with it can spend your funds.');
-    log.dim(`  Backup: ${walletPath}`);
+  let privateKey;
+  try {
+    privateKey = await unlockWallet(data);
+  } catch (err) {
+    log.error(err.message);
     console.log('');
+    process.exit(1);
+  }
+
+  log.info(`Encrypting ${chalk.dim(walletPath)}`);
+  console.log('');
 
+  let password;
+  try {
+    password = await askWalletPassword({ message: 'Choose a wallet password:', confirm: true });
   } catch (err) {
-    spinner.fail('Wallet generation failed');
+    log.error(err.message);
     console.log('');
+    process.exit(1);
+  }
+
+  const spinner = ora('Encrypting wallet...').start();
+  let encrypted;
+  try {
+    encrypted = await encryptWallet(privateKey, password, {
+      network: data.network || null,
+      created: data.created,
+    });
+    // Check the keystore opens before the plaintext copy is replaced (legacy files may hold upper-case hex)
+    if ((await unlockWallet(encrypted, password)).toLowerCase() !== privateKey.toLowerCase()) {
+      throw new Error('Encrypted wallet did not round-trip');
+    }
+    writeWalletFile(encrypted, walletPath);
+    spinner.succeed('Wallet encrypted');
+  } catch (err) {
+    spinner.fail('Migration failed — wallet file left unchanged');
     log.error(err.message);
     console.log('');
     process.exit(1);
   }
+
+  console.log('');
+  log.info(`Address:  ${chalk.hex('#34D399')(getWalletAddress(encrypted))}`);
+  log.dim('  `call` will ask for the password when a payment is due.');
+  log.dim('  For scripts and agents, set X402_WALLET_PASSWORD instead.');
+  console.log('');
 }
 
 function maskAddress(address) {
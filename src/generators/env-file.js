@@ -1,3 +1,5 @@
+import { getChain } from '../lib/chains.js';
+
 /**
  * Generate the .env file content for the MCP server.
  */
@@ -6,6 +8,7 @@ export function generateEnvContent({
   maxBudget = '1.00',
   network = 'mainnet',
   agentPrivateKey = '',
+  agentKeyRef = '',
   coinbaseApiKey = '',
   coinbaseApiSecret = '',
 }) {
@@ -22,7 +25,12 @@ MAX_BUDGET_USDC=${maxBudget}
 NETWORK=${network}
 `;
 
-  if (agentPrivateKey) {
+  if (agentKeyRef) {
+    content += `
+# Agent wallet private key — stored outside this file, resolved by x402-launcher.mjs
+AGENT_PRIVATE_KEY_REF=${agentKeyRef}
+`;
+  } else if (agentPrivateKey) {
     content += `
 # Agent wallet private key (Ethereum)
 # WARNING: Keep this secret! Never commit to git.
@@ -32,14 +40,15 @@ AGENT_PRIVATE_KEY=${agentPrivateKey}
 
   // Polygon facilitator env vars (gas-free payments via PIP-82)
   if (network === 'polygon') {
+    const polygon = getChain('polygon');
     content += `
 # Polygon x402 Facilitator (gas-free payments via PIP-82)
-POLYGON_FACILITATOR_URL=https://x402.polygon.technology
-POLYGON_FEE_SPLITTER_CONTRACT=0x820d4b07D09e5E07598464E6E36cB12561e0Ba56
+POLYGON_FACILITATOR_URL=${polygon.facilitator}
+POLYGON_FEE_SPLITTER_CONTRACT=${polygon.feeSplitter}
 `;
   }
 
-  if (!agentPrivateKey && coinbaseApiKey) {
+  if (!agentPrivateKey && !agentKeyRef && coinbaseApiKey) {
     content += `
 # Coinbase Developer Platform API credentials (legacy mode)
 # Get yours at: https://portal.cdp.coinbase.com/
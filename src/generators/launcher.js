@@ -0,0 +1,50 @@
+/** File names written next to mcp-server.mjs in the install directory. */
+export const LAUNCHER_FILE = 'x402-launcher.mjs';
+export const SECRET_STORE_FILE = 'secret-store.mjs';
+
+/**
+ * Generate the MCP launcher script. At startup it:
+ *   1. loads the .env next to it (variables already set by the client config win),
+ *   2. resolves AGENT_PRIVATE_KEY_REF (OS keychain or obfuscated file, see
+ *      src/lib/secret-store.js) into AGENT_PRIVATE_KEY, in memory only,
+ *   3. runs mcp-server.mjs.
+ * Either way the key never has to appear in the AI client config.
+ */
+export function generateLauncherContent() {
+  return `// x402 Bazaar MCP launcher — generated by: npx x402-bazaar init
+// Loads .env from this directory and resolves the agent key reference, then runs mcp-server.mjs.
+import { readFileSync } from 'fs';
+import { resolveSecretRef } from './${SECRET_STORE_FILE}';
+
+// stdout carries the MCP protocol — report on stderr only
+function fail(message) {
+  console.error(\`[x402-bazaar] \${message}\`);
+  console.error('[x402-bazaar] Re-run: npx x402-bazaar init');
+  process.exit(1);
+}
+
+let envText = null;
+try {
+  envText = readFileSync(new URL('./.env', import.meta.url), 'utf-8');
+} catch (err) {
+  if (err.code !== 'ENOENT') fail(\`Could not read .env: \${err.message}\`);
+}
+for (const line of (envText || '').split(/\\r?\\n/)) {
+  const match = /^\\s*([A-Za-z_][A-Za-z0-9_]*)\\s*=\\s*(.*?)\\s*$/.exec(line);
+  if (!match || line.trim().startsWith('#')) continue;
+  const value = match[2].replace(/^(['"])(.*)\\1$/, '$2');
+  if (process.env[match[1]] === undefined) process.env[match[1]] = value;
+}
+
+const ref = process.env.AGENT_PRIVATE_KEY_REF;
+if (ref && !process.env.AGENT_PRIVATE_KEY) {
+  try {
+    process.env.AGENT_PRIVATE_KEY = resolveSecretRef(ref).trim();
+  } catch (err) {
+    fail(\`Could not load the agent key (\${ref}): \${err.message}\`);
+  }
+}
+
+await import('./mcp-server.mjs');
+`;
+}
@@ -1,8 +1,14 @@
 import { join } from 'path';
 import { platform } from 'os';
+import { getChain } from '../lib/chains.js';
+import { LAUNCHER_FILE } from './launcher.js';
 
 /**
  * Generate the MCP server config JSON for the target environment.
+ * With `agentKeyRef`, the config holds only a reference to the agent key (OS keychain or
+ * obfuscated file) and starts the launcher, which resolves it before loading mcp-server.mjs.
+ * With `envFile`, the config has no `env` block at all: the launcher reads every setting
+ * from the install directory's .env, which stays the single source of truth.
  */
 export function generateMcpConfig({
   environment,       // 'claude-desktop' | 'cursor' | 'claude-code' | 'generic'
@@ -11,11 +17,14 @@ export function generateMcpConfig({
   maxBudget = '1.00',
   network = 'mainnet',
   agentPrivateKey = '',
+  agentKeyRef = '',
   coinbaseApiKey = '',
   coinbaseApiSecret = '',
   readOnly = false,
+  envFile = false,
 }) {
-  const mcpServerPath = join(installDir, 'mcp-server.mjs');
+  const useLauncher = !readOnly && (envFile || !!agentKeyRef);
+  const mcpServerPath = join(installDir, useLauncher ? LAUNCHER_FILE : 'mcp-server.mjs');
 
   const env = {
     X402_SERVER_URL: serverUrl,
@@ -24,7 +33,9 @@ export function generateMcpConfig({
   };
 
   if (!readOnly) {
-    if (agentPrivateKey) {
+    if (agentKeyRef) {
+      env.AGENT_PRIVATE_KEY_REF = agentKeyRef;
+    } else if (agentPrivateKey) {
       env.AGENT_PRIVATE_KEY = agentPrivateKey;
     } else if (coinbaseApiKey) {
       env.COINBASE_API_KEY = coinbaseApiKey;
@@ -34,15 +45,16 @@ export function generateMcpConfig({
 
   // Polygon facilitator — gas-free payments via PIP-82
   if (network === 'polygon') {
-    env.POLYGON_FACILITATOR_URL = 'https://x402.polygon.technology';
-    env.POLYGON_FEE_SPLITTER_CONTRACT = '0x820d4b07D09e5E07598464E6E36cB12561e0Ba56';
+    const polygon = getChain('polygon');
+    env.POLYGON_FACILITATOR_URL = polygon.facilitator;
+    env.POLYGON_FEE_SPLITTER_CONTRACT = polygon.feeSplitter;
   }
 
   const serverEntry = {
     command: 'node',
     args: [mcpServerPath],
-    env,
   };
+  if (readOnly || !envFile) serverEntry.env = env;
 
   // Format for the target environment
   switch (environment) {
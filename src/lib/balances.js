@@ -0,0 +1,189 @@
+import { listChains } from './chains.js';
+
+const BALANCE_OF_SELECTOR = '0x70a08231';
+const RPC_TIMEOUT_MS = 15000;
+
+/**
+ * Minimal JSON-RPC call over fetch (no viem), so balance views stay fast to start.
+ *
+ * @param {object} chain - chain registry entry
+ * @param {string} method
+ * @param {Array} params
+ * @returns {Promise<any>} the `result` field
+ * @throws {Error} on HTTP, RPC or timeout errors
+ */
+export async function rpcCall(chain, method, params) {
+  const res = await fetch(chain.rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(RPC_TIMEOUT_MS),
+  });
+
+  if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+
+  const body = await res.json();
+  if (body.error) throw new Error(body.error.message || 'RPC error');
+  if (body.result === undefined || body.result === null) throw new Error('No result from RPC');
+  return body.result;
+}
+
+/**
+ * USDC and native gas token balances of `address` on one chain.
+ *
+ * @param {object} chain - chain registry entry
+ * @param {string} address
+ * @returns {Promise<{ usdcRaw: bigint, nativeRaw: bigint }>}
+ */
+export async function getChainBalances(chain, address) {
+  const data = BALANCE_OF_SELECTOR + address.slice(2).toLowerCase().padStart(64, '0');
+  const [usdcHex, nativeHex] = await Promise.all([
+    rpcCall(chain, 'eth_call', [{ to: chain.usdc, data }, 'latest']),
+    rpcCall(chain, 'eth_getBalance', [address, 'latest']),
+  ]);
+  return { usdcRaw: BigInt(usdcHex), nativeRaw: BigInt(nativeHex) };
+}
+
+/**
+ * Gas status for a chain: a payer holding USDC but no native token cannot pay,
+ * unless someone else covers gas on that chain (see `gasSponsor` in chains.js).
+ *
+ * @param {object} chain
+ * @param {{ usdcRaw: bigint, nativeRaw: bigint }} balances
+ * @returns {{ gasNeeded: boolean, warning: string|null }}
+ */
+export function assessGas(chain, { usdcRaw, nativeRaw }) {
+  const gasNeeded = !chain.gasSponsor;
+  if (gasNeeded && usdcRaw > 0n && nativeRaw === 0n) {
+    return {
+      gasNeeded,
+      warning: `No ${chain.nativeSymbol} for gas on ${chain.label} — payments there will fail until you send a little ${chain.nativeSymbol}.`,
+    };
+  }
+  return { gasNeeded, warning: null };
+}
+
+/**
+ * Format a raw token amount with `decimals` decimals, trimmed to `digits` places.
+ * @param {bigint} raw
+ * @param {number} decimals
+ * @param {number} digits
+ * @returns {string}
+ */
+export function formatUnitsFixed(raw, decimals, digits) {
+  const base = 10n ** BigInt(decimals);
+  const whole = raw / base;
+  const frac = (raw % base).toString().padStart(decimals, '0').slice(0, digits);
+  return digits > 0 ? `${whole}.${frac}` : whole.toString();
+}
+
+/**
+ * Balances on every registered chain (mainnets, or test networks with `testnet`).
+ * A chain whose RPC fails is reported with `error` instead of failing the whole view.
+ *
+ * @param {string} address
+ * @param {object} [opts]
+ * @param {boolean} [opts.testnet=false]
+ * @param {object[]} [opts.chains] - override the chain list
+ * @returns {Promise<{
+ *   key: string, label: string, chainId: number, nativeSymbol: string,
+ *   usdcRaw: bigint|null, nativeRaw: bigint|null, usdc: string|null, native: string|null,
+ *   gasNeeded: boolean, warning: string|null, error: string|null,
+ * }[]>}
+ */
+export async function getAllBalances(address, { testnet = false, chains } = {}) {
+  const selected = chains || listChains().filter(c => !!c.testnet === testnet);
+
+  return Promise.all(selected.map(async (chain) => {
+    const row = {
+      key: chain.key,
+      label: chain.label,
+      chainId: chain.chainId,
+      nativeSymbol: chain.nativeSymbol,
+      usdcRaw: null,
+      nativeRaw: null,
+      usdc: null,
+      native: null,
+      gasNeeded: !chain.gasSponsor,
+      warning: null,
+      error: null,
+    };
+    try {
+      const balances = await getChainBalances(chain, address);
+      Object.assign(row, balances, assessGas(chain, balances), {
+        usdc: formatUnitsFixed(balances.usdcRaw, 6, 6),
+        native: formatUnitsFixed(balances.nativeRaw, 18, 6),
+      });
+    } catch (err) {
+      if (err.name === 'TimeoutError' || err.name === 'AbortError') row.error = 'RPC timeout';
+      else if (err.cause?.code) row.error = `Cannot connect to RPC (${err.cause.code})`;
+      else row.error = err.message;
+    }
+    return row;
+  }));
+}
+
+/**
+ * Whether a deposit has arrived on `chain`: the USDC balance grew by at least `minUsdcRaw`
+ * over `baselineUsdcRaw` and, unless gas is sponsored there, the wallet holds some native
+ * token for gas.
+ *
+ * @param {object} chain
+ * @param {{ usdcRaw: bigint, nativeRaw: bigint }} balances
+ * @param {bigint} [minUsdcRaw=1n]
+ * @param {bigint} [baselineUsdcRaw=0n] - USDC balance before the deposit
+ * @returns {{ usdc: boolean, gas: boolean, funded: boolean }}
+ */
+export function fundingStatus(chain, { usdcRaw, nativeRaw }, minUsdcRaw = 1n, baselineUsdcRaw = 0n) {
+  const usdc = usdcRaw - baselineUsdcRaw >= minUsdcRaw;
+  const gas = !!chain.gasSponsor || nativeRaw > 0n;
+  return { usdc, gas, funded: usdc && gas };
+}
+
+/**
+ * Poll balances on one chain until a deposit has arrived (see fundingStatus) or the
+ * timeout expires. The first successful poll is the baseline: USDC already in the wallet
+ * does not count. RPC errors are passed to `onPoll` and polling continues.
+ *
+ * @param {object} chain
+ * @param {string} address
+ * @param {object} [opts]
+ * @param {bigint} [opts.minUsdcRaw=1n]
+ * @param {number} [opts.intervalMs=10000]
+ * @param {number} [opts.timeoutMs=900000]
+ * @param {(poll: { balances: object|null, status: object|null, error: Error|null, remainingMs: number, baselineUsdcRaw: bigint|null }) => void} [opts.onPoll]
+ * @param {(ms: number) => Promise<void>} [opts.sleep] - injectable for tests
+ * @param {() => number} [opts.now]
+ * @returns {Promise<{ funded: boolean, balances: object|null, baselineUsdcRaw: bigint|null }>}
+ */
+export async function waitForFunds(chain, address, {
+  minUsdcRaw = 1n,
+  intervalMs = 10_000,
+  timeoutMs = 900_000,
+  onPoll = () => {},
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  now = Date.now,
+} = {}) {
+  const deadline = now() + timeoutMs;
+  let last = null;
+  let baselineUsdcRaw = null;
+
+  for (;;) {
+    let status = null;
+    let error = null;
+    try {
+      last = await getChainBalances(chain, address);
+      if (baselineUsdcRaw === null) baselineUsdcRaw = last.usdcRaw;
+      status = fundingStatus(chain, last, minUsdcRaw, baselineUsdcRaw);
+    } catch (err) {
+      error = err;
+    }
+
+    const remainingMs = Math.max(0, deadline - now());
+    onPoll({ balances: last, status, error, remainingMs, baselineUsdcRaw });
+    if (status?.funded) return { funded: true, balances: last, baselineUsdcRaw };
+    if (remainingMs === 0) return { funded: false, balances: last, baselineUsdcRaw };
+
+    await sleep(Math.min(intervalMs, remainingMs));
+  }
+}
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getConfigDir } from './user-config.js';
+import { findChain } from './chains.js';
+
+/** A cached catalog younger than this is used without refetching. */
+export const CATALOG_MAX_AGE_MS = 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Cache file of a server's `/api/services` catalog (~/.x402-bazaar/cache/services-<hash>.json).
+ * @param {string} serverUrl
+ * @returns {string}
+ */
+export function getCatalogCachePath(serverUrl) {
+  const id = createHash('sha256').update(serverUrl.replace(/\/+$/, '')).digest('hex').slice(0, 12);
+  return path.join(getConfigDir(), 'cache', `services-${id}.json`);
+}
+
+function readCache(serverUrl) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(getCatalogCachePath(serverUrl), 'utf-8'));
+    return Array.isArray(cached.services) ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The service catalog of `serverUrl` — the same data `list` shows — from the local cache
+ * when it is fresh, else from `/api/services`. If the server cannot be reached, a stale
+ * cache is returned rather than nothing.
+ *
+ * @param {string} serverUrl
+ * @param {object} [opts]
+ * @param {boolean} [opts.refresh=false] - ignore a fresh cache
+ * @param {number} [opts.maxAgeMs=CATALOG_MAX_AGE_MS]
+ * @param {number} [opts.now=Date.now()]
+ * @returns {Promise<{ services: object[], fetchedAt: string, fromCache: boolean }>}
+ * @throws {Error} if the catalog cannot be fetched and nothing is cached
+ */
+export async function loadCatalog(serverUrl, { refresh = false, maxAgeMs = CATALOG_MAX_AGE_MS, now = Date.now() } = {}) {
+  const cached = readCache(serverUrl);
+  if (cached && !refresh && now - new Date(cached.fetchedAt).getTime() < maxAgeMs) {
+    return { services: cached.services, fetchedAt: cached.fetchedAt, fromCache: true };
+  }
+
+  let services;
+  try {
+    const res = await fetch(`${serverUrl}/api/services`, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    const data = await res.json();
+    services = data.data || data.services || (Array.isArray(data) ? data : null);
+    if (!Array.isArray(services)) throw new Error('Unexpected /api/services response');
+  } catch (err) {
+    if (cached) return { services: cached.services, fetchedAt: cached.fetchedAt, fromCache: true };
+    throw new Error(`Could not load the service catalog: ${err.message}`);
+  }
+
+  const entry = { fetchedAt: new Date(now).toISOString(), serverUrl, services };
+  try {
+    const cachePath = getCatalogCachePath(serverUrl);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(entry), 'utf-8');
+  } catch { /* the cache is an optimization */ }
+
+  return { services, fetchedAt: entry.fetchedAt, fromCache: false };
+}
+
+function endpointPath(value) {
+  if (!value) return null;
+  try {
+    return new URL(value).pathname;
+  } catch {
+    return value.startsWith('/') ? value.split('?')[0] : `/${value.split('?')[0]}`;
+  }
+}
+
+/**
+ * Find the catalog entry for a call by the requested endpoint path. The service ID a 402
+ * response declares is never used for the lookup (a server could name a pricier listing);
+ * compareWithCatalog() cross-checks it against the entry instead.
+ *
+ * @param {object[]} services
+ * @param {{ endpoint: string }} call
+ * @returns {object|null}
+ */
+export function findCatalogEntry(services, { endpoint }) {
+  return services.find(s => endpointPath(s.endpoint || s.url) === endpoint) || null;
+}
+
+/**
+ * Compare a catalog entry with the 402 payment details. Pure function.
+ *
+ * Blocking differences: a declared service ID other than the entry's, a price above the
+ * catalog price, a chain the service is not listed on, or a payee other than the listed
+ * wallet. The payee is the split provider wallet, else `payTo` — which may also be the
+ * chain's FeeSplitter or a configured platform wallet. A lower price is reported but does
+ * not block.
+ *
+ * @param {object} entry - from findCatalogEntry()
+ * @param {object} payment
+ * @param {number|string} payment.price
+ * @param {object} payment.chain - chain registry entry the payment would use
+ * @param {string|null} [payment.providerWallet] - split mode only
+ * @param {string|null} [payment.payTo] - recipient of the payment in the other modes
+ * @param {string|null} [payment.serviceId] - service ID declared in the 402 response
+ * @param {string[]} [payment.platformWallets] - `platformWallet` from the user config
+ * @returns {{ field: string, catalog: string, payment: string, blocking: boolean, note: string|null }[]}
+ */
+export function compareWithCatalog(entry, { price, chain, providerWallet = null, payTo = null, serviceId = null, platformWallets = [] }) {
+  const diffs = [];
+
+  if (serviceId != null && entry.id != null && String(serviceId) !== String(entry.id)) {
+    diffs.push({
+      field: 'service id',
+      catalog: String(entry.id),
+      payment: String(serviceId),
+      blocking: true,
+      note: 'the 402 names another listing',
+    });
+  }
+
+  const listedMicro = Math.round(Number(entry.price) * 1e6);
+  const askedMicro = Math.round(Number(price) * 1e6);
+  if (entry.price != null && Number.isFinite(listedMicro) && askedMicro !== listedMicro) {
+    diffs.push({
+      field: 'price',
+      catalog: `${Number(entry.price)} USDC`,
+      payment: `${Number(price)} USDC`,
+      blocking: askedMicro > listedMicro,
+      note: askedMicro > listedMicro ? 'price increase' : 'lower than listed',
+    });
+  }
+
+  const listedChains = [].concat(entry.chains || entry.networks || entry.chain || [])
+    .map(c => (typeof c === 'object' && c !== null ? c.network || c.chain : c))
+    .filter(Boolean);
+  if (chain && listedChains.length > 0) {
+    // Catalogs list mainnets; a --testnet call on the matching test network is not a mismatch
+    const listed = listedChains.map(c => findChain(c));
+    const matches = listed.some(c => c && (c.key === chain.key || c.testnetKey === chain.key));
+    if (!matches) {
+      diffs.push({
+        field: 'chain',
+        catalog: listedChains.join(', '),
+        payment: chain.key,
+        blocking: true,
+        note: null,
+      });
+    }
+  }
+
+  const listedWallet = entry.provider_wallet || entry.owner_address || entry.wallet_address || null;
+  const payee = providerWallet || payTo;
+  if (listedWallet && payee) {
+    const allowed = [listedWallet];
+    // Legacy and fee_splitter payments go to the marketplace, which pays the provider
+    if (!providerWallet) allowed.push(chain?.feeSplitter, ...platformWallets);
+    if (!allowed.some(a => typeof a === 'string' && a.toLowerCase() === payee.toLowerCase())) {
+      diffs.push({
+        field: providerWallet ? 'provider wallet' : 'recipient',
+        catalog: listedWallet,
+        payment: payee,
+        blocking: true,
+        note: null,
+      });
+    }
+  }
+
+  return diffs;
+}
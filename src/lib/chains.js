@@ -0,0 +1,266 @@
+import { loadUserConfig, getUserConfigPath } from './user-config.js';
+
+/**
+ * Supported payment networks.
+ *
+ * Plain data only (no viem import) so that every command can read the registry cheaply;
+ * lib/payment.js turns an entry into a viem chain when it needs to sign or send.
+ *
+ * Each entry describes everything a command needs to talk to the chain:
+ *   key          - canonical name used by --network / --chain flags
+ *   aliases      - alternative names (init/config historically use "mainnet" / "testnet")
+ *   label        - human-readable name
+ *   chainId      - EVM chain ID
+ *   rpcUrl       - public JSON-RPC endpoint
+ *   usdc         - USDC token contract (6 decimals)
+ *   explorer     - block explorer base URL (no trailing slash)
+ *   nativeSymbol - gas token symbol (18 decimals)
+ *   gasSponsor   - who pays gas when the payer does not need the native token (null = payer pays)
+ *   paymentHeader - value sent in X-Payment-Chain on retry (null = server default, Base mainnet)
+ *   facilitator  - x402 facilitator URL, when one exists for this chain
+ *   eip3009      - EIP-712 { name, version } of the USDC contract when it supports EIP-3009
+ *                  transferWithAuthorization (gasless, facilitator-settled payments), else null
+ *   feeSplitter  - FeeSplitter contract used in fee_splitter mode, when deployed
+ *   testnet      - true for test networks
+ *   testnetKey   - key of the matching test network (mainnets only), used by --testnet
+ *   faucet       - where to get free test USDC (testnets only)
+ */
+const BUILTIN_CHAINS = {
+  base: {
+    key: 'base',
+    aliases: ['mainnet', 'base-mainnet'],
+    label: 'Base Mainnet',
+    chainId: 8453,
+    rpcUrl: 'https://mainnet.base.org',
+    usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    explorer: 'https://basescan.org',
+    nativeSymbol: 'ETH',
+    gasSponsor: null,
+    paymentHeader: null,
+    facilitator: null,
+    eip3009: { name: 'USD Coin', version: '2' },
+    feeSplitter: null,
+    testnet: false,
+    testnetKey: 'base-sepolia',
+  },
+  'base-sepolia': {
+    key: 'base-sepolia',
+    aliases: ['testnet', 'sepolia'],
+    label: 'Base Sepolia',
+    chainId: 84532,
+    rpcUrl: 'https://sepolia.base.org',
+    usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    explorer: 'https://sepolia.basescan.org',
+    nativeSymbol: 'ETH',
+    gasSponsor: null,
+    paymentHeader: 'base-sepolia',
+    facilitator: null,
+    eip3009: { name: 'USDC', version: '2' },
+    feeSplitter: null,
+    testnet: true,
+    faucet: 'https://faucet.circle.com',
+  },
+  skale: {
+    key: 'skale',
+    aliases: ['skale-base', 'skale-on-base'],
+    label: 'SKALE on Base',
+    chainId: 1187947933,
+    rpcUrl: 'https://skale-base.skalenodes.com/v1/base',
+    usdc: '0x85889c8c714505E0c94b30fcfcF64fE3Ac8FCb20',
+    explorer: 'https://skale-base-explorer.skalenodes.com',
+    nativeSymbol: 'CREDITS',
+    gasSponsor: 'CREDITS are auto-funded',
+    paymentHeader: 'skale',
+    facilitator: null,
+    eip3009: null,
+    feeSplitter: null,
+    testnet: false,
+  },
+  polygon: {
+    key: 'polygon',
+    aliases: ['matic', 'polygon-mainnet'],
+    label: 'Polygon',
+    chainId: 137,
+    rpcUrl: 'https://polygon-bor-rpc.publicnode.com',
+    usdc: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+    explorer: 'https://polygonscan.com',
+    nativeSymbol: 'POL',
+    gasSponsor: null, // the facilitator pays gas for its own settlements only; direct transfers need POL
+    paymentHeader: 'polygon',
+    facilitator: 'https://x402.polygon.technology',
+    eip3009: { name: 'USD Coin', version: '2' },
+    feeSplitter: '0x820d4b07D09e5E07598464E6E36cB12561e0Ba56',
+    testnet: false,
+  },
+};
+
+let customChainsCache = null;
+
+/**
+ * Build a registry entry from a user config "chains" item.
+ *
+ * Expected shape (in ~/.x402-bazaar/config.json):
+ *   { "chains": { "my-l2": { "chainId": 12345, "rpcUrl": "https://…", "usdc": "0x…",
+ *                             "label": "My L2", "explorer": "https://…", "nativeSymbol": "ETH",
+ *                             "eip3009": { "name": "USD Coin", "version": "2" } } } }
+ *
+ * @param {string} name - config key; the registry key and aliases are lowercased, as findChain() matches
+ * @param {object} def
+ * @returns {object}
+ * @throws {Error} on missing or malformed fields
+ */
+export function buildCustomChain(name, def) {
+  const key = String(name).trim().toLowerCase();
+  const where = `custom chain "${name}" in ${getUserConfigPath()}`;
+  if (!def || typeof def !== 'object') throw new Error(`Invalid ${where}`);
+  if (!Number.isInteger(def.chainId) || def.chainId <= 0) {
+    throw new Error(`Invalid ${where}: "chainId" must be a positive integer`);
+  }
+  if (typeof def.rpcUrl !== 'string' || !/^https?:\/\//.test(def.rpcUrl)) {
+    throw new Error(`Invalid ${where}: "rpcUrl" must be an http(s) URL`);
+  }
+  if (typeof def.usdc !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(def.usdc)) {
+    throw new Error(`Invalid ${where}: "usdc" must be a contract address`);
+  }
+  if (def.eip3009 != null && (typeof def.eip3009?.name !== 'string' || typeof def.eip3009?.version !== 'string')) {
+    throw new Error(`Invalid ${where}: "eip3009" must be { "name": "…", "version": "…" }`);
+  }
+
+  return {
+    key,
+    aliases: Array.isArray(def.aliases) ? def.aliases.map(a => String(a).trim().toLowerCase()) : [],
+    label: def.label || name,
+    chainId: def.chainId,
+    rpcUrl: def.rpcUrl,
+    usdc: def.usdc,
+    explorer: (def.explorer || '').replace(/\/+$/, ''),
+    nativeSymbol: def.nativeSymbol || 'ETH',
+    gasSponsor: def.gasSponsor || null,
+    paymentHeader: def.paymentHeader || key,
+    facilitator: def.facilitator || null,
+    eip3009: def.eip3009 || null,
+    feeSplitter: def.feeSplitter || null,
+    testnet: !!def.testnet,
+    custom: true,
+  };
+}
+
+/**
+ * Load custom chains from the user config file (cached for the process lifetime).
+ * Custom entries cannot shadow a built-in chain key.
+ * @returns {object[]}
+ */
+function loadCustomChains() {
+  if (customChainsCache) return customChainsCache;
+
+  const defs = loadUserConfig().chains || {};
+  customChainsCache = Object.entries(defs)
+    .filter(([key]) => !BUILTIN_CHAINS[key.trim().toLowerCase()])
+    .map(([key, def]) => buildCustomChain(key, def));
+  return customChainsCache;
+}
+
+/**
+ * Forget cached custom chains (the next lookup re-reads the user config file).
+ */
+export function resetChainCache() {
+  customChainsCache = null;
+}
+
+/**
+ * All known chains: built-ins first, then custom chains from the user config.
+ * @returns {object[]}
+ */
+export function listChains() {
+  return [...Object.values(BUILTIN_CHAINS), ...loadCustomChains()];
+}
+
+/**
+ * Find a chain by key, alias or numeric chain ID. Returns null when unknown.
+ * @param {string|number} nameOrId
+ * @returns {object|null}
+ */
+export function findChain(nameOrId) {
+  if (nameOrId == null || nameOrId === '') return null;
+  const needle = String(nameOrId).trim().toLowerCase();
+
+  return listChains().find(c =>
+    c.key === needle ||
+    c.aliases.includes(needle) ||
+    String(c.chainId) === needle
+  ) || null;
+}
+
+/**
+ * Resolve a chain by key, alias or numeric chain ID.
+ * @param {string|number} [nameOrId='base']
+ * @returns {object}
+ * @throws {Error} if the chain is unknown
+ */
+export function getChain(nameOrId = 'base') {
+  const chain = findChain(nameOrId);
+  if (!chain) {
+    const known = listChains().map(c => c.key).join(', ');
+    throw new Error(`Unknown network: ${nameOrId} (supported: ${known})`);
+  }
+  return chain;
+}
+
+/**
+ * Resolve the chain selected by a command's --network / --testnet flags.
+ * --testnet switches to the test network of the selected chain (Base → Base Sepolia).
+ *
+ * @param {object} options
+ * @param {string} [options.network] - chain key, alias or chain ID (default: base)
+ * @param {boolean} [options.testnet] - use the matching test network
+ * @returns {object}
+ * @throws {Error} if the chain is unknown or has no test network
+ */
+export function resolveChainOption({ network, testnet } = {}) {
+  const chain = getChain(network || 'base');
+  if (!testnet || chain.testnet) return chain;
+  if (!chain.testnetKey) {
+    throw new Error(`${chain.label} has no test network (--testnet is available for: ${
+      listChains().filter(c => c.testnetKey).map(c => c.key).join(', ')
+    })`);
+  }
+  return getChain(chain.testnetKey);
+}
+
+/**
+ * EIP-712 domain of a chain's USDC contract, for EIP-3009 transfer authorizations.
+ * @param {object} chain - registry entry
+ * @returns {{ name: string, version: string, chainId: number, verifyingContract: string }}
+ * @throws {Error} if USDC on that chain does not support EIP-3009
+ */
+export function usdcDomain(chain) {
+  if (!chain.eip3009) {
+    throw new Error(`USDC on ${chain.label} does not support gasless (EIP-3009) authorizations`);
+  }
+  return {
+    name: chain.eip3009.name,
+    version: chain.eip3009.version,
+    chainId: chain.chainId,
+    verifyingContract: chain.usdc,
+  };
+}
+
+/**
+ * Explorer link for a transaction.
+ * @param {object} chain - registry entry
+ * @param {string} txHash
+ * @returns {string}
+ */
+export function explorerTxUrl(chain, txHash) {
+  return chain.explorer ? `${chain.explorer}/tx/${txHash}` : txHash;
+}
+
+/**
+ * Explorer link for an address.
+ * @param {object} chain - registry entry
+ * @param {string} address
+ * @returns {string}
+ */
+export function explorerAddressUrl(chain, address) {
+  return chain.explorer ? `${chain.explorer}/address/${address}` : address;
+}
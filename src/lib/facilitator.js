@@ -0,0 +1,202 @@
+/**
+ * HTTP client for x402 facilitators (https://x402.org): `/supported`, `/verify`, `/settle`.
+ *
+ * Every failure is an Error with a `code`, so callers can tell "the payment is wrong"
+ * from "the facilitator is down":
+ *   FACILITATOR_UNAVAILABLE - network error, timeout, HTTP 5xx or a non-JSON answer
+ *   FACILITATOR_UNSUPPORTED - the facilitator does not handle this scheme, network or asset
+ *   PAYMENT_INVALID         - /verify rejected the signed payload (signature, balance, amount…)
+ *   SETTLEMENT_FAILED       - /settle answered but did not execute the transfer
+ * Errors also carry the `endpoint` that failed. FACILITATOR_UNAVAILABLE on '/settle' means
+ * the outcome is unknown: the facilitator may still execute the signed authorization.
+ */
+
+export const FACILITATOR_UNAVAILABLE = 'FACILITATOR_UNAVAILABLE';
+export const FACILITATOR_UNSUPPORTED = 'FACILITATOR_UNSUPPORTED';
+export const PAYMENT_INVALID = 'PAYMENT_INVALID';
+export const SETTLEMENT_FAILED = 'SETTLEMENT_FAILED';
+
+const CHECK_TIMEOUT_MS = 15000;
+const SETTLE_TIMEOUT_MS = 30000;
+
+/** Plain-language explanations of common x402 `invalidReason` values. */
+const INVALID_REASONS = {
+  insufficient_funds: 'the wallet does not hold enough USDC',
+  invalid_exact_evm_payload_signature: 'the signature does not match the payer',
+  invalid_exact_evm_payload_authorization_value: 'the signed amount does not match the price',
+  invalid_exact_evm_payload_authorization_valid_after: 'the authorization is not valid yet (check the system clock)',
+  invalid_exact_evm_payload_authorization_valid_before: 'the authorization has expired (check the system clock)',
+  invalid_exact_evm_payload_recipient_mismatch: 'the signed recipient does not match payTo',
+  invalid_network: 'the facilitator does not accept this network',
+  invalid_scheme: 'the facilitator does not accept this scheme',
+};
+
+function facilitatorError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * Explain an x402 `invalidReason` code.
+ * @param {string|null} reason
+ * @returns {string}
+ */
+export function describeInvalidReason(reason) {
+  if (!reason) return 'no reason given';
+  return INVALID_REASONS[reason] ? `${INVALID_REASONS[reason]} (${reason})` : reason;
+}
+
+/**
+ * Call a facilitator endpoint. A 404 resolves to `{ status: 404, data: null }` so optional
+ * endpoints can be skipped; anything that means "the facilitator is not working" throws
+ * FACILITATOR_UNAVAILABLE.
+ */
+async function request(facilitatorUrl, endpoint, { body = null, timeoutMs }) {
+  const url = `${facilitatorUrl.replace(/\/+$/, '')}${endpoint}`;
+  let res;
+  try {
+    res = await fetch(url, {
+      method: body ? 'POST' : 'GET',
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `no answer after ${timeoutMs / 1000}s` : (err.cause?.code || err.message);
+    throw facilitatorError(FACILITATOR_UNAVAILABLE, `Facilitator unreachable (${url}): ${reason}`, { endpoint });
+  }
+
+  if (res.status === 404) return { status: 404, data: null };
+  if (res.status >= 500) {
+    throw facilitatorError(FACILITATOR_UNAVAILABLE, `Facilitator error on ${endpoint}: HTTP ${res.status}`, { endpoint });
+  }
+
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    throw facilitatorError(
+      FACILITATOR_UNAVAILABLE,
+      `Facilitator returned an invalid response on ${endpoint} (HTTP ${res.status})`,
+      { endpoint },
+    );
+  }
+  return { status: res.status, data };
+}
+
+/**
+ * Confirm the facilitator handles a payment kind, using `GET /supported`
+ * ({ kinds: [{ x402Version, scheme, network, extra? }] }). Facilitators without the
+ * endpoint are not blocked. Assets are only checked when a kind lists them.
+ *
+ * @param {string} facilitatorUrl
+ * @param {{ scheme: string, network: string, asset: string }} requirements
+ * @returns {Promise<boolean>} false when /supported is not implemented
+ * @throws {Error} FACILITATOR_UNSUPPORTED or FACILITATOR_UNAVAILABLE
+ */
+export async function checkSupported(facilitatorUrl, { scheme, network, asset }) {
+  const { status, data } = await request(facilitatorUrl, '/supported', { timeoutMs: CHECK_TIMEOUT_MS });
+  if (status === 404) return false;
+  if (!Array.isArray(data?.kinds)) {
+    throw facilitatorError(
+      FACILITATOR_UNAVAILABLE,
+      `Facilitator returned an invalid /supported response (HTTP ${status})`,
+      { endpoint: '/supported' },
+    );
+  }
+
+  const kind = data.kinds.find(k => k.scheme === scheme && k.network === network);
+  if (!kind) {
+    const offered = data.kinds.map(k => `${k.scheme} on ${k.network}`).join(', ') || 'nothing';
+    throw facilitatorError(
+      FACILITATOR_UNSUPPORTED,
+      `Facilitator does not support ${scheme} payments on ${network} (supports: ${offered})`,
+      { endpoint: '/supported' },
+    );
+  }
+
+  const assets = kind.extra?.assets || kind.assets;
+  if (Array.isArray(assets) && assets.length > 0) {
+    const listed = assets.map(a => String(typeof a === 'object' ? a.address : a).toLowerCase());
+    if (!listed.includes(asset.toLowerCase())) {
+      throw facilitatorError(
+        FACILITATOR_UNSUPPORTED,
+        `Facilitator does not support asset ${asset} on ${network}`,
+        { endpoint: '/supported' },
+      );
+    }
+  }
+  return true;
+}
+
+/**
+ * Ask the facilitator whether a signed payment would settle (`POST /verify`). Nothing
+ * moves on-chain. Facilitators without the endpoint are not blocked.
+ *
+ * @param {string} facilitatorUrl
+ * @param {object} paymentPayload - { x402Version, scheme, network, payload: { signature, authorization } }
+ * @param {object} paymentRequirements
+ * @returns {Promise<boolean>} false when /verify is not implemented
+ * @throws {Error} PAYMENT_INVALID (with `invalidReason`) or FACILITATOR_UNAVAILABLE
+ */
+export async function verifyPayment(facilitatorUrl, paymentPayload, paymentRequirements) {
+  const { status, data } = await request(facilitatorUrl, '/verify', {
+    body: { x402Version: paymentPayload.x402Version, paymentPayload, paymentRequirements },
+    timeoutMs: CHECK_TIMEOUT_MS,
+  });
+  if (status === 404) return false;
+  if (typeof data?.isValid !== 'boolean') {
+    throw facilitatorError(
+      FACILITATOR_UNAVAILABLE,
+      `Facilitator returned an invalid /verify response (HTTP ${status})`,
+      { endpoint: '/verify' },
+    );
+  }
+  if (!data.isValid) {
+    throw facilitatorError(
+      PAYMENT_INVALID,
+      `Payment rejected by the facilitator: ${describeInvalidReason(data.invalidReason)}`,
+      { endpoint: '/verify', invalidReason: data.invalidReason || null },
+    );
+  }
+  return true;
+}
+
+/**
+ * Have the facilitator execute a signed payment on-chain (`POST /settle`).
+ *
+ * @param {string} facilitatorUrl
+ * @param {object} paymentPayload
+ * @param {object} paymentRequirements
+ * @returns {Promise<string>} transaction hash
+ * @throws {Error} SETTLEMENT_FAILED (with `errorReason`), FACILITATOR_UNSUPPORTED or
+ *   FACILITATOR_UNAVAILABLE (see settlementOutcomeUnknown())
+ */
+export async function settlePayment(facilitatorUrl, paymentPayload, paymentRequirements) {
+  const { status, data } = await request(facilitatorUrl, '/settle', {
+    body: { x402Version: paymentPayload.x402Version, paymentPayload, paymentRequirements },
+    timeoutMs: SETTLE_TIMEOUT_MS,
+  });
+  if (status === 404) {
+    throw facilitatorError(FACILITATOR_UNSUPPORTED, 'Facilitator has no /settle endpoint (HTTP 404)', { endpoint: '/settle' });
+  }
+
+  if (!data?.success) {
+    throw facilitatorError(
+      SETTLEMENT_FAILED,
+      `Facilitator settlement failed: ${data?.errorReason || 'unknown'} — ` +
+      `${data?.errorMessage || JSON.stringify(data)}`,
+      { endpoint: '/settle', errorReason: data?.errorReason || null },
+    );
+  }
+  return data.transaction;
+}
+
+/**
+ * Whether a facilitator error leaves it unknown if the payment went through: /settle
+ * was sent but no usable answer came back. Paying again another way could pay twice.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function settlementOutcomeUnknown(err) {
+  return err?.code === FACILITATOR_UNAVAILABLE && err.endpoint === '/settle';
+}
@@ -0,0 +1,160 @@
+import { rpcCall } from './balances.js';
+
+/** keccak256("Transfer(address,address,uint256)") */
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+/** Blocks per eth_getLogs request; halved automatically when an RPC rejects the range. */
+const DEFAULT_CHUNK = 10_000;
+const MIN_CHUNK = 100;
+
+const topicForAddress = (address) => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+const addressFromTopic = (topic) => '0x' + topic.slice(-40);
+
+/**
+ * Decode a USDC Transfer log.
+ * @param {object} log - eth_getLogs entry
+ * @returns {{ from: string, to: string, amountRaw: bigint, txHash: string, blockNumber: number, logIndex: number }}
+ */
+export function decodeTransferLog(log) {
+  return {
+    from: addressFromTopic(log.topics[1]),
+    to: addressFromTopic(log.topics[2]),
+    amountRaw: BigInt(log.data),
+    txHash: log.transactionHash,
+    blockNumber: Number(BigInt(log.blockNumber)),
+    logIndex: Number(BigInt(log.logIndex)),
+  };
+}
+
+/**
+ * Addresses the CLI can put a name on, keyed by lower-case address.
+ *
+ * Sources, later ones winning: wallet profiles on this machine, recipients recorded
+ * in the local payment ledger (split mode: provider + platform; facilitator and x402
+ * modes: the payee — a fee splitter, recipient or third-party API), the `platformWallet`
+ * user config key, and FeeSplitter contracts from the chain registry. A legacy payment
+ * names its payee as the platform only when it is one of those platform wallets: any
+ * server can ask for a legacy transfer, so its recipient is otherwise left unnamed.
+ *
+ * @param {object} p
+ * @param {object[]} p.chains   - chain registry entries
+ * @param {object[]} [p.ledger] - from readLedger()
+ * @param {string|string[]} [p.platformWallet] - from the user config
+ * @param {{ name: string, address: string|null }[]} [p.wallets] - from listWallets()
+ * @returns {Map<string, { label: string, kind: 'platform'|'fee-splitter'|'provider'|'own' }>}
+ */
+export function buildKnownRecipients({ chains, ledger = [], platformWallet = [], wallets = [] }) {
+  const known = new Map();
+  const add = (address, label, kind) => {
+    if (typeof address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(address)) {
+      known.set(address.toLowerCase(), { label, kind });
+    }
+  };
+
+  for (const w of wallets) add(w.address, `wallet "${w.name}"`, 'own');
+
+  for (const entry of ledger) {
+    const recipients = entry.recipients || [];
+    if (entry.mode === 'split') {
+      add(recipients[0], `provider (${entry.endpoint})`, 'provider');
+      add(recipients[1], 'x402 Bazaar platform', 'platform');
+    } else if (entry.mode !== 'legacy') {
+      const where = entry.mode === 'x402' && entry.server ? `${entry.server}${entry.endpoint}` : entry.endpoint;
+      for (const address of recipients) add(address, `payee (${where})`, 'provider');
+    }
+  }
+
+  for (const address of [].concat(platformWallet || [])) add(address, 'x402 Bazaar platform', 'platform');
+
+  for (const chain of chains) {
+    if (chain.feeSplitter) add(chain.feeSplitter, 'x402 Bazaar FeeSplitter', 'fee-splitter');
+  }
+
+  return known;
+}
+
+/**
+ * Index ledger entries by transaction hash, to show which endpoint a transfer paid for.
+ * @param {object[]} ledger
+ * @returns {Map<string, object>}
+ */
+export function indexLedgerByTx(ledger) {
+  const byTx = new Map();
+  for (const entry of ledger) {
+    for (const hash of entry.txHashes || []) {
+      if (hash) byTx.set(String(hash).toLowerCase(), entry);
+    }
+  }
+  return byTx;
+}
+
+/**
+ * Estimate the first block at or after `since` from the average block time of the
+ * last 1000 blocks (exact enough to pick a scan window; rows show real block times).
+ *
+ * @param {object} chain
+ * @param {number} since - epoch ms
+ * @returns {Promise<{ fromBlock: number, latest: number }>}
+ */
+export async function estimateBlockSince(chain, since) {
+  const latest = Number(BigInt(await rpcCall(chain, 'eth_blockNumber', [])));
+  const sample = Math.min(1000, latest);
+  const [head, past] = await Promise.all([
+    rpcCall(chain, 'eth_getBlockByNumber', ['0x' + latest.toString(16), false]),
+    rpcCall(chain, 'eth_getBlockByNumber', ['0x' + (latest - sample).toString(16), false]),
+  ]);
+  const headTime = Number(BigInt(head.timestamp));
+  const blockTime = sample > 0 ? Math.max((headTime - Number(BigInt(past.timestamp))) / sample, 0.1) : 1;
+  const blocksBack = Math.ceil(Math.max(headTime - since / 1000, 0) / blockTime);
+  return { fromBlock: Math.max(latest - blocksBack, 0), latest };
+}
+
+/**
+ * USDC transfers sent from `address` on one chain, newest first.
+ * Scans backwards in chunks so a `limit` can stop the scan early.
+ *
+ * @param {object} chain
+ * @param {string} address
+ * @param {object} opts
+ * @param {number} opts.fromBlock
+ * @param {number} opts.toBlock
+ * @param {number} [opts.limit=Infinity]
+ * @returns {Promise<object[]>} decoded transfers with `timestamp` (epoch ms)
+ */
+export async function fetchOutgoingTransfers(chain, address, { fromBlock, toBlock, limit = Infinity }) {
+  const transfers = [];
+  let chunk = DEFAULT_CHUNK;
+  let end = toBlock;
+
+  while (end >= fromBlock && transfers.length < limit) {
+    const start = Math.max(fromBlock, end - chunk + 1);
+    let logs;
+    try {
+      logs = await rpcCall(chain, 'eth_getLogs', [{
+        address: chain.usdc,
+        topics: [TRANSFER_TOPIC, topicForAddress(address)],
+        fromBlock: '0x' + start.toString(16),
+        toBlock: '0x' + end.toString(16),
+      }]);
+    } catch (err) {
+      // Public RPCs cap the block range or result size; retry with a smaller window
+      if (chunk > MIN_CHUNK) {
+        chunk = Math.floor(chunk / 2);
+        continue;
+      }
+      throw err;
+    }
+    transfers.push(...logs.map(decodeTransferLog).sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex));
+    end = start - 1;
+  }
+
+  const selected = transfers.slice(0, limit);
+
+  // Block timestamps, one request per distinct block
+  const times = new Map();
+  for (const blockNumber of new Set(selected.map(t => t.blockNumber))) {
+    const block = await rpcCall(chain, 'eth_getBlockByNumber', ['0x' + blockNumber.toString(16), false]);
+    times.set(blockNumber, Number(BigInt(block.timestamp)) * 1000);
+  }
+  return selected.map(t => ({ ...t, timestamp: times.get(t.blockNumber) }));
+}
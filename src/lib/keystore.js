@@ -0,0 +1,134 @@
+import {
+  randomBytes,
+  randomUUID,
+  scryptSync,
+  pbkdf2Sync,
+  createCipheriv,
+  createDecipheriv,
+  timingSafeEqual,
+} from 'crypto';
+import { keccak256 } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+/**
+ * Ethereum V3 keystore ("Web3 Secret Storage"): the private key is encrypted with
+ * AES-128-CTR under a key derived from the password with scrypt (or PBKDF2 when
+ * reading files written by other tools). The format is the one used by geth,
+ * MetaMask exports, ethers and foundry, so wallets can move between them.
+ */
+
+/** geth "standard" scrypt cost — about a second to unlock on a laptop. */
+export const DEFAULT_SCRYPT_PARAMS = { n: 262144, r: 8, p: 1 };
+
+const CIPHER = 'aes-128-ctr';
+
+function deriveKey(kdf, params, password) {
+  const salt = Buffer.from(params.salt, 'hex');
+  const dklen = params.dklen || 32;
+
+  if (kdf === 'scrypt') {
+    const { n, r, p } = params;
+    return scryptSync(Buffer.from(password, 'utf-8'), salt, dklen, {
+      N: n,
+      r,
+      p,
+      maxmem: 2 * 128 * n * r * p,
+    });
+  }
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') throw new Error(`Unsupported keystore PBKDF2 prf: ${params.prf}`);
+    return pbkdf2Sync(Buffer.from(password, 'utf-8'), salt, params.c, dklen, 'sha256');
+  }
+  throw new Error(`Unsupported keystore kdf: ${kdf}`);
+}
+
+function computeMac(derivedKey, ciphertext) {
+  return Buffer.from(
+    keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).slice(2),
+    'hex'
+  );
+}
+
+/**
+ * True if `data` looks like a V3 keystore (some tools write `Crypto` capitalised).
+ * @param {object} data
+ * @returns {boolean}
+ */
+export function isKeystore(data) {
+  return !!(data && (data.crypto || data.Crypto) && Number(data.version) === 3);
+}
+
+/**
+ * Encrypt a private key into a V3 keystore object.
+ *
+ * @param {string} privateKey - Hex private key (with 0x prefix)
+ * @param {string} password
+ * @param {{ n: number, r: number, p: number }} [scryptParams=DEFAULT_SCRYPT_PARAMS]
+ * @returns {object} V3 keystore (JSON-serialisable)
+ */
+export function encryptKeystore(privateKey, password, scryptParams = DEFAULT_SCRYPT_PARAMS) {
+  if (!password) throw new Error('A password is required to encrypt the wallet');
+
+  const account = privateKeyToAccount(privateKey);
+  const salt = randomBytes(32);
+  const iv = randomBytes(16);
+  const kdfparams = { dklen: 32, ...scryptParams, salt: salt.toString('hex') };
+  const derivedKey = deriveKey('scrypt', kdfparams, password);
+
+  const cipher = createCipheriv(CIPHER, derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(privateKey.slice(2), 'hex')),
+    cipher.final(),
+  ]);
+
+  return {
+    version: 3,
+    id: randomUUID(),
+    address: account.address.slice(2).toLowerCase(),
+    crypto: {
+      cipher: CIPHER,
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: computeMac(derivedKey, ciphertext).toString('hex'),
+    },
+  };
+}
+
+/**
+ * Decrypt a V3 keystore.
+ *
+ * @param {object} keystore - Parsed V3 keystore JSON
+ * @param {string} password
+ * @returns {string} Hex private key (with 0x prefix)
+ * @throws {Error} "Incorrect wallet password" when the MAC does not match, or if the key
+ *   does not belong to the keystore's `address`
+ */
+export function decryptKeystore(keystore, password) {
+  if (!isKeystore(keystore)) throw new Error('Not a V3 keystore');
+
+  const c = keystore.crypto || keystore.Crypto;
+  if (c.cipher !== CIPHER) throw new Error(`Unsupported keystore cipher: ${c.cipher}`);
+
+  const ciphertext = Buffer.from(c.ciphertext, 'hex');
+  const derivedKey = deriveKey(c.kdf, c.kdfparams, password ?? '');
+  const mac = computeMac(derivedKey, ciphertext);
+  const expected = Buffer.from(c.mac, 'hex');
+
+  if (mac.length !== expected.length || !timingSafeEqual(mac, expected)) {
+    throw new Error('Incorrect wallet password');
+  }
+
+  const decipher = createDecipheriv(CIPHER, derivedKey.subarray(0, 16), Buffer.from(c.cipherparams.iv, 'hex'));
+  const key = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  const privateKey = '0x' + key.toString('hex').padStart(64, '0');
+
+  if (keystore.address) {
+    const address = privateKeyToAccount(privateKey).address.slice(2).toLowerCase();
+    if (address !== String(keystore.address).replace(/^0x/i, '').toLowerCase()) {
+      throw new Error('Keystore is corrupt: the decrypted key does not match its address');
+    }
+  }
+  return privateKey;
+}
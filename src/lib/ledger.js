@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { getConfigDir, loadUserConfig } from './user-config.js';
+
+/** A session ends after this many minutes without a payment (unless X402_SESSION_ID is set). */
+const DEFAULT_SESSION_IDLE_MINUTES = 30;
+
+/**
+ * Path of the append-only payment ledger (~/.x402-bazaar/ledger.jsonl).
+ * @returns {string}
+ */
+export function getLedgerPath() {
+  return path.join(getConfigDir(), 'ledger.jsonl');
+}
+
+function getSessionPath() {
+  return path.join(getConfigDir(), 'session.json');
+}
+
+function ensureConfigDir() {
+  const dir = getConfigDir();
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a timestamp.
+ * @param {string|number|Date} when
+ * @returns {string}
+ */
+export function dayKey(when) {
+  const d = new Date(when);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Resolve the current spending session.
+ *
+ * X402_SESSION_ID pins the session explicitly (e.g. one ID per agent run).
+ * Otherwise the session lives in ~/.x402-bazaar/session.json and rotates after
+ * `idleMinutes` without a payment.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.now=Date.now()]
+ * @param {number} [opts.idleMinutes]
+ * @param {boolean} [opts.persist=true] - false: compute the session without starting or
+ *   rotating it on disk (dry runs)
+ * @returns {string} session ID
+ */
+export function resolveSession({ now = Date.now(), idleMinutes = DEFAULT_SESSION_IDLE_MINUTES, persist = true } = {}) {
+  if (process.env.X402_SESSION_ID) return process.env.X402_SESSION_ID;
+
+  const sessionPath = getSessionPath();
+  try {
+    const current = JSON.parse(fs.readFileSync(sessionPath, 'utf-8'));
+    if (current.id && now - new Date(current.lastActivity).getTime() < idleMinutes * 60_000) {
+      return current.id;
+    }
+  } catch { /* missing or corrupt — start a new session */ }
+
+  const id = randomBytes(4).toString('hex');
+  if (!persist) return id;
+  ensureConfigDir();
+  fs.writeFileSync(sessionPath, JSON.stringify({
+    id,
+    started: new Date(now).toISOString(),
+    lastActivity: new Date(now).toISOString(),
+  }, null, 2), 'utf-8');
+  return id;
+}
+
+function touchSession(id, now) {
+  if (process.env.X402_SESSION_ID) return;
+  const sessionPath = getSessionPath();
+  try {
+    const current = JSON.parse(fs.readFileSync(sessionPath, 'utf-8'));
+    if (current.id !== id) return;
+    current.lastActivity = new Date(now).toISOString();
+    fs.writeFileSync(sessionPath, JSON.stringify(current, null, 2), 'utf-8');
+  } catch { /* ignore */ }
+}
+
+/**
+ * Read all ledger entries (oldest first). Malformed lines are skipped.
+ * @returns {object[]}
+ */
+export function readLedger() {
+  const ledgerPath = getLedgerPath();
+  if (!fs.existsSync(ledgerPath)) return [];
+
+  return fs.readFileSync(ledgerPath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try { return JSON.parse(line); } catch { return null; }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Append a payment to the ledger.
+ *
+ * @param {object} payment
+ * @param {string} payment.url        - Full API URL that was paid for
+ * @param {string} payment.chain      - Chain registry key (base, skale, polygon, …)
+ * @param {string} payment.mode       - 'legacy' | 'split' | 'facilitator' | 'x402'
+ * @param {number|string} payment.amount - Total amount in USDC
+ * @param {string[]} payment.txHashes
+ * @param {string[]} [payment.recipients]
+ * @param {string} [payment.from]     - Paying wallet address
+ * @param {number} [payment.now=Date.now()]
+ * @returns {object} the stored entry
+ */
+export function recordPayment({ url, chain, mode, amount, txHashes, recipients = [], from = null, now = Date.now() }) {
+  const idleMinutes = getBudgetLimits().sessionIdleMinutes;
+  const session = resolveSession({ now, idleMinutes });
+
+  let endpoint = url;
+  let server = null;
+  try {
+    const parsed = new URL(url);
+    endpoint = parsed.pathname;
+    server = parsed.origin;
+  } catch { /* keep raw url */ }
+
+  const entry = {
+    timestamp: new Date(now).toISOString(),
+    session,
+    server,
+    endpoint,
+    chain,
+    mode,
+    amount: Number(amount),
+    txHashes,
+    recipients,
+    from,
+  };
+
+  ensureConfigDir();
+  const ledgerPath = getLedgerPath();
+  fs.appendFileSync(ledgerPath, JSON.stringify(entry) + '\n', 'utf-8');
+  try { fs.chmodSync(ledgerPath, 0o600); } catch {}
+  touchSession(session, now);
+
+  return entry;
+}
+
+/**
+ * Spending caps from the user config file ("budget" key). Missing caps are null (no limit).
+ *
+ *   { "budget": { "perCall": 0.05, "perDay": 2, "perSession": 1, "sessionIdleMinutes": 30 } }
+ *
+ * @returns {{ perCall: number|null, perDay: number|null, perSession: number|null, sessionIdleMinutes: number }}
+ */
+export function getBudgetLimits() {
+  const budget = loadUserConfig().budget || {};
+  const cap = (v) => (v == null || v === '' || isNaN(Number(v)) ? null : Number(v));
+  return {
+    perCall: cap(budget.perCall),
+    perDay: cap(budget.perDay),
+    perSession: cap(budget.perSession),
+    sessionIdleMinutes: cap(budget.sessionIdleMinutes) ?? DEFAULT_SESSION_IDLE_MINUTES,
+  };
+}
+
+/**
+ * Check whether paying `amount` stays within the configured caps.
+ * Pure function — callers pass the ledger entries and the current session.
+ *
+ * @param {number|string} amount - Price of the call in USDC
+ * @param {object} ctx
+ * @param {object} ctx.limits   - from getBudgetLimits()
+ * @param {object[]} ctx.entries - from readLedger()
+ * @param {string} ctx.session  - from resolveSession()
+ * @param {number} [ctx.now=Date.now()]
+ * @returns {{ ok: boolean, violations: { limit: string, cap: number, spent: number, amount: number }[] }}
+ */
+export function checkBudget(amount, { limits, entries, session, now = Date.now() }) {
+  const price = Number(amount);
+  const today = dayKey(now);
+  const sum = (list) => list.reduce((acc, e) => acc + (Number(e.amount) || 0), 0);
+  const violations = [];
+
+  // Compare in micro-USDC to avoid float drift (0.1 + 0.2 > 0.3)
+  const exceeds = (spent, cap) => Math.round((spent + price) * 1e6) > Math.round(cap * 1e6);
+
+  if (limits.perCall != null && exceeds(0, limits.perCall)) {
+    violations.push({ limit: 'perCall', cap: limits.perCall, spent: 0, amount: price });
+  }
+  if (limits.perDay != null) {
+    const spent = sum(entries.filter(e => dayKey(e.timestamp) === today));
+    if (exceeds(spent, limits.perDay)) {
+      violations.push({ limit: 'perDay', cap: limits.perDay, spent, amount: price });
+    }
+  }
+  if (limits.perSession != null) {
+    const spent = sum(entries.filter(e => e.session === session));
+    if (exceeds(spent, limits.perSession)) {
+      violations.push({ limit: 'perSession', cap: limits.perSession, spent, amount: price });
+    }
+  }
+
+  return { ok: violations.length === 0, violations };
+}
@@ -0,0 +1,109 @@
+import { validateMnemonic as hasValidChecksum } from '@scure/bip39';
+import { generateMnemonic, mnemonicToAccount, english } from 'viem/accounts';
+
+/**
+ * BIP-39 recovery phrases and BIP-44 account derivation (m/44'/60'/0'/0/<index>),
+ * the layout MetaMask, Ledger and most EVM wallets use. One phrase backs up any
+ * number of paying accounts: each agent gets its own index.
+ */
+
+export const DEFAULT_WORD_COUNT = 12;
+const WORD_COUNTS = [12, 15, 18, 21, 24];
+const MAX_INDEX = 2 ** 31 - 1;
+
+/**
+ * @param {number} index
+ * @returns {string} BIP-44 Ethereum derivation path for the account index
+ */
+export function derivationPath(index) {
+  return `m/44'/60'/0'/0/${index}`;
+}
+
+/**
+ * Parse an --index option (non-hardened BIP-44 address index).
+ * @param {string|number|undefined} value
+ * @returns {number} 0 when the option is absent
+ * @throws {Error} if the value is not an integer in [0, 2^31)
+ */
+export function parseAccountIndex(value) {
+  if (value == null || value === '') return 0;
+  const str = String(value).trim();
+  const n = Number(str);
+  if (!/^\d+$/.test(str) || n > MAX_INDEX) {
+    throw new Error(`Invalid --index: ${value} (expected an integer from 0 to ${MAX_INDEX})`);
+  }
+  return n;
+}
+
+/**
+ * Generate a new recovery phrase.
+ * @param {number} [wordCount=12] - 12, 15, 18, 21 or 24
+ * @returns {string}
+ */
+export function createMnemonic(wordCount = DEFAULT_WORD_COUNT) {
+  if (!WORD_COUNTS.includes(wordCount)) {
+    throw new Error(`Recovery phrases have ${WORD_COUNTS.join(', ')} words`);
+  }
+  return generateMnemonic(english, (wordCount / 3) * 32);
+}
+
+/**
+ * Lower-case a phrase and collapse whitespace (pasted phrases often contain newlines).
+ * @param {string} phrase
+ * @returns {string}
+ */
+export function normalizeMnemonic(phrase) {
+  return String(phrase ?? '').trim().toLowerCase().split(/\s+/).filter(Boolean).join(' ');
+}
+
+/**
+ * Check word count, wordlist membership and the BIP-39 checksum.
+ * @param {string} phrase
+ * @returns {string} the normalized phrase
+ * @throws {Error} describing what is wrong with the phrase
+ */
+export function validateMnemonic(phrase) {
+  const normalized = normalizeMnemonic(phrase);
+  const words = normalized ? normalized.split(' ') : [];
+
+  if (!WORD_COUNTS.includes(words.length)) {
+    throw new Error(`Recovery phrase has ${words.length} words (expected ${WORD_COUNTS.join(', ')})`);
+  }
+
+  const unknown = words.filter(w => !english.includes(w));
+  if (unknown.length > 0) {
+    throw new Error(`Not in the BIP-39 English wordlist: ${unknown.join(', ')}`);
+  }
+
+  if (!hasValidChecksum(normalized, english)) {
+    throw new Error('Recovery phrase checksum does not match — check the words and their order');
+  }
+  return normalized;
+}
+
+/**
+ * Derive the paying account at `index` from a recovery phrase.
+ * @param {string} phrase
+ * @param {number} [index=0]
+ * @returns {{ privateKey: string, address: string, path: string }}
+ * @throws {Error} if the phrase is invalid
+ */
+export function deriveAccountFromMnemonic(phrase, index = 0) {
+  const normalized = validateMnemonic(phrase);
+  const account = mnemonicToAccount(normalized, { path: derivationPath(index) });
+  const privateKey = '0x' + Buffer.from(account.getHdKey().privateKey).toString('hex');
+  return { privateKey, address: account.address, path: derivationPath(index) };
+}
+
+/**
+ * Numbered grid of the phrase words, four per line, for log.box().
+ * @param {string} phrase
+ * @returns {string}
+ */
+export function formatMnemonicGrid(phrase) {
+  const words = normalizeMnemonic(phrase).split(' ');
+  const cells = words.map((w, i) => `${String(i + 1).padStart(2)}. ${w.padEnd(9)}`);
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 4) rows.push(cells.slice(i, i + 4).join(' ').trimEnd());
+  return rows.join('\n');
+}
@@ -1,9 +1,10 @@
-import { createWalletClient, createPublicClient, http, parseUnits, encodeFunctionData } from 'viem';
-import { base, polygon } from 'viem/chains';
+import { createWalletClient, createPublicClient, defineChain, http, parseUnits, encodeFunctionData } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { randomBytes } from 'crypto';
+import { getChain, usdcDomain, explorerTxUrl, explorerAddressUrl } from './chains.js';
+import { checkSupported, verifyPayment, settlePayment } from './facilitator.js';
+import { TRANSFER_TOPIC, decodeTransferLog } from './history.js';
 
-const USDC_CONTRACT = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
 const USDC_ABI = [
   {
     name: 'transfer',
@@ -26,58 +27,69 @@ const USDC_ABI = [
 /** Minimum amount in micro-USDC (6 decimals) to allow a split payment. */
 const MIN_SPLIT_AMOUNT_RAW = 100n; // 0.0001 USDC
 
-/** USDC contract on Polygon mainnet (Circle native, 6 decimals). */
-const POLYGON_USDC_CONTRACT = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+/** Error code: the provider share of a split was paid but the platform share was not. */
+export const SPLIT_INCOMPLETE = 'SPLIT_INCOMPLETE';
 
 /**
- * Build viem wallet + public clients for Base mainnet.
- * @param {string} privateKey
- * @returns {{ walletClient, publicClient, account }}
+ * Turn a chain registry entry into a viem chain definition.
+ * @param {object} chain - entry from lib/chains.js
+ * @returns {object}
  */
-function buildClients(privateKey) {
-  const account = privateKeyToAccount(privateKey);
-  const transport = http('https://mainnet.base.org');
-  const walletClient = createWalletClient({ account, chain: base, transport });
-  const publicClient = createPublicClient({ chain: base, transport });
-  return { walletClient, publicClient, account };
+function toViemChain(chain) {
+  return defineChain({
+    id: chain.chainId,
+    name: chain.label,
+    nativeCurrency: { name: chain.nativeSymbol, symbol: chain.nativeSymbol, decimals: 18 },
+    rpcUrls: { default: { http: [chain.rpcUrl] } },
+    testnet: chain.testnet,
+  });
 }
 
 /**
- * Build viem wallet + public clients for Polygon mainnet.
+ * Build viem wallet + public clients for a registry chain (Base mainnet by default).
  * @param {string} privateKey
- * @returns {{ walletClient, publicClient, account }}
+ * @param {string} [network='base'] - chain key, alias or chain ID (see lib/chains.js)
+ * @returns {{ walletClient, publicClient, account, chain: object, usdcContract: string }}
  */
-function buildPolygonClients(privateKey) {
+function buildClients(privateKey, network = 'base') {
+  const chain = getChain(network);
   const account = privateKeyToAccount(privateKey);
-  const transport = http('https://polygon-bor-rpc.publicnode.com');
-  const walletClient = createWalletClient({ account, chain: polygon, transport });
-  const publicClient = createPublicClient({ chain: polygon, transport });
-  return { walletClient, publicClient, account };
+  const viemChain = toViemChain(chain);
+  const transport = http(chain.rpcUrl);
+  const walletClient = createWalletClient({ account, chain: viemChain, transport });
+  const publicClient = createPublicClient({ chain: viemChain, transport });
+  return { walletClient, publicClient, account, chain, usdcContract: chain.usdc };
+}
+
+/**
+ * Build a read-only public client for a registry chain.
+ * @param {string} [network='base']
+ * @returns {{ publicClient, chain: object }}
+ */
+function buildPublicClient(network = 'base') {
+  const chain = getChain(network);
+  const publicClient = createPublicClient({ chain: toViemChain(chain), transport: http(chain.rpcUrl) });
+  return { publicClient, chain };
 }
 
 /**
  * Sign an EIP-3009 TransferWithAuthorization off-chain (zero gas).
- * Used for Polygon facilitator payments.
+ * Used for facilitator payments and standard x402 `exact` payments, on any chain
+ * whose USDC supports EIP-3009 (see `eip3009` in lib/chains.js).
  *
- * @param {object} walletClient - viem wallet client (Polygon chain)
+ * @param {object} walletClient - viem wallet client
  * @param {object} account - viem account
  * @param {string} amountRaw - amount as string (integer, 6 decimals)
  * @param {string} to - recipient address
  * @param {number} validAfter - unix timestamp (usually 0)
  * @param {number} validBefore - unix timestamp (5 min from now)
+ * @param {object} domain - EIP-712 domain of the token, e.g. usdcDomain(chain)
  * @returns {{ signature: string, authorization: object }}
  */
-async function signEIP3009Auth(walletClient, account, amountRaw, to, validAfter, validBefore) {
+async function signEIP3009Auth(walletClient, account, amountRaw, to, validAfter, validBefore, domain) {
   // Random bytes32 nonce (EIP-3009 uses random nonces, not sequential)
   const nonce = '0x' + randomBytes(32).toString('hex');
 
-  const domain = {
-    name: 'USD Coin',
-    version: '2',
-    chainId: 137,
-    verifyingContract: POLYGON_USDC_CONTRACT,
-  };
-
   const types = {
     TransferWithAuthorization: [
       { name: 'from',        type: 'address' },
@@ -119,12 +131,42 @@ async function signEIP3009Auth(walletClient, account, amountRaw, to, validAfter,
 }
 
 /**
- * Pay via Polygon facilitator (EIP-3009, gas-free for the user).
+ * Sign an EIP-3009 transfer authorization for a standard x402 `exact` payment
+ * (see lib/x402.js). Nothing is sent: whoever receives the signature settles it.
+ *
+ * @param {string} privateKey
+ * @param {object} opts
+ * @param {string} opts.network - chain key the token lives on
+ * @param {string} opts.to - payTo address
+ * @param {bigint} opts.amountRaw - amount in token base units
+ * @param {number} opts.validAfter - unix timestamp
+ * @param {number} opts.validBefore - unix timestamp
+ * @param {object} opts.domain - EIP-712 domain { name, version, chainId, verifyingContract }
+ * @returns {Promise<{ signature: string, authorization: object }>}
+ */
+export async function signTransferAuthorization(privateKey, { network, to, amountRaw, validAfter, validBefore, domain }) {
+  const { walletClient, account } = buildClients(privateKey, network);
+  return signEIP3009Auth(walletClient, account, amountRaw.toString(), to, validAfter, validBefore, domain);
+}
+
+/**
+ * Amount signed in the EIP-3009 authorization for a facilitator payment (6 decimals).
+ * @param {number|string} amountUsdc - payment_details.amount from the 402 response
+ * @returns {bigint}
+ */
+export function computeFacilitatorAmountRaw(amountUsdc) {
+  return BigInt(Math.round(parseFloat(amountUsdc) * 1e6));
+}
+
+/**
+ * Pay via an x402 facilitator (EIP-3009, gas-free for the user).
  *
  * Flow:
- *   1. Sign EIP-3009 TransferWithAuthorization off-chain ($0 gas)
- *   2. POST to facilitator /settle — facilitator executes on-chain
- *   3. Return the txHash from the facilitator
+ *   1. GET /supported — the facilitator handles `exact` USDC payments on this chain
+ *   2. Sign EIP-3009 TransferWithAuthorization off-chain ($0 gas)
+ *   3. POST /verify — the facilitator checks signature, balance and amount
+ *   4. POST /settle — facilitator executes on-chain
+ *   5. Return the txHash from the facilitator
  *
  * @param {string}  privateKey     - Hex private key (with 0x prefix)
  * @param {string}  facilitatorUrl - Base URL of the facilitator (e.g. https://x402.polygon.technology)
@@ -132,114 +174,147 @@ async function signEIP3009Auth(walletClient, account, amountRaw, to, validAfter,
  * @param {string}  details.amount    - Amount in USDC (e.g. "0.01")
  * @param {string}  details.recipient - Recipient address (FeeSplitter contract or platform wallet)
  * @param {string}  apiUrl         - Original API URL (used as resource in paymentRequirements)
+ * @param {string}  [network='polygon'] - chain key; USDC there must support EIP-3009
+ * @param {object}  [opts]
+ * @param {(step: 'supported'|'sign'|'verify'|'settle') => void} [opts.onStep] - progress callback
  * @returns {string} txHash
- * @throws {Error} if the facilitator rejects the settlement
+ * @throws {Error} with a `code` from lib/facilitator.js when the facilitator is unavailable,
+ *   does not support the payment, or rejects it
  */
-export async function sendViaFacilitator(privateKey, facilitatorUrl, details, apiUrl) {
-  const { walletClient, account } = buildPolygonClients(privateKey);
+export async function sendViaFacilitator(privateKey, facilitatorUrl, details, apiUrl, network = 'polygon', { onStep } = {}) {
+  const clients = buildClients(privateKey, network);
+
+  return settleViaFacilitator(clients, facilitatorUrl, {
+    amountRaw:   computeFacilitatorAmountRaw(details.amount),
+    to:          details.recipient,
+    resource:    apiUrl,
+    description: 'x402 Bazaar API payment',
+    onStep,
+  });
+}
 
-  const cost = parseFloat(details.amount);
-  const amountRaw = BigInt(Math.round(cost * 1e6));
+/**
+ * Sign an EIP-3009 authorization and have the facilitator execute it (steps 1-5 above).
+ *
+ * @param {{ walletClient, account, chain: object, usdcContract: string }} clients - from buildClients()
+ * @param {string} facilitatorUrl
+ * @param {object} p
+ * @param {bigint} p.amountRaw   - micro-USDC
+ * @param {string} p.to          - recipient
+ * @param {string} p.resource    - URL the payment is for
+ * @param {string} p.description
+ * @param {Function} [p.onStep]  - see sendViaFacilitator()
+ * @returns {Promise<string>} txHash
+ * @throws {Error} with a `code` from lib/facilitator.js
+ */
+async function settleViaFacilitator(clients, facilitatorUrl, { amountRaw, to, resource, description, onStep = () => {} }) {
+  const { walletClient, account, chain, usdcContract } = clients;
+  const domain = usdcDomain(chain);
 
   const validAfter = 0;
   const validBefore = Math.floor(Date.now() / 1000) + 300; // 5 minutes
 
-  const recipient = details.recipient;
+  const paymentRequirements = {
+    scheme:            'exact',
+    network:           chain.key,
+    maxAmountRequired: amountRaw.toString(),
+    resource,
+    description,
+    mimeType:          'application/json',
+    payTo:             to,
+    asset:             usdcContract,
+    maxTimeoutSeconds: 60,
+    extra:             { name: domain.name, version: domain.version },
+  };
 
-  // Step 1: Sign EIP-3009 TransferWithAuthorization off-chain (zero gas)
+  // Step 1: make sure the facilitator handles this scheme, network and asset before signing
+  onStep('supported');
+  await checkSupported(facilitatorUrl, paymentRequirements);
+
+  // Step 2: Sign EIP-3009 TransferWithAuthorization off-chain (zero gas)
+  onStep('sign');
   const { signature, authorization } = await signEIP3009Auth(
     walletClient,
     account,
     amountRaw.toString(),
-    recipient,
+    to,
     validAfter,
     validBefore,
+    domain,
   );
 
-  // Step 2: Build x402 paymentPayload (Version 1, exact scheme, EVM)
+  // x402 paymentPayload (Version 1, exact scheme, EVM)
   const paymentPayload = {
     x402Version: 1,
     scheme:      'exact',
-    network:     'polygon',
+    network:     chain.key,
     payload:     { signature, authorization },
   };
 
-  const paymentRequirements = {
-    scheme:            'exact',
-    network:           'polygon',
-    maxAmountRequired: amountRaw.toString(),
-    resource:          apiUrl,
-    description:       'x402 Bazaar API payment',
-    mimeType:          'application/json',
-    payTo:             recipient,
-    asset:             POLYGON_USDC_CONTRACT,
-    maxTimeoutSeconds: 60,
-  };
-
-  // Step 3: POST to facilitator /settle
-  const settleUrl = `${facilitatorUrl}/settle`;
-  const settleRes = await fetch(settleUrl, {
-    method:  'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body:    JSON.stringify({ x402Version: 1, paymentPayload, paymentRequirements }),
-    signal:  AbortSignal.timeout(30000),
-  });
-
-  const settleData = await settleRes.json();
+  // Step 3: dry-run the settlement — a bad signature or balance is reported here, not as an outage
+  onStep('verify');
+  await verifyPayment(facilitatorUrl, paymentPayload, paymentRequirements);
 
-  if (!settleData.success) {
-    throw new Error(
-      `Facilitator settlement failed: ${settleData.errorReason || 'unknown'} — ` +
-      `${settleData.errorMessage || JSON.stringify(settleData)}`
-    );
-  }
-
-  return settleData.transaction;
+  // Step 4: POST to facilitator /settle
+  onStep('settle');
+  return settlePayment(facilitatorUrl, paymentPayload, paymentRequirements);
 }
 
 /**
- * Send a single USDC transfer on Base mainnet and wait for confirmation.
+ * Send a single USDC transfer and wait for confirmation.
  * Caller is responsible for balance checks.
  *
- * @param {{ walletClient, publicClient }} clients
+ * @param {{ walletClient, publicClient, chain: object, usdcContract: string }} clients - from buildClients()
  * @param {string} toAddress
  * @param {bigint} amountRaw - amount in micro-USDC (6 decimals)
  * @returns {{ txHash: string, explorer: string }}
+ * @throws {Error} with `txHash` when the transfer was broadcast but did not confirm or reverted
  */
 async function sendUsdcRaw(clients, toAddress, amountRaw) {
-  const { walletClient, publicClient } = clients;
+  const { walletClient, publicClient, chain, usdcContract } = clients;
 
   const txHash = await walletClient.writeContract({
-    address: USDC_CONTRACT,
+    address: usdcContract,
     abi: USDC_ABI,
     functionName: 'transfer',
     args: [toAddress, amountRaw],
   });
 
-  await publicClient.waitForTransactionReceipt({ hash: txHash, confirmations: 1 });
+  let receipt;
+  try {
+    receipt = await publicClient.waitForTransactionReceipt({ hash: txHash, confirmations: 1 });
+  } catch (err) {
+    // Broadcast but unconfirmed: the transfer may still be mined
+    throw Object.assign(err, { txHash });
+  }
+  if (receipt.status !== 'success') {
+    throw Object.assign(new Error(`USDC transfer ${txHash} reverted`), { txHash });
+  }
 
   return {
     txHash,
-    explorer: `https://basescan.org/tx/${txHash}`,
+    explorer: explorerTxUrl(chain, txHash),
   };
 }
 
 /**
- * Send USDC payment on Base mainnet (legacy mode — 100% to one recipient).
+ * Send USDC payment (legacy mode — 100% to one recipient) on any registry chain.
  * @param {string} privateKey - Hex private key (with 0x prefix)
  * @param {string} toAddress - Recipient wallet address
  * @param {number} amountUsdc - Amount in USDC (e.g., 0.005)
- * @returns {{ txHash: string, explorer: string, from: string, amount: number }}
+ * @param {string} [network='base'] - chain key (base, base-sepolia, skale, …)
+ * @returns {{ txHash: string, explorer: string, from: string, amount: number, network: string }}
  */
-export async function sendUsdcPayment(privateKey, toAddress, amountUsdc) {
-  const { walletClient, publicClient, account } = buildClients(privateKey);
+export async function sendUsdcPayment(privateKey, toAddress, amountUsdc, network = 'base') {
+  const clients = buildClients(privateKey, network);
+  const { publicClient, account, chain, usdcContract } = clients;
 
   // Convert USDC amount to 6-decimal units
   const amount = parseUnits(amountUsdc.toString(), 6);
 
   // Check balance first
   const balance = await publicClient.readContract({
-    address: USDC_CONTRACT,
+    address: usdcContract,
     abi: USDC_ABI,
     functionName: 'balanceOf',
     args: [account.address],
@@ -247,25 +322,134 @@ export async function sendUsdcPayment(privateKey, toAddress, amountUsdc) {
 
   if (balance < amount) {
     const balanceUsdc = Number(balance) / 1_000_000;
-    throw new Error(`Insufficient USDC balance: ${balanceUsdc.toFixed(6)} USDC (need ${amountUsdc} USDC)`);
+    throw new Error(
+      `Insufficient USDC balance on ${chain.label}: ${balanceUsdc.toFixed(6)} USDC (need ${amountUsdc} USDC)`
+    );
   }
 
-  const { txHash, explorer } = await sendUsdcRaw({ walletClient, publicClient }, toAddress, amount);
+  const { txHash, explorer } = await sendUsdcRaw(clients, toAddress, amount);
 
   return {
     txHash,
     explorer,
     from: account.address,
     amount: amountUsdc,
+    network: chain.key,
   };
 }
 
 /**
- * Send a split USDC payment on Base mainnet (native split mode — 95% to provider, 5% to platform).
+ * Move USDC from the agent wallet to any address (`wallet send` / `wallet sweep`).
+ *
+ * On chains with a facilitator the transfer is an EIP-3009 authorization settled by the
+ * facilitator, so the wallet needs no gas; elsewhere (or with `gasless: false`) it is a
+ * regular ERC-20 transfer through sendUsdcRaw().
+ *
+ * @param {string} privateKey - Hex private key (with 0x prefix)
+ * @param {object} p
+ * @param {string} p.to
+ * @param {bigint|null} [p.amountRaw=null] - micro-USDC; null sends the whole balance
+ * @param {string} [p.network='base']
+ * @param {boolean} [p.gasless=true] - use the chain's facilitator when it has one
+ * @returns {Promise<{ txHash: string, explorer: string, from: string, to: string,
+ *   amountRaw: bigint, network: string, gasless: boolean }>}
+ * @throws {Error} on an empty or insufficient balance, or missing gas for a direct transfer
+ */
+export async function transferUsdc(privateKey, { to, amountRaw = null, network = 'base', gasless = true }) {
+  const clients = buildClients(privateKey, network);
+  const { publicClient, account, chain, usdcContract } = clients;
+
+  const balance = await publicClient.readContract({
+    address: usdcContract,
+    abi: USDC_ABI,
+    functionName: 'balanceOf',
+    args: [account.address],
+  });
+
+  const amount = amountRaw ?? balance;
+  if (amount === 0n) throw new Error(`No USDC to send on ${chain.label}`);
+  if (balance < amount) {
+    throw new Error(
+      `Insufficient USDC balance on ${chain.label}: ${(Number(balance) / 1_000_000).toFixed(6)} USDC ` +
+      `(need ${(Number(amount) / 1_000_000).toFixed(6)} USDC)`
+    );
+  }
+
+  if (gasless && chain.facilitator) {
+    const txHash = await settleViaFacilitator(clients, chain.facilitator, {
+      amountRaw:   amount,
+      to,
+      resource:    explorerAddressUrl(chain, to),
+      description: 'x402 Bazaar wallet transfer',
+    });
+    return {
+      txHash,
+      explorer: explorerTxUrl(chain, txHash),
+      from: account.address,
+      to,
+      amountRaw: amount,
+      network: chain.key,
+      gasless: true,
+    };
+  }
+
+  const nativeBalance = await publicClient.getBalance({ address: account.address });
+  if (nativeBalance === 0n) {
+    throw new Error(`No ${chain.nativeSymbol} for gas on ${chain.label} — send a little ${chain.nativeSymbol} to ${account.address} first`);
+  }
+
+  const { txHash, explorer } = await sendUsdcRaw(clients, to, amount);
+  return { txHash, explorer, from: account.address, to, amountRaw: amount, network: chain.key, gasless: false };
+}
+
+/**
+ * Compute the raw provider / platform amounts of a split payment (6 decimals).
+ *
+ * Uses the server-provided `split` amounts when present to avoid client/server rounding
+ * divergence; otherwise floors the 95% provider share so that provider + platform = total.
+ *
+ * @param {object} p
+ * @param {number|string} p.totalAmountUsdc
+ * @param {object|null} [p.serverSplit] - payment_details.split from the 402 response
+ * @returns {{ providerAmountRaw: bigint, platformAmountRaw: bigint, totalRaw: bigint }}
+ * @throws {Error} If the amount is too small for a meaningful split (< 0.0001 USDC)
+ */
+export function computeSplitAmounts({ totalAmountUsdc, serverSplit = null }) {
+  let providerAmountRaw;
+  let platformAmountRaw;
+
+  if (serverSplit && serverSplit.provider_amount != null && serverSplit.platform_amount != null) {
+    providerAmountRaw = parseUnits(serverSplit.provider_amount.toString(), 6);
+    platformAmountRaw = parseUnits(serverSplit.platform_amount.toString(), 6);
+  } else {
+    const totalRaw = parseUnits(totalAmountUsdc.toString(), 6);
+    providerAmountRaw = (totalRaw * 95n) / 100n;      // floor division via BigInt
+    platformAmountRaw = totalRaw - providerAmountRaw;  // guarantees sum = total
+  }
+
+  // Guard: minimum split amount
+  if (providerAmountRaw < MIN_SPLIT_AMOUNT_RAW || platformAmountRaw === 0n) {
+    throw new Error(
+      `Amount too small for split payment (minimum 0.0001 USDC). ` +
+      `Provider share would be ${Number(providerAmountRaw)} micro-USDC.`
+    );
+  }
+
+  return { providerAmountRaw, platformAmountRaw, totalRaw: providerAmountRaw + platformAmountRaw };
+}
+
+/**
+ * Send a split USDC payment on any registry chain (native split mode — 95% to provider, 5% to platform).
  *
  * The split amounts are derived from the server-provided `split` object when available,
  * or computed with floor arithmetic to guarantee provider + platform = total exactly.
  *
+ * The two transfers are separate transactions, so the split is not atomic. `onProviderPaid`
+ * runs once the provider transfer confirms, before the platform transfer is sent, so the
+ * caller can record the partial state. To finish such a split, pass its `providerTxHash`:
+ * only the platform share is then sent, unless `platformTxHash` names one already confirmed
+ * (see checkUsdcTransfer()).
+ *
  * @param {string} privateKey - Hex private key (with 0x prefix)
  * @param {object} splitDetails
  * @param {number} splitDetails.totalAmountUsdc        - Total price in USDC (e.g., 0.01)
@@ -274,6 +458,10 @@ export async function sendUsdcPayment(privateKey, toAddress, amountUsdc) {
  * @param {object|null} [splitDetails.serverSplit]     - Optional split object from server 402 response
  * @param {number} [splitDetails.serverSplit.provider_amount] - Provider amount in USDC from server
  * @param {number} [splitDetails.serverSplit.platform_amount] - Platform amount in USDC from server
+ * @param {string} [splitDetails.network='base']       - chain key (base, base-sepolia, skale, …)
+ * @param {string|null} [splitDetails.providerTxHash] - confirmed provider transfer of an unfinished split
+ * @param {string|null} [splitDetails.platformTxHash] - confirmed platform transfer of an unfinished split
+ * @param {function} [splitDetails.onProviderPaid]      - called with { txHash, explorer, from } after the provider transfer
  *
  * @returns {{
  *   txHashProvider: string,
@@ -287,6 +475,9 @@ export async function sendUsdcPayment(privateKey, toAddress, amountUsdc) {
  *
  * @throws {Error} If total amount is too small for a meaningful split (< 0.0001 USDC)
  * @throws {Error} If USDC balance is insufficient for the total amount
+ * @throws {Error} SPLIT_INCOMPLETE (with txHashProvider, explorerProvider, amounts) if the
+ *   platform transfer fails after the provider was paid; `txHashPlatform` is set when that
+ *   transfer was broadcast, since it may still be mined
  */
 export async function sendSplitUsdcPayment(privateKey, splitDetails) {
   const {
@@ -294,63 +485,65 @@ export async function sendSplitUsdcPayment(privateKey, splitDetails) {
     providerWallet,
     platformWallet,
     serverSplit = null,
+    network = 'base',
+    providerTxHash = null,
+    platformTxHash = null,
+    onProviderPaid = () => {},
   } = splitDetails;
 
-  const { walletClient, publicClient, account } = buildClients(privateKey);
-
-  // Compute raw amounts (6 decimals).
-  // Use server-provided amounts when present to avoid client/server rounding divergence.
-  let providerAmountRaw;
-  let platformAmountRaw;
-
-  if (serverSplit && serverSplit.provider_amount != null && serverSplit.platform_amount != null) {
-    providerAmountRaw = parseUnits(serverSplit.provider_amount.toString(), 6);
-    platformAmountRaw = parseUnits(serverSplit.platform_amount.toString(), 6);
-  } else {
-    const totalRaw = parseUnits(totalAmountUsdc.toString(), 6);
-    providerAmountRaw = (totalRaw * 95n) / 100n;      // floor division via BigInt
-    platformAmountRaw = totalRaw - providerAmountRaw;  // guarantees sum = total
-  }
+  const clients = buildClients(privateKey, network);
+  const { publicClient, account, chain, usdcContract } = clients;
 
-  const totalRawForCheck = providerAmountRaw + platformAmountRaw;
-
-  // Guard: minimum split amount
-  if (providerAmountRaw < MIN_SPLIT_AMOUNT_RAW || platformAmountRaw === 0n) {
-    throw new Error(
-      `Amount too small for split payment (minimum 0.0001 USDC). ` +
-      `Provider share would be ${Number(providerAmountRaw)} micro-USDC.`
-    );
-  }
+  // Compute raw amounts (6 decimals) — throws if the price is too small to split
+  const { providerAmountRaw, platformAmountRaw, totalRaw: totalRawForCheck } = computeSplitAmounts({
+    totalAmountUsdc,
+    serverSplit,
+  });
 
-  // Check balance for the full total
+  // Check balance for the full total (only the platform share when finishing a split)
+  const neededRaw = platformTxHash ? 0n : providerTxHash ? platformAmountRaw : totalRawForCheck;
   const balance = await publicClient.readContract({
-    address: USDC_CONTRACT,
+    address: usdcContract,
     abi: USDC_ABI,
     functionName: 'balanceOf',
     args: [account.address],
   });
 
-  if (balance < totalRawForCheck) {
+  if (balance < neededRaw) {
     const balanceUsdc = Number(balance) / 1_000_000;
-    const needUsdc = Number(totalRawForCheck) / 1_000_000;
+    const needUsdc = Number(neededRaw) / 1_000_000;
     throw new Error(
-      `Insufficient USDC balance: ${balanceUsdc.toFixed(6)} USDC (need ${needUsdc.toFixed(6)} USDC for split payment)`
+      `Insufficient USDC balance on ${chain.label}: ${balanceUsdc.toFixed(6)} USDC ` +
+      `(need ${needUsdc.toFixed(6)} USDC for split payment)`
     );
   }
 
   // Transaction 1 — provider (95%)
-  const providerResult = await sendUsdcRaw(
-    { walletClient, publicClient },
-    providerWallet,
-    providerAmountRaw
-  );
+  const providerResult = providerTxHash
+    ? { txHash: providerTxHash, explorer: explorerTxUrl(chain, providerTxHash) }
+    : await sendUsdcRaw(clients, providerWallet, providerAmountRaw);
+  if (!providerTxHash) onProviderPaid({ ...providerResult, from: account.address });
 
   // Transaction 2 — platform (5%)
-  const platformResult = await sendUsdcRaw(
-    { walletClient, publicClient },
-    platformWallet,
-    platformAmountRaw
-  );
+  let platformResult = platformTxHash
+    ? { txHash: platformTxHash, explorer: explorerTxUrl(chain, platformTxHash) }
+    : null;
+  try {
+    platformResult ??= await sendUsdcRaw(clients, platformWallet, platformAmountRaw);
+  } catch (err) {
+    throw Object.assign(
+      new Error(`Provider was paid (${providerResult.txHash}) but the platform transfer failed: ${err.shortMessage || err.message}`),
+      {
+        code: SPLIT_INCOMPLETE,
+        txHashProvider: providerResult.txHash,
+        explorerProvider: providerResult.explorer,
+        txHashPlatform: err.txHash || null,
+        from: account.address,
+        providerAmountUsdc: Number(providerAmountRaw) / 1_000_000,
+        platformAmountUsdc: Number(platformAmountRaw) / 1_000_000,
+      },
+    );
+  }
 
   return {
     txHashProvider: providerResult.txHash,
@@ -360,6 +553,167 @@ export async function sendSplitUsdcPayment(privateKey, splitDetails) {
     from: account.address,
     providerAmountUsdc: Number(providerAmountRaw) / 1_000_000,
     platformAmountUsdc: Number(platformAmountRaw) / 1_000_000,
+    network: chain.key,
+  };
+}
+
+/**
+ * Check on-chain that a transaction moved `amountRaw` USDC from `from` to `to`: it is mined,
+ * succeeded, and emitted the matching Transfer log from the chain's USDC contract.
+ *
+ * @param {string} network - chain key
+ * @param {string} txHash
+ * @param {{ from: string, to: string, amountRaw: bigint }} transfer
+ * @returns {Promise<'confirmed'|'pending'|'failed'|'mismatch'>} pending: no receipt yet;
+ *   failed: reverted; mismatch: succeeded without that transfer
+ * @throws {Error} if the RPC cannot be reached
+ */
+export async function checkUsdcTransfer(network, txHash, { from, to, amountRaw }) {
+  const { publicClient, chain } = buildPublicClient(network);
+  let receipt;
+  try {
+    receipt = await publicClient.getTransactionReceipt({ hash: txHash });
+  } catch (err) {
+    if (err.name === 'TransactionReceiptNotFoundError') return 'pending';
+    throw err;
+  }
+  if (receipt.status !== 'success') return 'failed';
+
+  const matches = receipt.logs.some(log => {
+    if (log.address?.toLowerCase() !== chain.usdc.toLowerCase() || log.topics?.[0] !== TRANSFER_TOPIC) return false;
+    const t = decodeTransferLog(log);
+    return t.from === from.toLowerCase() && t.to === to.toLowerCase() && t.amountRaw === amountRaw;
+  });
+  return matches ? 'confirmed' : 'mismatch';
+}
+
+/**
+ * Describe the transfers a payment would make, using the same amount arithmetic
+ * as sendUsdcPayment, sendSplitUsdcPayment and sendViaFacilitator.
+ *
+ * @param {object} p
+ * @param {'legacy'|'split'|'facilitator'|'x402'} p.mode
+ * @param {string} p.network - chain key
+ * @param {number|string} p.price - total price in USDC
+ * @param {string} p.payTo - recipient (platform wallet in split mode, fee splitter in facilitator mode, payTo in x402 mode)
+ * @param {string} [p.providerWallet] - split mode only
+ * @param {object|null} [p.serverSplit] - split mode only
+ * @param {boolean} [p.feeSplitter=true] - facilitator mode: payTo is a fee splitter contract
+ * @returns {{ network: string, gasless: boolean, transfers: { role: string, to: string, amountRaw: bigint }[] }}
+ * @throws {Error} If a split amount is too small
+ */
+export function buildPaymentPlan({ mode, network, price, payTo, providerWallet = null, serverSplit = null, feeSplitter = true }) {
+  if (mode === 'facilitator') {
+    return {
+      network,
+      gasless: true,
+      transfers: [{
+        role: feeSplitter ? 'fee splitter' : 'recipient',
+        to: payTo,
+        amountRaw: computeFacilitatorAmountRaw(price),
+      }],
+    };
+  }
+
+  if (mode === 'x402') {
+    // Signed authorization settled by the API's facilitator: the payer needs no gas
+    return {
+      network,
+      gasless: true,
+      transfers: [{ role: 'recipient', to: payTo, amountRaw: parseUnits(price.toString(), 6) }],
+    };
+  }
+
+  if (mode === 'split') {
+    const { providerAmountRaw, platformAmountRaw } = computeSplitAmounts({ totalAmountUsdc: price, serverSplit });
+    return {
+      network,
+      gasless: false,
+      transfers: [
+        { role: 'provider', to: providerWallet, amountRaw: providerAmountRaw },
+        { role: 'platform', to: payTo, amountRaw: platformAmountRaw },
+      ],
+    };
+  }
+
+  return {
+    network,
+    gasless: false,
+    transfers: [{ role: 'recipient', to: payTo, amountRaw: parseUnits(price.toString(), 6) }],
+  };
+}
+
+/**
+ * Simulate a payment without broadcasting anything.
+ *
+ * Reads the USDC and native balances, then runs each transfer through
+ * `simulateContract` and `estimateContractGas` from the paying account.
+ * Facilitator transfers are only balance-checked: the facilitator pays the gas.
+ *
+ * @param {string} privateKey - Hex private key (with 0x prefix)
+ * @param {object} plan
+ * @param {string} plan.network - chain key
+ * @param {{ to: string, amountRaw: bigint }[]} plan.transfers
+ * @param {boolean} [plan.gasless=false] - true for facilitator (EIP-3009) payments
+ * @returns {Promise<{
+ *   from: string,
+ *   chain: object,
+ *   balanceRaw: bigint,
+ *   totalRaw: bigint,
+ *   sufficientBalance: boolean,
+ *   nativeBalance: bigint,
+ *   gasPrice: bigint|null,
+ *   estimatedFee: bigint|null,
+ *   transfers: { to: string, amountRaw: bigint, gas: bigint|null, error: string|null }[],
+ * }>}
+ */
+export async function simulatePayment(privateKey, { network, transfers, gasless = false }) {
+  const { publicClient, account, chain, usdcContract } = buildClients(privateKey, network);
+
+  const totalRaw = transfers.reduce((acc, t) => acc + t.amountRaw, 0n);
+  const [balanceRaw, nativeBalance] = await Promise.all([
+    publicClient.readContract({
+      address: usdcContract,
+      abi: USDC_ABI,
+      functionName: 'balanceOf',
+      args: [account.address],
+    }),
+    publicClient.getBalance({ address: account.address }),
+  ]);
+
+  const results = [];
+  let totalGas = 0n;
+  for (const { to, amountRaw } of transfers) {
+    if (gasless) {
+      results.push({ to, amountRaw, gas: null, error: null });
+      continue;
+    }
+    try {
+      const request = { account, address: usdcContract, abi: USDC_ABI, functionName: 'transfer', args: [to, amountRaw] };
+      await publicClient.simulateContract(request);
+      const gas = await publicClient.estimateContractGas(request);
+      totalGas += gas;
+      results.push({ to, amountRaw, gas, error: null });
+    } catch (err) {
+      results.push({ to, amountRaw, gas: null, error: err.shortMessage || err.message });
+    }
+  }
+
+  let gasPrice = null;
+  if (!gasless) {
+    try { gasPrice = await publicClient.getGasPrice(); } catch { /* leave unknown */ }
+  }
+
+  return {
+    from: account.address,
+    chain,
+    balanceRaw,
+    totalRaw,
+    sufficientBalance: balanceRaw >= totalRaw,
+    nativeBalance,
+    gasPrice,
+    estimatedFee: gasPrice != null ? gasPrice * totalGas : null,
+    transfers: results,
   };
 }
 
@@ -373,15 +727,14 @@ export function getAddressFromKey(privateKey) {
 
 /**
  * Get USDC balance for an address
+ * @param {string} address
+ * @param {string} [network='base'] - chain key (base, base-sepolia, skale, polygon, …)
  */
-export async function getUsdcBalance(address) {
-  const publicClient = createPublicClient({
-    chain: base,
-    transport: http('https://mainnet.base.org'),
-  });
+export async function getUsdcBalance(address, network = 'base') {
+  const { publicClient, chain } = buildPublicClient(network);
 
   const balance = await publicClient.readContract({
-    address: USDC_CONTRACT,
+    address: chain.usdc,
     abi: USDC_ABI,
     functionName: 'balanceOf',
     args: [address],
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './user-config.js';
+
+/**
+ * Split payments that paid the provider but not the platform (~/.x402-bazaar/pending-splits.json).
+ *
+ * A split is two USDC transfers, and plain transfers from a wallet cannot be batched
+ * atomically. The provider transfer is recorded here as soon as it confirms. Once the
+ * platform transfer confirms, the record is removed. If that transfer fails, `call --resume`
+ * sends only the missing platform share and retries the request with both hashes. The
+ * provider is never paid twice.
+ */
+
+/**
+ * Path of the pending split file.
+ * @returns {string}
+ */
+export function getPendingSplitsPath() {
+  return path.join(getConfigDir(), 'pending-splits.json');
+}
+
+/**
+ * All unfinished split payments (oldest first). A missing or corrupt file reads as none.
+ * @returns {object[]}
+ */
+export function readPendingSplits() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getPendingSplitsPath(), 'utf-8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+function writePendingSplits(entries) {
+  const filePath = getPendingSplitsPath();
+  if (entries.length === 0) {
+    fs.rmSync(filePath, { force: true });
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), 'utf-8');
+  try { fs.chmodSync(filePath, 0o600); } catch {}
+}
+
+/**
+ * The unfinished split payment for an API URL, if any.
+ * @param {string} url - full API URL, as paid for
+ * @returns {object|null}
+ */
+export function findPendingSplit(url) {
+  return readPendingSplits().find(e => e.url === url) || null;
+}
+
+/**
+ * Record a split payment whose provider transfer is confirmed. Replaces any earlier
+ * record for the same URL.
+ *
+ * @param {object} split
+ * @param {string} split.url - full API URL
+ * @param {string} split.network - chain registry key
+ * @param {string} split.from - paying wallet address
+ * @param {number|string} split.totalAmountUsdc
+ * @param {object|null} split.serverSplit - payment_details.split, so the resumed split uses the same amounts
+ * @param {string} split.providerWallet
+ * @param {string} split.platformWallet
+ * @param {string} split.txHashProvider
+ * @param {number} [now=Date.now()]
+ * @returns {object} the stored record
+ */
+export function savePendingSplit(split, now = Date.now()) {
+  const entry = { createdAt: new Date(now).toISOString(), ...split };
+  writePendingSplits([...readPendingSplits().filter(e => e.url !== split.url), entry]);
+  return entry;
+}
+
+/**
+ * Remember a platform transfer that was broadcast but not confirmed, so `call --resume`
+ * checks it on-chain before sending the platform share again.
+ * @param {string} url
+ * @param {string} txHash
+ * @returns {object|null} the updated record, null if there is none for `url`
+ */
+export function recordPlatformAttempt(url, txHash) {
+  const entries = readPendingSplits();
+  const entry = entries.find(e => e.url === url);
+  if (!entry) return null;
+  entry.platformTxHashes = [...(entry.platformTxHashes || []), txHash];
+  writePendingSplits(entries);
+  return entry;
+}
+
+/**
+ * Forget the unfinished split payment for an API URL (after it completed).
+ * @param {string} url
+ */
+export function removePendingSplit(url) {
+  const entries = readPendingSplits();
+  const remaining = entries.filter(e => e.url !== url);
+  if (remaining.length !== entries.length) writePendingSplits(remaining);
+}
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './user-config.js';
+
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Path of the payment policy file (~/.x402-bazaar/policy.json).
+ *
+ *   {
+ *     "allowedRecipients": ["0xProvider…", "0xPlatform…"],
+ *     "allowedEndpoints": ["/api/weather", "/api/search/*", "https://api.example.com/v1/*"],
+ *     "allowedServices": ["weather-pro"],
+ *     "priceCaps": { "/api/weather": 0.01, "/api/search/*": 0.05 }
+ *   }
+ *
+ * Every key is optional; a missing key does not restrict anything. Without the file,
+ * `call` behaves as before. Bare paths apply to the configured server only; other APIs
+ * are matched by full URL (origin and path).
+ *
+ * @returns {string}
+ */
+export function getPolicyPath() {
+  return path.join(getConfigDir(), 'policy.json');
+}
+
+const ABSOLUTE_RE = /^https?:\/\//i;
+
+function originOf(url) {
+  try {
+    return url ? new URL(url).origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// { origin, path } of a pattern or endpoint; bare paths belong to the configured server
+function splitTarget(value, serverOrigin) {
+  if (!ABSOLUTE_RE.test(value)) return { origin: serverOrigin, path: value.split('?')[0] };
+  try {
+    const url = new URL(value);
+    return { origin: url.origin, path: url.pathname };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Does `endpoint` match a policy pattern? Patterns are exact paths or URLs, or prefixes
+ * ending in `*`. A bare path pattern only matches endpoints on the configured server;
+ * an absolute URL pattern matches its own origin.
+ *
+ * @param {string} pattern - e.g. "/api/weather", "https://api.example.com/v1/*"
+ * @param {string} endpoint - URL path on the configured server, or absolute URL
+ * @param {string|null} [serverUrl] - configured server (--server-url)
+ * @returns {boolean}
+ */
+export function matchEndpoint(pattern, endpoint, serverUrl = null) {
+  const serverOrigin = originOf(serverUrl);
+  const p = splitTarget(pattern, serverOrigin);
+  const e = splitTarget(endpoint, serverOrigin);
+  if (!p || !e || p.origin !== e.origin) return false;
+  if (p.path.endsWith('*')) return e.path.startsWith(p.path.slice(0, -1));
+  return e.path === p.path;
+}
+
+function isEndpointPattern(key) {
+  return key.startsWith('/') || ABSOLUTE_RE.test(key);
+}
+
+/**
+ * Validate and normalize a parsed policy object.
+ * @param {object} raw
+ * @returns {{ allowedRecipients: Set<string>|null, allowedEndpoints: string[]|null, allowedServices: string[]|null, priceCaps: Record<string, number> }}
+ * @throws {Error} on a malformed policy
+ */
+export function parsePolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Policy must be a JSON object');
+  }
+
+  const list = (key) => {
+    if (raw[key] === undefined) return null;
+    if (!Array.isArray(raw[key]) || raw[key].some(v => typeof v !== 'string' || !v.trim())) {
+      throw new Error(`"${key}" must be an array of strings`);
+    }
+    return raw[key].map(v => v.trim());
+  };
+
+  const recipients = list('allowedRecipients');
+  for (const address of recipients || []) {
+    if (!ADDRESS_RE.test(address)) throw new Error(`Invalid address in "allowedRecipients": ${address}`);
+  }
+
+  const priceCaps = {};
+  if (raw.priceCaps !== undefined) {
+    if (!raw.priceCaps || typeof raw.priceCaps !== 'object' || Array.isArray(raw.priceCaps)) {
+      throw new Error('"priceCaps" must be an object of endpoint or service ID → max USDC');
+    }
+    for (const [key, value] of Object.entries(raw.priceCaps)) {
+      const cap = Number(value);
+      if (value === null || value === '' || !Number.isFinite(cap) || cap < 0) {
+        throw new Error(`Invalid price cap for "${key}": ${value}`);
+      }
+      priceCaps[key] = cap;
+    }
+  }
+
+  return {
+    allowedRecipients: recipients ? new Set(recipients.map(a => a.toLowerCase())) : null,
+    allowedEndpoints: list('allowedEndpoints'),
+    allowedServices: list('allowedServices'),
+    priceCaps,
+  };
+}
+
+/**
+ * Read the policy file. Returns null when it does not exist.
+ * @returns {object|null} see parsePolicy()
+ * @throws {Error} if the file exists but is unreadable or malformed — callers must not pay then
+ */
+export function loadPolicy() {
+  const policyPath = getPolicyPath();
+  if (!fs.existsSync(policyPath)) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(policyPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${policyPath}: ${err.message}`);
+  }
+  try {
+    return parsePolicy(raw);
+  } catch (err) {
+    throw new Error(`Invalid ${policyPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Check a payment against the policy. Pure function.
+ *
+ * `serviceId` must come from the catalog listing of the requested endpoint, never from
+ * the 402 response: any server can declare an allowed or loosely capped service ID.
+ *
+ * @param {object|null} policy - from loadPolicy()
+ * @param {object} payment
+ * @param {string} payment.endpoint - URL path on the configured server, or absolute URL, being paid for
+ * @param {string|null} [payment.serverUrl] - configured server, for bare path patterns
+ * @param {string|null} [payment.serviceId] - catalog service ID of the requested endpoint
+ * @param {number|string} payment.price - USDC
+ * @param {{ role: string, address: string }[]} payment.recipients - every address funds would go to
+ * @returns {{ ok: boolean, violations: { rule: string, message: string }[] }}
+ */
+export function checkPolicy(policy, { endpoint, serverUrl = null, serviceId = null, price, recipients }) {
+  const violations = [];
+  if (!policy) return { ok: true, violations };
+
+  if (policy.allowedRecipients) {
+    for (const { role, address } of recipients) {
+      if (!address || !policy.allowedRecipients.has(address.toLowerCase())) {
+        violations.push({
+          rule: 'allowedRecipients',
+          message: `${role} ${address || '(missing)'} is not an allowed recipient`,
+        });
+      }
+    }
+  }
+
+  if (policy.allowedEndpoints || policy.allowedServices) {
+    const endpointOk = (policy.allowedEndpoints || []).some(p => matchEndpoint(p, endpoint, serverUrl));
+    const serviceOk = !!serviceId && (policy.allowedServices || []).includes(serviceId);
+    if (!endpointOk && !serviceOk) {
+      violations.push({
+        rule: 'allowedEndpoints',
+        message: `${endpoint}${serviceId ? ` (service ${serviceId})` : ''} is not an allowed endpoint or service`,
+      });
+    }
+  }
+
+  // Every matching cap applies (service ID and endpoint patterns): the lowest one binds
+  const capKey = Object.keys(policy.priceCaps)
+    .filter(k => (isEndpointPattern(k) ? matchEndpoint(k, endpoint, serverUrl) : k === serviceId))
+    .sort((a, b) => policy.priceCaps[a] - policy.priceCaps[b])[0];
+  if (capKey) {
+    const cap = policy.priceCaps[capKey];
+    if (Math.round(Number(price) * 1e6) > Math.round(cap * 1e6)) {
+      violations.push({
+        rule: 'priceCaps',
+        message: `price ${price} USDC is above the ${cap} USDC cap for ${capKey}`,
+      });
+    }
+  }
+
+  return { ok: violations.length === 0, violations };
+}
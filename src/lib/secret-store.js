@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+
+// This module only uses Node built-ins: `init` copies it next to mcp-server.mjs so the
+// generated launcher can resolve secret references without the CLI being installed.
+
+/** `service` attribute of entries in the Linux Secret Service (GNOME Keyring, KWallet, …). */
+export const SECRET_SERVICE_NAME = 'x402-bazaar';
+
+const SECRET_TOOL_TIMEOUT_MS = 60_000;
+const KEY_FILE = '.master-key';
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Storage backends for the agent private key:
+ *   - 'keychain' → Linux Secret Service via `secret-tool` (libsecret); reference `keychain:<name>`
+ *   - 'file'     → obfuscated file; reference `file:<path>`
+ *
+ * The file backend is obfuscation, not encryption: the AES-256-GCM key sits in `.master-key`
+ * in the same directory (0600). It keeps the key out of synced client configs and plain-text
+ * greps, but anyone who can read or back up that directory can recover the secret.
+ */
+export const SECRET_BACKENDS = ['keychain', 'file'];
+
+function validateSecretName(name) {
+  if (!NAME_RE.test(String(name || ''))) throw new Error(`Invalid secret name: ${name}`);
+  return name;
+}
+
+function runSecretTool(args, input) {
+  const result = spawnSync('secret-tool', args, {
+    input,
+    encoding: 'utf-8',
+    timeout: SECRET_TOOL_TIMEOUT_MS,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  if (result.error) {
+    if (result.error.code === 'ENOENT') throw new Error('secret-tool not found (install libsecret-tools)');
+    throw new Error(`secret-tool failed: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    const detail = (result.stderr || '').trim().split('\n')[0];
+    throw new Error(`secret-tool exited with code ${result.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * Whether the Linux Secret Service can be used (Linux with `secret-tool` on PATH).
+ * A locked or missing keyring daemon is only detected when storing.
+ * @returns {boolean}
+ */
+export function isKeychainAvailable() {
+  if (process.platform !== 'linux') return false;
+  const result = spawnSync('secret-tool', ['--help'], { stdio: 'ignore', timeout: 5000 });
+  return !(result.error && result.error.code === 'ENOENT');
+}
+
+function readOrCreateKey(dir) {
+  const keyPath = path.join(dir, KEY_FILE);
+  if (fs.existsSync(keyPath)) return Buffer.from(fs.readFileSync(keyPath, 'utf-8').trim(), 'hex');
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const key = randomBytes(32);
+  fs.writeFileSync(keyPath, key.toString('hex') + '\n', { mode: 0o600 });
+  return key;
+}
+
+/**
+ * Store a secret and return the reference to put in generated configs instead of the value.
+ *
+ * @param {string} name - entry name (e.g. "agent-key")
+ * @param {string} value
+ * @param {object} opts
+ * @param {'keychain'|'file'} opts.backend
+ * @param {string} opts.dir - directory for the file backend (e.g. ~/.x402-bazaar/secrets)
+ * @returns {string} reference, e.g. "keychain:agent-key" or "file:/home/me/.x402-bazaar/secrets/agent-key.json"
+ * @throws {Error} if the backend cannot store the secret
+ */
+export function storeSecret(name, value, { backend, dir }) {
+  validateSecretName(name);
+
+  if (backend === 'keychain') {
+    runSecretTool(
+      ['store', `--label=x402 Bazaar (${name})`, 'service', SECRET_SERVICE_NAME, 'account', name],
+      value,
+    );
+    // Read it back: a keyring that silently drops writes would break the MCP server later
+    if (runSecretTool(['lookup', 'service', SECRET_SERVICE_NAME, 'account', name]) !== value) {
+      throw new Error('Secret Service did not return the stored secret');
+    }
+    return `keychain:${name}`;
+  }
+
+  if (backend === 'file') {
+    if (!dir) throw new Error('Missing directory for the file secret backend');
+    const key = readOrCreateKey(dir);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf-8'), cipher.final()]);
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    }, null, 2), { mode: 0o600 });
+    return `file:${file}`;
+  }
+
+  throw new Error(`Unknown secret backend: ${backend} (expected ${SECRET_BACKENDS.join(', ')})`);
+}
+
+/**
+ * Resolve a reference produced by storeSecret() back to the secret value.
+ *
+ * @param {string} ref
+ * @returns {string}
+ * @throws {Error} if the reference is malformed or the secret cannot be read
+ */
+export function resolveSecretRef(ref) {
+  const match = /^(keychain|file):(.+)$/.exec(String(ref || '').trim());
+  if (!match) throw new Error(`Invalid secret reference: ${ref}`);
+  const [, backend, target] = match;
+
+  if (backend === 'keychain') {
+    const value = runSecretTool(['lookup', 'service', SECRET_SERVICE_NAME, 'account', validateSecretName(target)]);
+    if (!value) throw new Error(`No secret "${target}" in the Secret Service`);
+    return value;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(target, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read secret file ${target}: ${err.code || err.message}`);
+  }
+  const keyPath = path.join(path.dirname(target), KEY_FILE);
+  let key;
+  try {
+    key = Buffer.from(fs.readFileSync(keyPath, 'utf-8').trim(), 'hex');
+  } catch (err) {
+    throw new Error(`Cannot read key file ${keyPath}: ${err.code || err.message}`);
+  }
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(data.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(data.tag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data.ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf-8');
+  } catch {
+    throw new Error(`Cannot decrypt ${target} (wrong key file or corrupted secret)`);
+  }
+}
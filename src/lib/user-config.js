@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local CLI state directory (~/.x402-bazaar) — holds wallet.json and config.json.
+ * X402_HOME overrides the location (useful for tests and multi-user hosts).
+ * @returns {string}
+ */
+export function getConfigDir() {
+  if (process.env.X402_HOME) return process.env.X402_HOME;
+  const home = process.env.HOME || process.env.USERPROFILE;
+  return path.join(home, '.x402-bazaar');
+}
+
+/**
+ * Path of the user config file (~/.x402-bazaar/config.json).
+ * @returns {string}
+ */
+export function getUserConfigPath() {
+  return path.join(getConfigDir(), 'config.json');
+}
+
+/**
+ * Read the user config file. Returns {} when the file does not exist.
+ * @returns {object}
+ * @throws {Error} if the file exists but is not valid JSON
+ */
+export function loadUserConfig() {
+  const configPath = getUserConfigPath();
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${configPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Shallow-merge `patch` into the user config file and write it back.
+ * @param {object} patch
+ * @returns {object} the merged config
+ */
+export function saveUserConfig(patch) {
+  const dir = getConfigDir();
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const merged = { ...loadUserConfig(), ...patch };
+  const configPath = getUserConfigPath();
+  fs.writeFileSync(configPath, JSON.stringify(merged, null, 2), 'utf-8');
+  try { fs.chmodSync(configPath, 0o600); } catch {}
+  return merged;
+}
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir, loadUserConfig, saveUserConfig } from './user-config.js';
+
+/**
+ * Local wallet files.
+ *
+ * The "default" profile is ~/.x402-bazaar/wallet.json; named profiles live in
+ * ~/.x402-bazaar/wallets/<name>.json. The active profile is `activeWallet` in
+ * ~/.x402-bazaar/config.json (see `wallet use`).
+ *
+ * New wallets are V3 keystores (see keystore.js) with two extra fields, `network`
+ * and `created`. Older CLI versions wrote `{ address, privateKey, network, created }`
+ * in plaintext; those files still load, and `wallet migrate` encrypts them.
+ * The keystore module pulls in viem, so it is only imported when a key is
+ * actually encrypted or decrypted.
+ */
+
+/** Profile name of the legacy ~/.x402-bazaar/wallet.json file. */
+export const DEFAULT_WALLET = 'default';
+
+const WALLET_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+function getWalletsDir() {
+  return path.join(getConfigDir(), 'wallets');
+}
+
+/**
+ * Validate a wallet profile name (letters, digits, "-" and "_", up to 32 characters).
+ * @param {string} name
+ * @returns {string} the trimmed name
+ * @throws {Error} on an invalid name
+ */
+export function validateWalletName(name) {
+  const trimmed = String(name ?? '').trim();
+  if (!WALLET_NAME_RE.test(trimmed)) {
+    throw new Error(`Invalid wallet name: "${trimmed}" (use letters, digits, - and _, max 32 characters)`);
+  }
+  return trimmed;
+}
+
+/**
+ * Name of the active wallet profile (`activeWallet` in config.json, else "default").
+ * @returns {string}
+ */
+export function getActiveWalletName() {
+  return loadUserConfig().activeWallet || DEFAULT_WALLET;
+}
+
+/**
+ * Make a wallet profile the one `call` and `wallet` use by default.
+ * @param {string} name
+ * @throws {Error} if the profile does not exist
+ */
+export function setActiveWallet(name) {
+  const valid = validateWalletName(name);
+  if (!fs.existsSync(getWalletPath(valid))) {
+    throw new Error(`No wallet named "${valid}" (see: npx x402-bazaar wallet list)`);
+  }
+  saveUserConfig({ activeWallet: valid });
+}
+
+/**
+ * @param {string} [name=getActiveWalletName()] - wallet profile name
+ * @returns {string} path of the profile's wallet file
+ */
+export function getWalletPath(name = getActiveWalletName()) {
+  const valid = validateWalletName(name);
+  if (valid === DEFAULT_WALLET) return path.join(getConfigDir(), 'wallet.json');
+  return path.join(getWalletsDir(), `${valid}.json`);
+}
+
+/**
+ * List wallet profiles that exist on disk (the default profile first).
+ * Unreadable files are listed with `error` set instead of being skipped.
+ *
+ * @returns {{ name: string, path: string, active: boolean, address: string|null,
+ *   encrypted: boolean, network: string|null, error: string|null }[]}
+ */
+export function listWallets() {
+  const active = getActiveWalletName();
+  const names = [];
+  if (fs.existsSync(getWalletPath(DEFAULT_WALLET))) names.push(DEFAULT_WALLET);
+  if (fs.existsSync(getWalletsDir())) {
+    const named = fs.readdirSync(getWalletsDir())
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -5))
+      .filter(n => WALLET_NAME_RE.test(n) && n !== DEFAULT_WALLET)
+      .sort();
+    names.push(...named);
+  }
+
+  return names.map(name => {
+    const filePath = getWalletPath(name);
+    const entry = { name, path: filePath, active: name === active, address: null, encrypted: false, network: null, error: null };
+    try {
+      const data = readWalletFile(filePath);
+      entry.address = getWalletAddress(data);
+      entry.encrypted = isEncryptedWallet(data);
+      entry.network = data.network || null;
+    } catch (err) {
+      entry.error = err.message;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Read a wallet file.
+ * @param {string} [filePath=getWalletPath()]
+ * @returns {object|null} parsed file, or null if it does not exist
+ * @throws {Error} if the file is not valid JSON
+ */
+export function readWalletFile(filePath = getWalletPath()) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid wallet file ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Write a wallet file (owner-only permissions). The file is written next to the
+ * target and renamed over it, so an interrupted write never leaves half a key.
+ * @param {object} data
+ * @param {string} [filePath=getWalletPath()]
+ */
+export function writeWalletFile(data, filePath = getWalletPath()) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+  try { fs.chmodSync(filePath, 0o600); } catch {}
+}
+
+/**
+ * @param {object} data - parsed wallet file
+ * @returns {boolean} true if the key is stored in an encrypted keystore
+ */
+export function isEncryptedWallet(data) {
+  return !!(data && (data.crypto || data.Crypto));
+}
+
+/**
+ * Address stored in a wallet file, without decrypting it.
+ * @param {object} data - parsed wallet file
+ * @returns {string|null} 0x-prefixed address
+ */
+export function getWalletAddress(data) {
+  if (!data || typeof data.address !== 'string') return null;
+  const hex = data.address.replace(/^0x/i, '');
+  return /^[0-9a-fA-F]{40}$/.test(hex) ? `0x${hex}` : null;
+}
+
+/**
+ * Encrypt a private key into the wallet file format.
+ * @param {string} privateKey - Hex private key (with 0x prefix)
+ * @param {string} password
+ * @param {object} [meta]
+ * @param {string} [meta.network] - chain key the wallet was set up for
+ * @param {string} [meta.created] - ISO timestamp (defaults to now)
+ * @param {string} [meta.derivationPath] - BIP-44 path when the key comes from a recovery phrase
+ * @param {object} [meta.scryptParams] - override the scrypt cost (tests)
+ * @returns {Promise<object>}
+ */
+export async function encryptWallet(privateKey, password, { network = null, created, derivationPath, scryptParams } = {}) {
+  const { encryptKeystore } = await import('./keystore.js');
+  return {
+    ...encryptKeystore(privateKey, password, scryptParams),
+    network,
+    created: created || new Date().toISOString(),
+    ...(derivationPath ? { derivationPath } : {}),
+  };
+}
+
+/**
+ * Get the private key out of a wallet file.
+ * @param {object} data - parsed wallet file
+ * @param {string} [password] - required for encrypted wallets
+ * @returns {Promise<string>} Hex private key (with 0x prefix)
+ * @throws {Error} on a wrong password or a file without a key
+ */
+export async function unlockWallet(data, password) {
+  if (isEncryptedWallet(data)) {
+    const { decryptKeystore } = await import('./keystore.js');
+    return decryptKeystore(data, password);
+  }
+  if (!data || !data.privateKey) throw new Error('Wallet file has no private key');
+  const key = data.privateKey.startsWith('0x') ? data.privateKey : `0x${data.privateKey}`;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(key)) throw new Error('Wallet file has an invalid private key');
+  return key;
+}
@@ -0,0 +1,174 @@
+import { findChain } from './chains.js';
+
+/**
+ * Client side of the standard x402 protocol (https://x402.org):
+ *
+ *   1. A 402 body lists payment requirements: { x402Version, accepts: [{ scheme, network,
+ *      maxAmountRequired, payTo, asset, resource, maxTimeoutSeconds, extra }] }
+ *   2. The client picks one it can pay and signs an `exact` EIP-3009 authorization.
+ *   3. It retries with `X-PAYMENT: base64(JSON paymentPayload)`.
+ *   4. The server settles and answers with `X-PAYMENT-RESPONSE: base64(JSON settlement)`.
+ *
+ * This complements the Bazaar backend's tx-hash proofs (X-Payment-TxHash…), which `call`
+ * still uses when the 402 body carries `payment_details`.
+ */
+
+export const X402_VERSION = 1;
+
+/** Default validity window of a signed authorization when the server does not set one. */
+const DEFAULT_TIMEOUT_SECONDS = 60;
+/** Longest validity window we sign, whatever the server asks: a signed transfer must not stay usable for long. */
+const MAX_TIMEOUT_SECONDS = 300;
+/** validAfter is backdated to tolerate clock skew between us and the settling node. */
+const CLOCK_SKEW_SECONDS = 600;
+
+/**
+ * Payment requirements of a standard x402 402 body, or null if it is not one.
+ * @param {object|null|undefined} body - parsed 402 JSON body
+ * @returns {object[]|null}
+ */
+export function parsePaymentRequirements(body) {
+  if (!body || !Array.isArray(body.accepts) || body.accepts.length === 0) return null;
+  return body.accepts.filter(r => r && typeof r === 'object');
+}
+
+/**
+ * Map an x402 network name ("base", "base-sepolia", "polygon", or CAIP-2 "eip155:8453")
+ * to a chain registry entry.
+ * @param {string} network
+ * @returns {object|null}
+ */
+export function chainForNetwork(network) {
+  const caip = /^eip155:(\d+)$/.exec(String(network || ''));
+  return findChain(caip ? caip[1] : network);
+}
+
+/**
+ * Pick the first requirement (servers list them in order of preference) that this client
+ * can pay: scheme `exact`, a known EVM network allowed by --network / --testnet, and the
+ * chain's USDC as the asset — prices are shown and budgeted in USDC.
+ *
+ * @param {object[]} accepts - from parsePaymentRequirements()
+ * @param {object} [opts]
+ * @param {string[]|null} [opts.allowed=null] - chain keys from --network
+ * @param {boolean} [opts.testnet=false]
+ * @returns {{ requirement: object, chain: object }}
+ * @throws {Error} listing why each requirement was skipped
+ */
+export function selectPaymentRequirement(accepts, { allowed = null, testnet = false } = {}) {
+  const reasons = [];
+
+  for (const requirement of accepts) {
+    const label = `${requirement.scheme || '?'} on ${requirement.network || '?'}`;
+    if (requirement.scheme !== 'exact') {
+      reasons.push(`${label}: unsupported scheme`);
+      continue;
+    }
+    const chain = chainForNetwork(requirement.network);
+    if (!chain) {
+      reasons.push(`${label}: unsupported network`);
+      continue;
+    }
+    if (testnet && !chain.testnet) {
+      reasons.push(`${label}: mainnet (--testnet only pays on test networks)`);
+      continue;
+    }
+    if (allowed && !allowed.includes(chain.key)) {
+      reasons.push(`${label}: not in --network ${allowed.join(',')}`);
+      continue;
+    }
+    if (!requirement.asset || requirement.asset.toLowerCase() !== chain.usdc.toLowerCase()) {
+      reasons.push(`${label}: asset ${requirement.asset || '(none)'} is not USDC`);
+      continue;
+    }
+    const amountOk = /^\d+$/.test(String(requirement.maxAmountRequired ?? ''));
+    if (!amountOk || !/^0x[a-fA-F0-9]{40}$/.test(requirement.payTo || '')) {
+      reasons.push(`${label}: malformed amount or payTo`);
+      continue;
+    }
+    return { requirement, chain };
+  }
+
+  throw new Error(`No payment option this client can pay:\n  - ${reasons.join('\n  - ')}`);
+}
+
+/**
+ * EIP-3009 authorization window for a requirement. The server's `maxTimeoutSeconds` is
+ * capped at MAX_TIMEOUT_SECONDS.
+ * @param {object} requirement
+ * @param {number} [nowSeconds]
+ * @returns {{ validAfter: number, validBefore: number }}
+ */
+export function authorizationWindow(requirement, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const timeout = Number(requirement.maxTimeoutSeconds) > 0
+    ? Math.min(Number(requirement.maxTimeoutSeconds), MAX_TIMEOUT_SECONDS)
+    : DEFAULT_TIMEOUT_SECONDS;
+  return { validAfter: nowSeconds - CLOCK_SKEW_SECONDS, validBefore: nowSeconds + timeout };
+}
+
+/**
+ * EIP-712 domain of the token named in a requirement. `extra.name` / `extra.version`
+ * come from the server; otherwise the chain's USDC domain from the registry is used.
+ * @param {object} requirement
+ * @param {object} chain
+ * @returns {{ name: string, version: string, chainId: number, verifyingContract: string }}
+ */
+export function requirementDomain(requirement, chain) {
+  return {
+    name: requirement.extra?.name || chain.eip3009?.name || 'USD Coin',
+    version: requirement.extra?.version || chain.eip3009?.version || '2',
+    chainId: chain.chainId,
+    verifyingContract: requirement.asset,
+  };
+}
+
+/**
+ * Sign an `exact` payment for a requirement and build the X-PAYMENT payload.
+ *
+ * @param {string} privateKey
+ * @param {object} requirement
+ * @param {object} chain - from selectPaymentRequirement()
+ * @returns {Promise<object>} paymentPayload { x402Version, scheme, network, payload: { signature, authorization } }
+ */
+export async function createExactPayment(privateKey, requirement, chain) {
+  const { signTransferAuthorization } = await import('./payment.js');
+  const { validAfter, validBefore } = authorizationWindow(requirement);
+  const { signature, authorization } = await signTransferAuthorization(privateKey, {
+    network: chain.key,
+    to: requirement.payTo,
+    amountRaw: BigInt(requirement.maxAmountRequired),
+    validAfter,
+    validBefore,
+    domain: requirementDomain(requirement, chain),
+  });
+
+  return {
+    x402Version: X402_VERSION,
+    scheme: 'exact',
+    network: requirement.network,
+    payload: { signature, authorization },
+  };
+}
+
+/**
+ * Encode a payment payload for the X-PAYMENT header.
+ * @param {object} paymentPayload
+ * @returns {string}
+ */
+export function encodePaymentHeader(paymentPayload) {
+  return Buffer.from(JSON.stringify(paymentPayload), 'utf-8').toString('base64');
+}
+
+/**
+ * Decode an X-PAYMENT-RESPONSE header ({ success, transaction, network, payer }).
+ * @param {string|null} header
+ * @returns {object|null} null when absent or not valid base64 JSON
+ */
+export function decodePaymentResponse(header) {
+  if (!header) return null;
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf-8'));
+  } catch {
+    return null;
+  }
+}
@@ -105,3 +105,42 @@ export function printNonInteractiveHint(command = 'init') {
   log.dim('  For full interactive setup, run in a standalone terminal.');
   console.log('');
 }
+
+/**
+ * Get the wallet password: X402_WALLET_PASSWORD if set, otherwise a masked prompt.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.message='Wallet password:']
+ * @param {boolean} [opts.confirm=false] - ask twice (when choosing a new password)
+ * @returns {Promise<string>}
+ * @throws {Error} in non-interactive mode when X402_WALLET_PASSWORD is not set
+ */
+export async function askWalletPassword({ message = 'Wallet password:', confirm = false } = {}) {
+  if (process.env.X402_WALLET_PASSWORD) return process.env.X402_WALLET_PASSWORD;
+
+  if (!isInteractive()) {
+    throw new Error(confirm
+      ? 'Set X402_WALLET_PASSWORD or run in an interactive terminal to choose a wallet password'
+      : 'Wallet is password-protected — set X402_WALLET_PASSWORD or run in an interactive terminal');
+  }
+
+  const { password } = await inquirer.prompt([{
+    type: 'password',
+    name: 'password',
+    message,
+    mask: '*',
+    validate: (v) => (confirm && v.length < 8 ? 'Use at least 8 characters' : v.length > 0 || 'Password cannot be empty'),
+  }]);
+
+  if (confirm) {
+    const { repeat } = await inquirer.prompt([{
+      type: 'password',
+      name: 'repeat',
+      message: 'Repeat password:',
+      mask: '*',
+    }]);
+    if (repeat !== password) throw new Error('Passwords do not match');
+  }
+
+  return password;
+}
@@ -0,0 +1,62 @@
+import chalk from 'chalk';
+import QRCode from 'qrcode';
+
+/**
+ * EIP-681 URI asking a wallet to send USDC to `address` on `chain`:
+ *
+ *   ethereum:<usdc>@<chainId>/transfer?address=<recipient>[&uint256=<amount>]
+ *
+ * Mobile wallets that understand it pre-select the network and the token.
+ *
+ * @param {object} chain - chain registry entry
+ * @param {string} address - recipient
+ * @param {bigint} [amountRaw] - optional amount in micro-USDC
+ * @returns {string}
+ */
+export function usdcPaymentUri(chain, address, amountRaw = null) {
+  const uri = `ethereum:${chain.usdc}@${chain.chainId}/transfer?address=${address}`;
+  return amountRaw ? `${uri}&uint256=${amountRaw}` : uri;
+}
+
+/**
+ * Render `text` as a QR code using Unicode half blocks (two modules per character row).
+ * With colors, modules are drawn black on white so the code scans on dark and light
+ * terminals alike; without colors, dark modules are drawn as blocks.
+ *
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.margin=2] - quiet zone, in modules
+ * @param {string} [opts.indent='  ']
+ * @param {boolean} [opts.color=chalk.level > 0]
+ * @returns {string}
+ */
+export function renderQr(text, { margin = 2, indent = '  ', color = chalk.level > 0 } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const size = modules.size;
+  const dark = (row, col) =>
+    row >= 0 && col >= 0 && row < size && col < size && modules.get(row, col) === 1;
+
+  const lines = [];
+  for (let row = -margin; row < size + margin; row += 2) {
+    let line = '';
+    for (let col = -margin; col < size + margin; col++) {
+      const top = dark(row, col);
+      const bottom = dark(row + 1, col);
+      line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+    }
+    lines.push(indent + (color ? chalk.black.bgWhite(line) : line));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Print a scannable QR code for funding `address` with USDC on `chain`.
+ * @param {object} chain
+ * @param {string} address
+ */
+export function printFundingQr(chain, address) {
+  const uri = usdcPaymentUri(chain, address);
+  console.log(renderQr(uri));
+  console.log(chalk.dim(`  Scan to send USDC on ${chain.label} (chain ID ${chain.chainId})`));
+  console.log(chalk.dim(`  ${uri}`));
+}
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { assessGas, formatUnitsFixed, fundingStatus, waitForFunds } from '../src/lib/balances.js';
+import { getChain } from '../src/lib/chains.js';
+
+test('Balances - Should format raw token amounts without float rounding', () => {
+  assert.strictEqual(formatUnitsFixed(2500000n, 6, 6), '2.500000');
+  assert.strictEqual(formatUnitsFixed(1n, 6, 6), '0.000001');
+  assert.strictEqual(formatUnitsFixed(123456789012345678901n, 18, 6), '123.456789');
+  assert.strictEqual(formatUnitsFixed(0n, 18, 6), '0.000000');
+});
+
+test('Balances - Should warn when USDC is held without gas on Base', () => {
+  const base = getChain('base');
+  const result = assessGas(base, { usdcRaw: 1_000_000n, nativeRaw: 0n });
+  assert.strictEqual(result.gasNeeded, true);
+  assert.match(result.warning, /No ETH for gas on Base Mainnet/);
+
+  assert.strictEqual(assessGas(base, { usdcRaw: 1_000_000n, nativeRaw: 1n }).warning, null);
+  assert.strictEqual(assessGas(base, { usdcRaw: 0n, nativeRaw: 0n }).warning, null, 'Empty wallets get no gas warning');
+});
+
+test('Balances - Should not ask for gas where it is sponsored', () => {
+  const result = assessGas(getChain('skale'), { usdcRaw: 1_000_000n, nativeRaw: 0n });
+  assert.strictEqual(result.gasNeeded, false, 'SKALE gas is sponsored');
+  assert.strictEqual(result.warning, null);
+
+  // The Polygon facilitator only pays for its own settlements; split, legacy and fallback transfers need POL
+  assert.match(assessGas(getChain('polygon'), { usdcRaw: 1_000_000n, nativeRaw: 0n }).warning, /No POL for gas/);
+});
+
+test('Balances - Should require gas for funding only where it is not sponsored', () => {
+  const base = getChain('base');
+  assert.deepStrictEqual(fundingStatus(base, { usdcRaw: 1n, nativeRaw: 0n }), { usdc: true, gas: false, funded: false });
+  assert.strictEqual(fundingStatus(base, { usdcRaw: 1n, nativeRaw: 1n }).funded, true);
+  assert.strictEqual(fundingStatus(getChain('skale'), { usdcRaw: 1n, nativeRaw: 0n }).funded, true);
+  assert.strictEqual(fundingStatus(getChain('polygon'), { usdcRaw: 1n, nativeRaw: 0n }).funded, false);
+  assert.strictEqual(fundingStatus(base, { usdcRaw: 400_000n, nativeRaw: 1n }, 500_000n).funded, false, 'Below the minimum');
+  assert.strictEqual(fundingStatus(base, { usdcRaw: 5_000_000n, nativeRaw: 1n }, 1n, 5_000_000n).usdc, false, 'No deposit over the baseline');
+  assert.strictEqual(fundingStatus(base, { usdcRaw: 5_500_000n, nativeRaw: 1n }, 500_000n, 5_000_000n).funded, true);
+});
+
+/** Fake RPC: eth_call returns the next USDC balance, eth_getBalance the native balance. */
+function withFakeRpc(usdcSequence, nativeHex, fn) {
+  const original = globalThis.fetch;
+  let polls = 0;
+  globalThis.fetch = async (url, init) => {
+    const { method } = JSON.parse(init.body);
+    let result = nativeHex;
+    if (method === 'eth_call') {
+      const next = usdcSequence[Math.min(polls++, usdcSequence.length - 1)];
+      if (next instanceof Error) throw next;
+      result = '0x' + next.toString(16);
+    }
+    return { ok: true, json: async () => ({ jsonrpc: '2.0', id: 1, result }) };
+  };
+  return fn().finally(() => { globalThis.fetch = original; });
+}
+
+test('Balances - waitForFunds should poll until USDC and gas have arrived', async () => {
+  const base = getChain('base');
+  const seen = [];
+  let clock = 0;
+  const result = await withFakeRpc([0n, new Error('flaky RPC'), 2_000_000n], '0x1', () =>
+    waitForFunds(base, '0x' + '1'.repeat(40), {
+      intervalMs: 1000,
+      timeoutMs: 60_000,
+      now: () => clock,
+      sleep: async (ms) => { clock += ms; },
+      onPoll: (poll) => seen.push(poll),
+    }));
+
+  assert.strictEqual(result.funded, true);
+  assert.strictEqual(result.balances.usdcRaw, 2_000_000n);
+  assert.strictEqual(seen.length, 3);
+  assert.match(seen[1].error.message, /flaky RPC/, 'RPC errors are reported and polling continues');
+});
+
+test('Balances - waitForFunds should wait for a deposit on top of the starting balance', async () => {
+  let clock = 0;
+  const result = await withFakeRpc([5_000_000n, 5_000_000n, 7_000_000n], '0x1', () =>
+    waitForFunds(getChain('base'), '0x' + '1'.repeat(40), {
+      minUsdcRaw: 2_000_000n,
+      intervalMs: 1000,
+      timeoutMs: 60_000,
+      now: () => clock,
+      sleep: async (ms) => { clock += ms; },
+    }));
+
+  assert.strictEqual(result.funded, true);
+  assert.strictEqual(result.baselineUsdcRaw, 5_000_000n);
+  assert.strictEqual(clock, 2000, 'A wallet that already holds USDC is not funded on the first poll');
+});
+
+test('Balances - waitForFunds should give up at the timeout', async () => {
+  let clock = 0;
+  const result = await withFakeRpc([5n], '0x0', () =>
+    waitForFunds(getChain('base'), '0x' + '1'.repeat(40), {
+      intervalMs: 10_000,
+      timeoutMs: 25_000,
+      now: () => clock,
+      sleep: async (ms) => { clock += ms; },
+    }));
+
+  assert.strictEqual(result.funded, false, 'USDC without ETH is not enough on Base');
+  assert.strictEqual(result.balances.usdcRaw, 5n);
+  assert.strictEqual(clock, 25_000);
+});
@@ -1,6 +1,18 @@
 import test from "node:test";
 import assert from "node:assert";
-import { parseParams, constructUrl } from "../src/commands/call.js";
+import {
+  parseParams,
+  constructUrl,
+  detectPaymentNetwork,
+  parseNetworkList,
+  resolvePaymentChain,
+  resolveMaxPrice,
+  resolveFacilitatorFallback,
+  isAboveMaxPrice,
+  buildRetryOptions,
+  DEFAULT_MAX_PRICE,
+} from "../src/commands/call.js";
+import http from "http";
 
 /**
  * Test API call flow and parameter parsing
@@ -216,3 +228,167 @@ test("Call - Should handle network errors", () => {
     assert.ok(err.code || err.name, "Error should have code or name");
   }
 });
+
+/**
+ * Test payment network detection from 402 responses
+ */
+test("Call - Should read declared payment network from 402 body", () => {
+  assert.strictEqual(
+    detectPaymentNetwork({ payment_details: { chain: "skale" } }),
+    "skale",
+  );
+  assert.strictEqual(
+    detectPaymentNetwork({ payment_details: { network: "polygon" } }),
+    "polygon",
+  );
+  assert.strictEqual(detectPaymentNetwork({ network: "base" }), "base");
+  assert.strictEqual(detectPaymentNetwork({ payment_details: {} }), null);
+  assert.strictEqual(detectPaymentNetwork(null), null);
+});
+
+/**
+ * Test --network parsing
+ */
+test("Call - Should parse --network list into registry keys", () => {
+  assert.strictEqual(parseNetworkList(undefined), null);
+  assert.deepStrictEqual(parseNetworkList("skale"), ["skale"]);
+  assert.deepStrictEqual(parseNetworkList("mainnet, skale"), [
+    "base",
+    "skale",
+  ]);
+  assert.throws(() => parseNetworkList("solana"), /Unknown network/);
+});
+
+/**
+ * Test payment chain resolution
+ */
+test("Call - Should resolve payment chain from 402 and --network", () => {
+  const skale402 = { payment_details: { amount: "0.01", chain: "skale" } };
+  const bare402 = { payment_details: { amount: "0.01" } };
+
+  assert.strictEqual(resolvePaymentChain(skale402).key, "skale");
+  assert.strictEqual(resolvePaymentChain(bare402).key, "base");
+  assert.strictEqual(
+    resolvePaymentChain(bare402, { allowed: ["skale"] }).key,
+    "skale",
+    "--network picks the chain when the server declares none",
+  );
+  assert.strictEqual(
+    resolvePaymentChain(bare402, { facilitator: true }).key,
+    "polygon",
+    "fee_splitter mode settles on Polygon",
+  );
+});
+
+test("Call - Facilitator payments should need EIP-3009 USDC on the chain", () => {
+  const base402 = { payment_details: { amount: "0.01", chain: "base" } };
+  const skale402 = { payment_details: { amount: "0.01", chain: "skale" } };
+  assert.strictEqual(
+    resolvePaymentChain(base402, { facilitator: true }).key,
+    "base",
+  );
+  assert.throws(
+    () => resolvePaymentChain(skale402, { facilitator: true }),
+    /EIP-3009 support, which SKALE on Base does not have/,
+  );
+});
+
+test("Call - Should refuse a 402 chain that conflicts with --network", () => {
+  const skale402 = { payment_details: { amount: "0.01", chain: "skale" } };
+  assert.throws(
+    () => resolvePaymentChain(skale402, { allowed: ["base"] }),
+    /requires payment on SKALE on Base/,
+  );
+  assert.throws(
+    () => resolvePaymentChain({ payment_details: { chain: "solana" } }),
+    /unsupported network: solana/,
+  );
+});
+
+/**
+ * Test --testnet chain selection
+ */
+test("Call - --testnet should pay on Base Sepolia and refuse mainnets", () => {
+  const bare402 = { payment_details: { amount: "0.01" } };
+  assert.strictEqual(
+    resolvePaymentChain(bare402, { testnet: true }).key,
+    "base-sepolia",
+  );
+  assert.strictEqual(
+    resolvePaymentChain(
+      { payment_details: { amount: "0.01", network: "base-sepolia" } },
+      { testnet: true },
+    ).key,
+    "base-sepolia",
+  );
+  assert.throws(
+    () =>
+      resolvePaymentChain(
+        { payment_details: { amount: "0.01", chain: "base" } },
+        { testnet: true },
+      ),
+    /--testnet only pays on test networks/,
+  );
+});
+
+/**
+ * Test max price ceiling resolution
+ */
+test("Call - Should resolve max price from flag, user config, then default", () => {
+  assert.strictEqual(resolveMaxPrice("0.05", { maxPrice: 2 }), 0.05);
+  assert.strictEqual(resolveMaxPrice(undefined, { maxPrice: 2 }), 2);
+  assert.strictEqual(resolveMaxPrice(undefined, {}), DEFAULT_MAX_PRICE);
+  assert.throws(() => resolveMaxPrice("abc"), /Invalid max price/);
+  assert.throws(() => resolveMaxPrice("0"), /Invalid max price/);
+});
+
+test("Call - Should compare price to ceiling without float drift", () => {
+  assert.strictEqual(isAboveMaxPrice("0.05", 0.05), false);
+  assert.strictEqual(isAboveMaxPrice(0.1 + 0.2, 0.3), false);
+  assert.strictEqual(isAboveMaxPrice("0.050001", 0.05), true);
+});
+
+test("Call - Facilitator fallback: flag > config > on", () => {
+  assert.strictEqual(resolveFacilitatorFallback(undefined, {}), true);
+  assert.strictEqual(
+    resolveFacilitatorFallback(undefined, { facilitatorFallback: false }),
+    false,
+  );
+  assert.strictEqual(
+    resolveFacilitatorFallback(true, { facilitatorFallback: false }),
+    true,
+  );
+  assert.strictEqual(resolveFacilitatorFallback(false, {}), false);
+});
+
+test("Call - The paid retry should not inherit an expired request timeout", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(req.headers["x-payment-txhash"] ? 200 : 402);
+    res.end("{}");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/test`;
+  try {
+    const fetchOptions = {
+      method: "GET",
+      headers: { "Content-Type": "application/json" },
+      signal: AbortSignal.timeout(200),
+    };
+    assert.strictEqual((await fetch(url, fetchOptions)).status, 402);
+    // Prompts and the payment take longer than the first request's timeout
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    assert.strictEqual(fetchOptions.signal.aborted, true);
+
+    const retry = buildRetryOptions(fetchOptions, {
+      "X-Payment-TxHash": "0x1",
+    });
+    assert.strictEqual(retry.signal.aborted, false);
+    assert.deepStrictEqual(retry.headers, {
+      "Content-Type": "application/json",
+      "X-Payment-TxHash": "0x1",
+    });
+    assert.strictEqual((await fetch(url, retry)).status, 200);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadCatalog, findCatalogEntry, compareWithCatalog, getCatalogCachePath } from '../src/lib/catalog.js';
+import { getChain } from '../src/lib/chains.js';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-catalog-'));
+process.env.X402_HOME = tmpHome;
+
+const PROVIDER = '0x2222222222222222222222222222222222222222';
+const SERVICES = [
+  { id: 'svc-1', name: 'Weather', endpoint: 'https://x402-api.onrender.com/api/weather', price: 0.005, chain: 'skale', provider_wallet: PROVIDER },
+  { id: 'svc-2', name: 'Search', endpoint: '/api/search', price: '0.01' },
+];
+
+test('Catalog - Should find entries by the requested endpoint path only', () => {
+  assert.strictEqual(findCatalogEntry(SERVICES, { endpoint: '/api/weather' }).id, 'svc-1');
+  assert.strictEqual(findCatalogEntry(SERVICES, { endpoint: '/other', serviceId: 'svc-2' }), null, 'A declared service ID does not pick the listing');
+  assert.strictEqual(findCatalogEntry(SERVICES, { endpoint: '/api/hash' }), null);
+});
+
+test('Catalog - Should block a 402 that names another listing', () => {
+  const diffs = compareWithCatalog(SERVICES[0], { price: 0.005, chain: getChain('skale'), providerWallet: PROVIDER, serviceId: 'svc-2' });
+  assert.deepStrictEqual(diffs.map(d => [d.field, d.blocking, d.catalog, d.payment]), [['service id', true, 'svc-1', 'svc-2']]);
+  assert.deepStrictEqual(compareWithCatalog(SERVICES[0], { price: 0.005, chain: getChain('skale'), providerWallet: PROVIDER, serviceId: 'svc-1' }), []);
+});
+
+test('Catalog - Should compare the payee of a legacy or fee_splitter payment with the listed wallet', () => {
+  const swapped = compareWithCatalog(SERVICES[0], { price: 0.005, chain: getChain('skale'), payTo: '0x9999999999999999999999999999999999999999' });
+  assert.deepStrictEqual(swapped.map(d => [d.field, d.blocking, d.payment]), [['recipient', true, '0x9999999999999999999999999999999999999999']]);
+
+  assert.deepStrictEqual(compareWithCatalog(SERVICES[0], { price: 0.005, chain: getChain('skale'), payTo: PROVIDER }), []);
+  const platform = '0xfb1c478BD5567BdcD39782E0D6D23418bFda2430';
+  assert.deepStrictEqual(compareWithCatalog(SERVICES[0], { price: 0.005, chain: getChain('skale'), payTo: platform, platformWallets: [platform.toLowerCase()] }), [], 'A configured platform wallet');
+  const polygon = { ...SERVICES[0], chain: 'polygon' };
+  assert.deepStrictEqual(compareWithCatalog(polygon, { price: 0.005, chain: getChain('polygon'), payTo: getChain('polygon').feeSplitter }), [], 'The registry FeeSplitter');
+  assert.strictEqual(
+    compareWithCatalog(SERVICES[0], { price: 0.005, chain: getChain('skale'), providerWallet: platform, platformWallets: [platform] })[0].field,
+    'provider wallet',
+    'A split provider wallet must be the listed one',
+  );
+});
+
+test('Catalog - Should accept payment details that match the listing', () => {
+  assert.deepStrictEqual(compareWithCatalog(SERVICES[0], { price: '0.005', chain: getChain('skale'), providerWallet: PROVIDER.toUpperCase().replace('0X', '0x') }), []);
+  assert.deepStrictEqual(compareWithCatalog(SERVICES[1], { price: 0.01, chain: getChain('polygon'), providerWallet: null }), [], 'Unlisted chain and wallet are not compared');
+});
+
+test('Catalog - Should flag a price increase, another chain and another provider wallet', () => {
+  const diffs = compareWithCatalog(SERVICES[0], {
+    price: 0.05,
+    chain: getChain('base'),
+    providerWallet: '0x9999999999999999999999999999999999999999',
+  });
+  assert.deepStrictEqual(diffs.map(d => [d.field, d.blocking]), [['price', true], ['chain', true], ['provider wallet', true]]);
+  assert.strictEqual(diffs[0].note, 'price increase');
+  assert.strictEqual(diffs[0].catalog, '0.005 USDC');
+
+  const cheaper = compareWithCatalog(SERVICES[0], { price: 0.001, chain: getChain('skale'), providerWallet: PROVIDER });
+  assert.deepStrictEqual(cheaper.map(d => [d.field, d.blocking, d.note]), [['price', false, 'lower than listed']]);
+});
+
+test('Catalog - A --testnet call on the listed mainnet\'s test network is not a chain mismatch', () => {
+  const entry = { price: 0.01, chain: 'base' };
+  assert.deepStrictEqual(compareWithCatalog(entry, { price: 0.01, chain: getChain('base-sepolia') }), []);
+});
+
+test('Catalog - Should cache /api/services and fall back to a stale cache when offline', async () => {
+  const original = globalThis.fetch;
+  let calls = 0;
+  globalThis.fetch = async (url) => {
+    calls++;
+    assert.strictEqual(url, 'https://bazaar.test/api/services');
+    return { ok: true, json: async () => ({ data: SERVICES }) };
+  };
+  try {
+    const first = await loadCatalog('https://bazaar.test', { now: 1_000_000 });
+    assert.strictEqual(first.fromCache, false);
+    assert.ok(fs.existsSync(getCatalogCachePath('https://bazaar.test')));
+
+    const second = await loadCatalog('https://bazaar.test', { now: 1_000_000 + 60_000 });
+    assert.strictEqual(second.fromCache, true);
+    assert.strictEqual(calls, 1);
+
+    globalThis.fetch = async () => { throw new Error('offline'); };
+    const stale = await loadCatalog('https://bazaar.test', { now: 1_000_000 + 3_600_000 });
+    assert.strictEqual(stale.fromCache, true);
+    assert.strictEqual(stale.services.length, 2);
+
+    await assert.rejects(loadCatalog('https://other.test'), /Could not load the service catalog: offline/);
+  } finally {
+    globalThis.fetch = original;
+  }
+});
@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getChain,
+  findChain,
+  listChains,
+  buildCustomChain,
+  resetChainCache,
+  explorerTxUrl,
+  explorerAddressUrl,
+  resolveChainOption,
+  usdcDomain,
+} from '../src/lib/chains.js';
+
+// Isolate the user config directory for every test in this file
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-chains-'));
+process.env.X402_HOME = tmpHome;
+
+test('Chains - Registry includes Base, Base Sepolia, SKALE and Polygon', () => {
+  resetChainCache();
+  const keys = listChains().map(c => c.key);
+  for (const key of ['base', 'base-sepolia', 'skale', 'polygon']) {
+    assert.ok(keys.includes(key), `Registry should include ${key}`);
+  }
+});
+
+test('Chains - Should resolve legacy init aliases', () => {
+  assert.strictEqual(getChain('mainnet').key, 'base');
+  assert.strictEqual(getChain('testnet').key, 'base-sepolia');
+  assert.strictEqual(getChain('SKALE').key, 'skale', 'Lookup should be case-insensitive');
+});
+
+test('Chains - Should resolve by numeric chain ID', () => {
+  assert.strictEqual(getChain(8453).key, 'base');
+  assert.strictEqual(getChain('1187947933').key, 'skale');
+  assert.strictEqual(getChain(137).key, 'polygon');
+});
+
+test('Chains - Should default to Base mainnet', () => {
+  assert.strictEqual(getChain().key, 'base');
+});
+
+test('Chains - Should throw on unknown network', () => {
+  assert.throws(() => getChain('solana'), /Unknown network: solana/);
+  assert.strictEqual(findChain('solana'), null);
+});
+
+test('Chains - Should build explorer links', () => {
+  const base = getChain('base');
+  assert.strictEqual(explorerTxUrl(base, '0xabc'), 'https://basescan.org/tx/0xabc');
+  assert.strictEqual(explorerAddressUrl(getChain('polygon'), '0xdef'), 'https://polygonscan.com/address/0xdef');
+});
+
+test('Chains - Should load custom chains from user config file', () => {
+  fs.writeFileSync(path.join(tmpHome, 'config.json'), JSON.stringify({
+    chains: {
+      'my-l2': {
+        chainId: 424242,
+        label: 'My L2',
+        rpcUrl: 'https://rpc.my-l2.example',
+        usdc: '0x1111111111111111111111111111111111111111',
+        explorer: 'https://explorer.my-l2.example/',
+      },
+      // Custom entries must not shadow built-ins
+      base: { chainId: 1, rpcUrl: 'https://evil.example', usdc: '0x2222222222222222222222222222222222222222' },
+    },
+  }));
+  resetChainCache();
+
+  const custom = getChain('my-l2');
+  assert.strictEqual(custom.chainId, 424242);
+  assert.strictEqual(custom.custom, true);
+  assert.strictEqual(custom.paymentHeader, 'my-l2');
+  assert.strictEqual(explorerTxUrl(custom, '0x1'), 'https://explorer.my-l2.example/tx/0x1');
+  assert.strictEqual(getChain(424242).key, 'my-l2');
+  assert.strictEqual(getChain('base').chainId, 8453, 'Built-in Base must not be overridden');
+
+  fs.rmSync(path.join(tmpHome, 'config.json'));
+  resetChainCache();
+});
+
+test('Chains - Mixed-case custom keys and aliases should be selectable', () => {
+  fs.writeFileSync(path.join(tmpHome, 'config.json'), JSON.stringify({
+    chains: {
+      MyL2: { chainId: 515151, rpcUrl: 'https://rpc.example', usdc: '0x' + '1'.repeat(40), aliases: ['MyAlias'] },
+      BASE: { chainId: 1, rpcUrl: 'https://evil.example', usdc: '0x' + '2'.repeat(40) },
+    },
+  }));
+  resetChainCache();
+
+  assert.strictEqual(getChain('MyL2').chainId, 515151);
+  assert.strictEqual(getChain('myalias').key, 'myl2');
+  assert.strictEqual(getChain('MyL2').label, 'MyL2');
+  assert.strictEqual(getChain('MyL2').paymentHeader, 'myl2', 'X-Payment-Chain uses the lower-case key');
+  assert.strictEqual(getChain('base').chainId, 8453, 'Case must not let a custom entry shadow a built-in');
+  assert.strictEqual(explorerTxUrl(getChain('myl2'), '0x1'), '0x1', 'No explorer: bare hash, not "/tx/0x1"');
+
+  fs.rmSync(path.join(tmpHome, 'config.json'));
+  resetChainCache();
+});
+
+test('Chains - Should reject malformed custom chains', () => {
+  assert.throws(() => buildCustomChain('x', { rpcUrl: 'https://a', usdc: '0x' + '1'.repeat(40) }), /chainId/);
+  assert.throws(() => buildCustomChain('x', { chainId: 5, rpcUrl: 'ftp://a', usdc: '0x' + '1'.repeat(40) }), /rpcUrl/);
+  assert.throws(() => buildCustomChain('x', { chainId: 5, rpcUrl: 'https://a', usdc: 'nope' }), /usdc/);
+  assert.throws(
+    () => buildCustomChain('x', { chainId: 5, rpcUrl: 'https://a', usdc: '0x' + '1'.repeat(40), eip3009: { name: 'USDC' } }),
+    /eip3009/
+  );
+});
+
+test('Chains - Should give the USDC EIP-712 domain on chains that support EIP-3009', () => {
+  const base = getChain('base');
+  assert.deepStrictEqual(usdcDomain(base), {
+    name: 'USD Coin',
+    version: '2',
+    chainId: 8453,
+    verifyingContract: base.usdc,
+  });
+  assert.strictEqual(usdcDomain(getChain('base-sepolia')).name, 'USDC');
+  assert.strictEqual(usdcDomain(getChain('polygon')).chainId, 137);
+  assert.throws(() => usdcDomain(getChain('skale')), /does not support gasless/);
+
+  const custom = buildCustomChain('my-l2', {
+    chainId: 424242, rpcUrl: 'https://rpc.my-l2.example', usdc: '0x' + '1'.repeat(40),
+    eip3009: { name: 'USD Coin', version: '2' },
+  });
+  assert.strictEqual(usdcDomain(custom).chainId, 424242);
+});
+
+test('Chains - --testnet should switch Base to Base Sepolia', () => {
+  const chain = resolveChainOption({ testnet: true });
+  assert.strictEqual(chain.key, 'base-sepolia');
+  assert.strictEqual(chain.chainId, 84532);
+  assert.strictEqual(chain.usdc, '0x036CbD53842c5426634e7929541eC2318f3dCF7e');
+  assert.ok(chain.explorer.includes('sepolia'));
+  assert.strictEqual(resolveChainOption({}).key, 'base');
+  assert.throws(() => resolveChainOption({ network: 'skale', testnet: true }), /no test network/);
+});
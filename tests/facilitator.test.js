@@ -1,6 +1,22 @@
 import test from 'node:test';
 import assert from 'node:assert';
 import { randomBytes } from 'crypto';
+import http from 'http';
+import { verifyTypedData } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { sendViaFacilitator } from '../src/lib/payment.js';
+import {
+  checkSupported,
+  verifyPayment,
+  settlePayment,
+  describeInvalidReason,
+  settlementOutcomeUnknown,
+  FACILITATOR_UNAVAILABLE,
+  FACILITATOR_UNSUPPORTED,
+  PAYMENT_INVALID,
+  SETTLEMENT_FAILED,
+} from '../src/lib/facilitator.js';
+import { getChain, usdcDomain } from '../src/lib/chains.js';
 
 // ── Helpers (pure functions mirroring call.js + payment.js facilitator logic) ──
 
@@ -397,3 +413,176 @@ test('PaymentPriority - no facilitator, no split → legacy mode', () => {
   assert.strictEqual(isSplit, false, 'Not split mode');
   // → legacy single transfer
 });
+
+// ── Facilitator client: /supported, /verify, /settle ─────────────────────────
+
+const BASE_KIND = { x402Version: 1, scheme: 'exact', network: 'base' };
+
+/**
+ * Start a fake facilitator. `routes` maps "/supported" etc. to a handler returning
+ * [status, body] (body undefined → empty). Every request is recorded.
+ */
+async function startFacilitator(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, url: req.url, body: parsed });
+      const route = routes[req.url];
+      const [status, data] = route ? route(parsed) : [404, { error: 'not found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(data === undefined ? '' : typeof data === 'string' ? data : JSON.stringify(data));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => server.close() };
+}
+
+const okRoutes = {
+  '/supported': () => [200, { kinds: [BASE_KIND] }],
+  '/verify': () => [200, { isValid: true, payer: '0x' + '1'.repeat(40) }],
+  '/settle': () => [200, { success: true, transaction: '0x' + 'ef'.repeat(32), network: 'base' }],
+};
+
+test('sendViaFacilitator - checks /supported, then /verify, then settles on Base', async () => {
+  const fac = await startFacilitator(okRoutes);
+  const key = '0x' + '22'.repeat(32);
+  const recipient = '0xfb1c478BD5567BdcD39782E0D6D23418bFda2430';
+  const steps = [];
+  try {
+    const txHash = await sendViaFacilitator(
+      key, fac.url, { amount: '0.01', recipient }, 'https://api.example.com/x', 'base',
+      { onStep: (step) => steps.push(step) },
+    );
+    assert.strictEqual(txHash, '0x' + 'ef'.repeat(32));
+  } finally {
+    fac.close();
+  }
+
+  assert.deepStrictEqual(fac.requests.map(r => `${r.method} ${r.url}`), ['GET /supported', 'POST /verify', 'POST /settle']);
+  assert.deepStrictEqual(steps, ['supported', 'sign', 'verify', 'settle']);
+  assert.deepStrictEqual(fac.requests[1].body, fac.requests[2].body, '/verify and /settle get the same payload');
+
+  const base = getChain('base');
+  const { paymentPayload, paymentRequirements } = fac.requests[2].body;
+  assert.strictEqual(paymentPayload.network, 'base');
+  assert.strictEqual(paymentRequirements.network, 'base');
+  assert.strictEqual(paymentRequirements.asset, base.usdc);
+  assert.deepStrictEqual(paymentRequirements.extra, { name: 'USD Coin', version: '2' });
+
+  const { signature, authorization } = paymentPayload.payload;
+  const from = privateKeyToAccount(key).address;
+  const valid = await verifyTypedData({
+    address: from,
+    domain: usdcDomain(base),
+    types: {
+      TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' },
+      ],
+    },
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      from,
+      to: recipient,
+      value: 10000n,
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+      nonce: authorization.nonce,
+    },
+    signature,
+  });
+  assert.ok(valid, 'Signature should verify against the Base USDC domain (chain 8453)');
+});
+
+test('sendViaFacilitator - an invalid payment never reaches /settle', async () => {
+  const fac = await startFacilitator({
+    ...okRoutes,
+    '/verify': () => [200, { isValid: false, invalidReason: 'insufficient_funds' }],
+  });
+  try {
+    await assert.rejects(
+      sendViaFacilitator('0x' + '22'.repeat(32), fac.url, { amount: '0.01', recipient: '0x' + '3'.repeat(40) }, 'x', 'base'),
+      (err) => {
+        assert.strictEqual(err.code, PAYMENT_INVALID);
+        assert.strictEqual(err.invalidReason, 'insufficient_funds');
+        assert.match(err.message, /does not hold enough USDC/);
+        return true;
+      },
+    );
+  } finally {
+    fac.close();
+  }
+  assert.ok(!fac.requests.some(r => r.url === '/settle'));
+});
+
+test('Facilitator - /supported rejects unsupported networks and assets, skips when missing', async () => {
+  const fac = await startFacilitator({
+    '/supported': () => [200, { kinds: [{ ...BASE_KIND, extra: { assets: ['0x' + 'a'.repeat(40)] } }] }],
+  });
+  try {
+    await assert.rejects(
+      checkSupported(fac.url, { scheme: 'exact', network: 'polygon', asset: '0x' + 'a'.repeat(40) }),
+      (err) => err.code === FACILITATOR_UNSUPPORTED && /supports: exact on base/.test(err.message),
+    );
+    await assert.rejects(
+      checkSupported(fac.url, { scheme: 'exact', network: 'base', asset: '0x' + 'b'.repeat(40) }),
+      (err) => err.code === FACILITATOR_UNSUPPORTED && /asset/.test(err.message),
+    );
+    assert.strictEqual(await checkSupported(fac.url, { scheme: 'exact', network: 'base', asset: '0x' + 'A'.repeat(40) }), true);
+  } finally {
+    fac.close();
+  }
+
+  const bare = await startFacilitator({});
+  try {
+    assert.strictEqual(await checkSupported(bare.url, { scheme: 'exact', network: 'base', asset: '0x' }), false);
+    assert.strictEqual(await verifyPayment(bare.url, { x402Version: 1 }, {}), false);
+  } finally {
+    bare.close();
+  }
+});
+
+test('Facilitator - outages are FACILITATOR_UNAVAILABLE, refused settlements SETTLEMENT_FAILED', async () => {
+  const fac = await startFacilitator({
+    '/supported': () => [503, { error: 'down' }],
+    '/verify': () => [200, '<html>gateway</html>'],
+    '/settle': () => [200, { success: false, errorReason: 'nonce_used' }],
+  });
+  const url = fac.url;
+  try {
+    await assert.rejects(checkSupported(url, { scheme: 'exact', network: 'base', asset: '0x' }), { code: FACILITATOR_UNAVAILABLE });
+    await assert.rejects(verifyPayment(url, { x402Version: 1 }, {}), { code: FACILITATOR_UNAVAILABLE });
+    await assert.rejects(settlePayment(url, { x402Version: 1 }, {}), (err) => {
+      assert.strictEqual(err.code, SETTLEMENT_FAILED);
+      assert.match(err.message, /Facilitator settlement failed: nonce_used/);
+      assert.strictEqual(settlementOutcomeUnknown(err), false);
+      return true;
+    });
+  } finally {
+    fac.close();
+  }
+
+  await assert.rejects(settlePayment(url, { x402Version: 1 }, {}), (err) => {
+    assert.strictEqual(err.code, FACILITATOR_UNAVAILABLE);
+    assert.strictEqual(settlementOutcomeUnknown(err), true, 'a /settle that got no answer may still land');
+    return true;
+  });
+
+  await assert.rejects(
+    checkSupported(url, { scheme: 'exact', network: 'base', asset: '0x' }),
+    (err) => err.code === FACILITATOR_UNAVAILABLE && /unreachable/.test(err.message),
+  );
+});
+
+test('Facilitator - invalidReason codes are explained', () => {
+  assert.match(describeInvalidReason('invalid_exact_evm_payload_signature'), /signature does not match/);
+  assert.strictEqual(describeInvalidReason('something_new'), 'something_new');
+  assert.strictEqual(describeInvalidReason(null), 'no reason given');
+});
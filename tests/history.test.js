@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+  TRANSFER_TOPIC,
+  decodeTransferLog,
+  buildKnownRecipients,
+  indexLedgerByTx,
+} from '../src/lib/history.js';
+import { labelTransfers } from '../src/commands/wallet-history.js';
+import { getChain } from '../src/lib/chains.js';
+
+const AGENT = '0x2e988A386a799F506693793c6A5AF6B54dfAaBfB';
+const PLATFORM = '0x1111111111111111111111111111111111111111';
+const PROVIDER = '0x2222222222222222222222222222222222222222';
+const FEE_SPLITTER = '0x820d4b07D09e5E07598464E6E36cB12561e0Ba56';
+const pad = (a) => '0x' + a.slice(2).toLowerCase().padStart(64, '0');
+
+test('History - Should decode a USDC Transfer log', () => {
+  const decoded = decodeTransferLog({
+    topics: [TRANSFER_TOPIC, pad(AGENT), pad(FEE_SPLITTER)],
+    data: '0x' + (12500).toString(16).padStart(64, '0'),
+    transactionHash: '0xabc',
+    blockNumber: '0x1a4',
+    logIndex: '0x2',
+  });
+  assert.strictEqual(decoded.from, AGENT.toLowerCase());
+  assert.strictEqual(decoded.to, FEE_SPLITTER.toLowerCase());
+  assert.strictEqual(decoded.amountRaw, 12500n);
+  assert.strictEqual(decoded.blockNumber, 420);
+  assert.strictEqual(decoded.logIndex, 2);
+});
+
+test('History - Should name marketplace recipients from the registry, ledger and config', () => {
+  const ledger = [
+    { mode: 'split', endpoint: '/api/weather', recipients: [PROVIDER, PLATFORM], txHashes: ['0xA1', '0xA2'] },
+    { mode: 'facilitator', endpoint: '/api/search', recipients: [FEE_SPLITTER], txHashes: ['0xB1'] },
+  ];
+  const known = buildKnownRecipients({
+    chains: [getChain('base'), getChain('polygon')],
+    ledger,
+    wallets: [{ name: 'treasury', address: '0x3333333333333333333333333333333333333333' }],
+  });
+
+  assert.deepStrictEqual(known.get(FEE_SPLITTER.toLowerCase()), { label: 'x402 Bazaar FeeSplitter', kind: 'fee-splitter' });
+  assert.deepStrictEqual(known.get(PLATFORM), { label: 'x402 Bazaar platform', kind: 'platform' });
+  assert.deepStrictEqual(known.get(PROVIDER), { label: 'provider (/api/weather)', kind: 'provider' });
+  assert.strictEqual(known.get('0x3333333333333333333333333333333333333333').kind, 'own');
+
+  const payees = buildKnownRecipients({
+    chains: [getChain('polygon')],
+    ledger: [
+      { mode: 'facilitator', endpoint: '/api/search', recipients: [FEE_SPLITTER] },
+      { mode: 'facilitator', endpoint: '/api/hash', recipients: ['0x6666666666666666666666666666666666666666'] },
+      { mode: 'x402', server: 'https://api.example.com', endpoint: '/weather', recipients: ['0x7777777777777777777777777777777777777777'] },
+    ],
+  });
+  assert.strictEqual(payees.get(FEE_SPLITTER.toLowerCase()).kind, 'fee-splitter', 'The registry label wins');
+  assert.deepStrictEqual(payees.get('0x6666666666666666666666666666666666666666'), { label: 'payee (/api/hash)', kind: 'provider' });
+  assert.strictEqual(payees.get('0x7777777777777777777777777777777777777777').label, 'payee (https://api.example.com/weather)');
+
+  const fromConfig = buildKnownRecipients({ chains: [], platformWallet: '0x4444444444444444444444444444444444444444' });
+  assert.strictEqual(fromConfig.get('0x4444444444444444444444444444444444444444').kind, 'platform');
+
+  const legacy = buildKnownRecipients({
+    chains: [],
+    platformWallet: '0x4444444444444444444444444444444444444444',
+    ledger: [
+      { mode: 'split', endpoint: '/api/weather', recipients: [PROVIDER, PLATFORM] },
+      { mode: 'legacy', endpoint: '/api/a', recipients: [PLATFORM] },
+      { mode: 'legacy', endpoint: '/api/b', recipients: ['0x4444444444444444444444444444444444444444'] },
+      { mode: 'legacy', server: 'https://other.example', endpoint: '/api/c', recipients: ['0x8888888888888888888888888888888888888888'] },
+    ],
+  });
+  assert.strictEqual(legacy.get(PLATFORM).kind, 'platform', 'Known from a split payment');
+  assert.strictEqual(legacy.get('0x4444444444444444444444444444444444444444').kind, 'platform', 'Configured platform wallet');
+  assert.strictEqual(legacy.has('0x8888888888888888888888888888888888888888'), false, 'Other legacy payees keep the raw address');
+});
+
+test('History - Should label transfers and attach ledger endpoints by tx hash', () => {
+  const ledger = [{ mode: 'split', endpoint: '/api/weather', recipients: [PROVIDER, PLATFORM], txHashes: ['0xA1', '0xA2'] }];
+  const known = buildKnownRecipients({ chains: [getChain('polygon')], ledger });
+  const rows = labelTransfers([
+    { to: PLATFORM, txHash: '0xa2', amountRaw: 500n },
+    { to: '0x5555555555555555555555555555555555555555', txHash: '0xff', amountRaw: 1n },
+  ], known, indexLedgerByTx(ledger));
+
+  assert.strictEqual(rows[0].counterparty, 'x402 Bazaar platform');
+  assert.strictEqual(rows[0].endpoint, '/api/weather', 'tx hash match should be case-insensitive');
+  assert.strictEqual(rows[1].counterparty, null);
+  assert.strictEqual(rows[1].kind, 'unknown');
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { encryptKeystore, decryptKeystore, isKeystore } from '../src/lib/keystore.js';
+import {
+  getWalletPath,
+  readWalletFile,
+  writeWalletFile,
+  isEncryptedWallet,
+  getWalletAddress,
+  encryptWallet,
+  unlockWallet,
+} from '../src/lib/wallet-store.js';
+
+// Isolate the wallet directory for every test in this file
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-keystore-'));
+process.env.X402_HOME = tmpHome;
+
+const PRIVATE_KEY = '0x1234567890123456789012345678901234567890123456789012345678901234';
+const ADDRESS = '0x2e988A386a799F506693793c6A5AF6B54dfAaBfB';
+// Low scrypt cost keeps the tests fast; real wallets use DEFAULT_SCRYPT_PARAMS
+const FAST = { n: 1024, r: 8, p: 1 };
+
+test('Keystore - Should round-trip a private key', () => {
+  const keystore = encryptKeystore(PRIVATE_KEY, 'correct horse', FAST);
+
+  assert.strictEqual(keystore.version, 3);
+  assert.strictEqual(keystore.address, ADDRESS.slice(2).toLowerCase());
+  assert.strictEqual(keystore.crypto.cipher, 'aes-128-ctr');
+  assert.strictEqual(keystore.crypto.kdf, 'scrypt');
+  assert.ok(!JSON.stringify(keystore).includes(PRIVATE_KEY.slice(2)), 'Key must not appear in plaintext');
+  assert.ok(isKeystore(keystore));
+
+  assert.strictEqual(decryptKeystore(keystore, 'correct horse'), PRIVATE_KEY);
+});
+
+test('Keystore - Should reject a wrong password', () => {
+  const keystore = encryptKeystore(PRIVATE_KEY, 'correct horse', FAST);
+  assert.throws(() => decryptKeystore(keystore, 'wrong'), /Incorrect wallet password/);
+});
+
+test('Keystore - Should reject a key that does not match the keystore address', () => {
+  const keystore = encryptKeystore(PRIVATE_KEY, 'correct horse', FAST);
+  assert.throws(
+    () => decryptKeystore({ ...keystore, address: '1'.repeat(40) }, 'correct horse'),
+    /does not match its address/
+  );
+  assert.strictEqual(decryptKeystore({ ...keystore, address: '0x' + keystore.address.toUpperCase() }, 'correct horse'), PRIVATE_KEY);
+});
+
+test('Keystore - Should decrypt the Web3 Secret Storage PBKDF2 test vector', () => {
+  const keystore = {
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+      ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+      kdf: 'pbkdf2',
+      kdfparams: {
+        c: 262144,
+        dklen: 32,
+        prf: 'hmac-sha256',
+        salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd',
+      },
+      mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2',
+    },
+    id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+    version: 3,
+  };
+  assert.strictEqual(
+    decryptKeystore(keystore, 'testpassword'),
+    '0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d'
+  );
+});
+
+test('WalletStore - Should still unlock legacy plaintext wallet files', async () => {
+  const legacy = { address: ADDRESS, privateKey: PRIVATE_KEY.slice(2), network: 'base' };
+  assert.strictEqual(isEncryptedWallet(legacy), false);
+  assert.strictEqual(getWalletAddress(legacy), ADDRESS);
+  assert.strictEqual(await unlockWallet(legacy), PRIVATE_KEY);
+});
+
+test('WalletStore - An upper-case legacy key should encrypt to the same key', async () => {
+  const key = await unlockWallet({ privateKey: 'ABCDEF'.repeat(10) + 'ABCD' });
+  assert.strictEqual(key, '0x' + 'ABCDEF'.repeat(10) + 'ABCD');
+  const wallet = await encryptWallet(key, 'pw-12345678', { scryptParams: FAST });
+  assert.strictEqual(await unlockWallet(wallet, 'pw-12345678'), key.toLowerCase());
+});
+
+test('WalletStore - Should write encrypted wallets owner-only and read them back', async () => {
+  const wallet = await encryptWallet(PRIVATE_KEY, 'pw-12345678', { network: 'skale', scryptParams: FAST });
+  writeWalletFile(wallet);
+
+  const filePath = getWalletPath();
+  assert.strictEqual(filePath, path.join(tmpHome, 'wallet.json'));
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+  }
+
+  const loaded = readWalletFile();
+  assert.ok(isEncryptedWallet(loaded));
+  assert.strictEqual(loaded.network, 'skale');
+  assert.strictEqual(loaded.privateKey, undefined);
+  assert.strictEqual(getWalletAddress(loaded), ADDRESS.toLowerCase());
+  assert.strictEqual(await unlockWallet(loaded, 'pw-12345678'), PRIVATE_KEY);
+  await assert.rejects(() => unlockWallet(loaded, 'nope'), /Incorrect wallet password/);
+});
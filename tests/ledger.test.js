@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  recordPayment,
+  readLedger,
+  resolveSession,
+  checkBudget,
+  getBudgetLimits,
+  dayKey,
+} from '../src/lib/ledger.js';
+
+// Isolate the ledger directory for every test in this file
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-ledger-'));
+process.env.X402_HOME = tmpHome;
+delete process.env.X402_SESSION_ID;
+
+const NOW = new Date('2026-03-10T12:00:00').getTime();
+
+test('Ledger - Should append and read back payments', () => {
+  recordPayment({
+    url: 'https://x402-api.onrender.com/api/weather?city=Paris',
+    chain: 'skale',
+    mode: 'legacy',
+    amount: '0.005',
+    txHashes: ['0xaaa'],
+    recipients: ['0xfb1c478BD5567BdcD39782E0D6D23418bFda2430'],
+    now: NOW,
+  });
+
+  const entries = readLedger();
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].endpoint, '/api/weather', 'Query string should be stripped from endpoint');
+  assert.strictEqual(entries[0].server, 'https://x402-api.onrender.com');
+  assert.strictEqual(entries[0].amount, 0.005, 'Amount should be stored as a number');
+  assert.strictEqual(entries[0].mode, 'legacy');
+  assert.ok(entries[0].session, 'Entry should carry a session ID');
+});
+
+test('Ledger - Session should persist while active and rotate after idle timeout', () => {
+  const first = resolveSession({ now: NOW, idleMinutes: 30 });
+  const same = resolveSession({ now: NOW + 10 * 60_000, idleMinutes: 30 });
+  assert.strictEqual(first, same, 'Session should be reused within the idle window');
+
+  const rotated = resolveSession({ now: NOW + 2 * 60 * 60_000, idleMinutes: 30 });
+  assert.notStrictEqual(first, rotated, 'Session should rotate after idle timeout');
+});
+
+test('Ledger - A session resolved without persisting should not touch session.json', () => {
+  const sessionPath = path.join(tmpHome, 'session.json');
+  const before = fs.readFileSync(sessionPath, 'utf-8');
+  const later = NOW + 24 * 60 * 60_000;
+  assert.notStrictEqual(resolveSession({ now: later, idleMinutes: 30, persist: false }), JSON.parse(before).id);
+  assert.strictEqual(fs.readFileSync(sessionPath, 'utf-8'), before, 'An idle session is not rotated');
+
+  fs.rmSync(sessionPath);
+  resolveSession({ now: later, persist: false });
+  assert.strictEqual(fs.existsSync(sessionPath), false, 'No session file is created');
+});
+
+test('Ledger - X402_SESSION_ID should pin the session', () => {
+  process.env.X402_SESSION_ID = 'agent-run-42';
+  assert.strictEqual(resolveSession({ now: NOW }), 'agent-run-42');
+  delete process.env.X402_SESSION_ID;
+});
+
+test('Budget - No caps configured → always ok', () => {
+  const limits = getBudgetLimits();
+  assert.strictEqual(limits.perCall, null);
+  const result = checkBudget(100, { limits, entries: [], session: 's1', now: NOW });
+  assert.strictEqual(result.ok, true);
+});
+
+test('Budget - Should enforce per-call, per-day and per-session caps', () => {
+  const limits = { perCall: 0.05, perDay: 0.1, perSession: 0.02 };
+  const entries = [
+    { timestamp: new Date(NOW - 60_000).toISOString(), session: 's1', amount: 0.015 },
+    { timestamp: new Date(NOW - 60_000).toISOString(), session: 's0', amount: 0.08 },
+    // Yesterday — does not count toward today's cap
+    { timestamp: new Date(NOW - 24 * 60 * 60_000).toISOString(), session: 's0', amount: 5 },
+  ];
+
+  const ok = checkBudget(0.005, { limits, entries, session: 's1', now: NOW });
+  assert.strictEqual(ok.ok, true, '0.095 today and 0.02 this session are within caps');
+
+  const tooMuch = checkBudget(0.06, { limits, entries, session: 's1', now: NOW });
+  const hit = tooMuch.violations.map(v => v.limit).sort();
+  assert.deepStrictEqual(hit, ['perCall', 'perDay', 'perSession']);
+});
+
+test('Budget - Cap boundary is inclusive and free of float drift', () => {
+  const limits = { perCall: null, perDay: null, perSession: 0.3 };
+  const entries = [
+    { timestamp: new Date(NOW).toISOString(), session: 's1', amount: 0.1 },
+    { timestamp: new Date(NOW).toISOString(), session: 's1', amount: 0.1 },
+  ];
+  assert.strictEqual(checkBudget(0.1, { limits, entries, session: 's1', now: NOW }).ok, true);
+});
+
+test('Budget - Should read caps from the user config file', () => {
+  fs.writeFileSync(path.join(tmpHome, 'config.json'), JSON.stringify({ budget: { perDay: '2.5', perSession: 1 } }));
+  const limits = getBudgetLimits();
+  assert.strictEqual(limits.perDay, 2.5);
+  assert.strictEqual(limits.perSession, 1);
+  assert.strictEqual(limits.perCall, null);
+  fs.rmSync(path.join(tmpHome, 'config.json'));
+});
+
+test('Ledger - dayKey should use the local calendar day', () => {
+  assert.strictEqual(dayKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+  createMnemonic,
+  validateMnemonic,
+  normalizeMnemonic,
+  deriveAccountFromMnemonic,
+  derivationPath,
+  parseAccountIndex,
+  formatMnemonicGrid,
+} from '../src/lib/mnemonic.js';
+
+// Well-known development phrase (Hardhat / Anvil default accounts)
+const PHRASE = 'test test test test test test test test test test test junk';
+
+test('Mnemonic - Should derive the standard BIP-44 accounts', () => {
+  const first = deriveAccountFromMnemonic(PHRASE, 0);
+  assert.strictEqual(first.address, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+  assert.strictEqual(first.privateKey, '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+  assert.strictEqual(first.path, "m/44'/60'/0'/0/0");
+
+  const second = deriveAccountFromMnemonic(PHRASE, 1);
+  assert.strictEqual(second.address, '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+  assert.strictEqual(second.path, derivationPath(1));
+});
+
+test('Mnemonic - Should accept pasted phrases with odd spacing and case', () => {
+  const messy = '  Test test\ntest TEST test test  test test test test test junk ';
+  assert.strictEqual(normalizeMnemonic(messy), PHRASE);
+  assert.strictEqual(deriveAccountFromMnemonic(messy).address, deriveAccountFromMnemonic(PHRASE).address);
+});
+
+test('Mnemonic - Should reject bad phrases with a specific reason', () => {
+  assert.throws(() => validateMnemonic('test test test'), /has 3 words/);
+  assert.throws(() => validateMnemonic(PHRASE.replace('junk', 'junkk')), /wordlist: junkk/);
+  assert.throws(() => validateMnemonic(PHRASE.replace('junk', 'test')), /checksum/);
+});
+
+test('Mnemonic - Generated phrases should be valid and unique', () => {
+  const a = createMnemonic();
+  const b = createMnemonic(24);
+  assert.strictEqual(a.split(' ').length, 12);
+  assert.strictEqual(b.split(' ').length, 24);
+  assert.strictEqual(validateMnemonic(a), a);
+  assert.strictEqual(validateMnemonic(b), b);
+  assert.notStrictEqual(a, createMnemonic());
+  assert.throws(() => createMnemonic(13), /words/);
+});
+
+test('Mnemonic - Should parse --index', () => {
+  assert.strictEqual(parseAccountIndex(undefined), 0);
+  assert.strictEqual(parseAccountIndex('7'), 7);
+  for (const bad of ['-1', '1.5', 'abc', String(2 ** 31)]) {
+    assert.throws(() => parseAccountIndex(bad), /Invalid --index/, `${bad} should be rejected`);
+  }
+});
+
+test('Mnemonic - Grid should number every word', () => {
+  const grid = formatMnemonicGrid(PHRASE);
+  assert.strictEqual(grid.split('\n').length, 3);
+  assert.match(grid, /12\. junk/);
+});
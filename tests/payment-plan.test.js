@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { buildPaymentPlan, computeSplitAmounts, computeFacilitatorAmountRaw, checkUsdcTransfer } from '../src/lib/payment.js';
+import { getChain } from '../src/lib/chains.js';
+import { TRANSFER_TOPIC } from '../src/lib/history.js';
+
+const PROVIDER = '0x1111111111111111111111111111111111111111';
+const PLATFORM = '0xfb1c478BD5567BdcD39782E0D6D23418bFda2430';
+const FEE_SPLITTER = '0x820d4b07D09e5E07598464E6E36cB12561e0Ba56';
+
+test('PaymentPlan - Legacy mode is a single transfer of the full price', () => {
+  const plan = buildPaymentPlan({ mode: 'legacy', network: 'base', price: 0.05, payTo: PLATFORM });
+  assert.strictEqual(plan.gasless, false);
+  assert.deepStrictEqual(plan.transfers, [{ role: 'recipient', to: PLATFORM, amountRaw: 50000n }]);
+});
+
+test('PaymentPlan - Split mode matches the amounts sendSplitUsdcPayment sends', () => {
+  const plan = buildPaymentPlan({
+    mode: 'split', network: 'skale', price: 0.01, payTo: PLATFORM, providerWallet: PROVIDER,
+  });
+  const { providerAmountRaw, platformAmountRaw } = computeSplitAmounts({ totalAmountUsdc: 0.01 });
+  assert.strictEqual(plan.network, 'skale');
+  assert.deepStrictEqual(plan.transfers, [
+    { role: 'provider', to: PROVIDER, amountRaw: providerAmountRaw },
+    { role: 'platform', to: PLATFORM, amountRaw: platformAmountRaw },
+  ]);
+  assert.strictEqual(providerAmountRaw + platformAmountRaw, 10000n);
+});
+
+test('PaymentPlan - Split mode honors server-provided amounts', () => {
+  const plan = buildPaymentPlan({
+    mode: 'split', network: 'base', price: 0.01, payTo: PLATFORM, providerWallet: PROVIDER,
+    serverSplit: { provider_amount: 0.009, platform_amount: 0.001 },
+  });
+  assert.deepStrictEqual(plan.transfers.map(t => t.amountRaw), [9000n, 1000n]);
+});
+
+test('PaymentPlan - Split mode rejects amounts too small to split', () => {
+  assert.throws(
+    () => buildPaymentPlan({ mode: 'split', network: 'base', price: 0.00001, payTo: PLATFORM, providerWallet: PROVIDER }),
+    /Amount too small/
+  );
+});
+
+test('PaymentPlan - Facilitator mode is gasless and pays the fee splitter', () => {
+  const plan = buildPaymentPlan({ mode: 'facilitator', network: 'polygon', price: '0.0125', payTo: FEE_SPLITTER });
+  assert.strictEqual(plan.gasless, true);
+  assert.deepStrictEqual(plan.transfers, [
+    { role: 'fee splitter', to: FEE_SPLITTER, amountRaw: computeFacilitatorAmountRaw('0.0125') },
+  ]);
+  assert.strictEqual(computeFacilitatorAmountRaw('0.0125'), 12500n);
+});
+
+test('PaymentPlan - Facilitator mode without a fee splitter pays the recipient', () => {
+  const plan = buildPaymentPlan({ mode: 'facilitator', network: 'base', price: 0.01, payTo: PLATFORM, feeSplitter: false });
+  assert.strictEqual(plan.gasless, true);
+  assert.deepStrictEqual(plan.transfers, [{ role: 'recipient', to: PLATFORM, amountRaw: 10000n }]);
+});
+
+// ── checkUsdcTransfer (receipt served by a fake RPC) ─────────────────────────
+
+const FROM = '0x2222222222222222222222222222222222222222';
+const TX = '0x' + 'ab'.repeat(32);
+
+const topic = (address) => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+
+function transferLog({ token = getChain('base').usdc, from = FROM, to = PROVIDER, amountRaw = 9500n } = {}) {
+  return {
+    address: token,
+    topics: [TRANSFER_TOPIC, topic(from), topic(to)],
+    data: '0x' + amountRaw.toString(16).padStart(64, '0'),
+    blockNumber: '0x10', logIndex: '0x0', transactionHash: TX, transactionIndex: '0x0',
+    blockHash: '0x' + '00'.repeat(32), removed: false,
+  };
+}
+
+function withReceipt(receipt, fn) {
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    const { id } = JSON.parse(init.body);
+    const result = receipt && {
+      transactionHash: TX, blockNumber: '0x10', blockHash: '0x' + '00'.repeat(32),
+      transactionIndex: '0x0', from: FROM, to: getChain('base').usdc, gasUsed: '0x1', cumulativeGasUsed: '0x1',
+      effectiveGasPrice: '0x1', type: '0x2', contractAddress: null, logsBloom: '0x' + '00'.repeat(256),
+      ...receipt,
+    };
+    return new Response(JSON.stringify({ jsonrpc: '2.0', id, result }), { headers: { 'content-type': 'application/json' } });
+  };
+  return fn().finally(() => { globalThis.fetch = original; });
+}
+
+const check = () => checkUsdcTransfer('base', TX, { from: FROM, to: PROVIDER, amountRaw: 9500n });
+
+test('CheckTransfer - A successful receipt with the matching USDC transfer is confirmed', async () => {
+  assert.strictEqual(await withReceipt({ status: '0x1', logs: [transferLog()] }, check), 'confirmed');
+});
+
+test('CheckTransfer - Wrong amount, recipient or token is a mismatch', async () => {
+  for (const log of [
+    transferLog({ amountRaw: 9000n }),
+    transferLog({ to: PLATFORM }),
+    transferLog({ token: '0x' + '9'.repeat(40) }),
+  ]) {
+    assert.strictEqual(await withReceipt({ status: '0x1', logs: [log] }, check), 'mismatch');
+  }
+});
+
+test('CheckTransfer - A reverted transaction failed and a missing receipt is pending', async () => {
+  assert.strictEqual(await withReceipt({ status: '0x0', logs: [] }, check), 'failed');
+  assert.strictEqual(await withReceipt(null, check), 'pending');
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getPendingSplitsPath,
+  readPendingSplits,
+  findPendingSplit,
+  savePendingSplit,
+  recordPlatformAttempt,
+  removePendingSplit,
+} from '../src/lib/pending-splits.js';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-pending-'));
+process.env.X402_HOME = tmpHome;
+
+const SPLIT = {
+  url: 'https://x402-api.onrender.com/api/search?q=AI',
+  network: 'skale',
+  from: '0x1111111111111111111111111111111111111111',
+  totalAmountUsdc: 0.01,
+  serverSplit: { provider_amount: 0.0095, platform_amount: 0.0005 },
+  providerWallet: '0x2222222222222222222222222222222222222222',
+  platformWallet: '0x3333333333333333333333333333333333333333',
+  txHashProvider: '0x' + 'ab'.repeat(32),
+};
+
+test('Pending splits - No file reads as no pending splits', () => {
+  assert.deepStrictEqual(readPendingSplits(), []);
+  assert.strictEqual(findPendingSplit(SPLIT.url), null);
+});
+
+test('Pending splits - Should save, replace and find a split by URL', () => {
+  const saved = savePendingSplit(SPLIT, Date.UTC(2026, 0, 1));
+  assert.strictEqual(saved.createdAt, '2026-01-01T00:00:00.000Z');
+  savePendingSplit({ ...SPLIT, url: 'https://x402-api.onrender.com/api/weather' });
+  savePendingSplit({ ...SPLIT, txHashProvider: '0x' + 'cd'.repeat(32) });
+
+  assert.strictEqual(readPendingSplits().length, 2, 'A second save for the same URL replaces the first');
+  assert.strictEqual(findPendingSplit(SPLIT.url).txHashProvider, '0x' + 'cd'.repeat(32));
+  assert.deepStrictEqual(findPendingSplit(SPLIT.url).serverSplit, SPLIT.serverSplit);
+  assert.strictEqual(findPendingSplit('https://x402-api.onrender.com/api/search?q=other'), null);
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(getPendingSplitsPath()).mode & 0o777, 0o600);
+  }
+});
+
+test('Pending splits - Should record broadcast platform transfers on the split', () => {
+  const other = '0x' + 'ef'.repeat(32);
+  assert.strictEqual(recordPlatformAttempt('https://x402-api.onrender.com/api/unknown', other), null);
+  recordPlatformAttempt(SPLIT.url, '0x' + '01'.repeat(32));
+  recordPlatformAttempt(SPLIT.url, other);
+  assert.deepStrictEqual(findPendingSplit(SPLIT.url).platformTxHashes, ['0x' + '01'.repeat(32), other]);
+  assert.strictEqual(findPendingSplit(SPLIT.url).txHashProvider, '0x' + 'cd'.repeat(32));
+  assert.strictEqual(readPendingSplits().length, 2);
+});
+
+test('Pending splits - Removing the last split deletes the file', () => {
+  removePendingSplit(SPLIT.url);
+  assert.deepStrictEqual(readPendingSplits().map(e => e.url), ['https://x402-api.onrender.com/api/weather']);
+  removePendingSplit('https://x402-api.onrender.com/api/weather');
+  assert.strictEqual(fs.existsSync(getPendingSplitsPath()), false);
+});
+
+test('Pending splits - A corrupt file reads as no pending splits', () => {
+  fs.writeFileSync(getPendingSplitsPath(), '{not json', 'utf-8');
+  assert.deepStrictEqual(readPendingSplits(), []);
+  fs.rmSync(getPendingSplitsPath());
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePolicy, loadPolicy, checkPolicy, matchEndpoint, getPolicyPath } from '../src/lib/policy.js';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-policy-'));
+process.env.X402_HOME = tmpHome;
+
+const PROVIDER = '0x2222222222222222222222222222222222222222';
+const PLATFORM = '0x1111111111111111111111111111111111111111';
+const ATTACKER = '0x9999999999999999999999999999999999999999';
+
+const policy = parsePolicy({
+  allowedRecipients: [PROVIDER, PLATFORM.toUpperCase().replace('0X', '0x')],
+  allowedEndpoints: ['/api/weather', '/api/search/*'],
+  allowedServices: ['translate-pro'],
+  priceCaps: { '/api/search/*': 0.05, '/api/search/deep': 0.2, 'translate-pro': 0.01 },
+});
+
+const split = (overrides = {}) => ({
+  endpoint: '/api/weather',
+  price: 0.01,
+  recipients: [
+    { role: 'provider wallet', address: PROVIDER },
+    { role: 'platform wallet', address: PLATFORM },
+  ],
+  ...overrides,
+});
+
+test('Policy - Should match exact endpoints and trailing-* prefixes', () => {
+  assert.ok(matchEndpoint('/api/weather', '/api/weather'));
+  assert.ok(!matchEndpoint('/api/weather', '/api/weather2'));
+  assert.ok(matchEndpoint('/api/search/*', '/api/search/web'));
+  assert.ok(!matchEndpoint('/api/search/*', '/api/searching'));
+});
+
+test('Policy - Bare path patterns should only match the configured server', () => {
+  const server = 'https://x402-api.onrender.com';
+  assert.ok(matchEndpoint('/api/weather', '/api/weather', server));
+  assert.ok(matchEndpoint('/api/weather*', 'https://x402-api.onrender.com/api/weather', server));
+  assert.ok(!matchEndpoint('/api/weather*', 'https://evil.example/api/weather', server));
+  assert.ok(!matchEndpoint('/api/weather', 'https://evil.example/api/weather'), 'No server configured: bare paths never match a URL');
+
+  assert.ok(matchEndpoint('https://api.example.com/v1/*', 'https://api.example.com/v1/weather', server));
+  assert.ok(!matchEndpoint('https://api.example.com/v1/*', 'https://api.example.com.evil.example/v1/weather', server));
+  assert.ok(!matchEndpoint('https://api.example.com/v1/*', '/v1/weather', server));
+
+  const result = checkPolicy(policy, split({ endpoint: 'https://evil.example/api/weather', serverUrl: server }));
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['allowedEndpoints']);
+});
+
+test('Policy - Should allow payments that satisfy every rule', () => {
+  assert.deepStrictEqual(checkPolicy(policy, split()), { ok: true, violations: [] });
+  assert.ok(checkPolicy(null, split({ recipients: [{ role: 'recipient', address: ATTACKER }] })).ok, 'No policy file, no restriction');
+});
+
+test('Policy - Should refuse a recipient that is not allowed', () => {
+  const result = checkPolicy(policy, split({
+    recipients: [
+      { role: 'provider wallet', address: ATTACKER },
+      { role: 'platform wallet', address: PLATFORM },
+    ],
+  }));
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['allowedRecipients']);
+  assert.match(result.violations[0].message, /provider wallet 0x9999.* is not an allowed recipient/);
+
+  const facilitator = checkPolicy(policy, split({ recipients: [{ role: 'facilitator recipient', address: undefined }] }));
+  assert.match(facilitator.violations[0].message, /\(missing\)/);
+});
+
+test('Policy - Should allow an endpoint by path or by service ID', () => {
+  assert.strictEqual(checkPolicy(policy, split({ endpoint: '/api/hash' })).violations[0].rule, 'allowedEndpoints');
+  assert.ok(checkPolicy(policy, split({ endpoint: '/api/translate', serviceId: 'translate-pro' })).ok);
+});
+
+test('Policy - Should apply the lowest of all matching price caps', () => {
+  assert.ok(checkPolicy(policy, split({ endpoint: '/api/search/deep', price: 0.05 })).ok);
+  const deep = checkPolicy(policy, split({ endpoint: '/api/search/deep', price: 0.15 }));
+  assert.match(deep.violations[0].message, /above the 0\.05 USDC cap for \/api\/search\/\*/, 'The wildcard cap still binds');
+  const over = checkPolicy(policy, split({ endpoint: '/api/search/web', price: 0.050001 }));
+  assert.match(over.violations[0].message, /above the 0\.05 USDC cap for \/api\/search\/\*/);
+  assert.strictEqual(checkPolicy(policy, split({ endpoint: '/api/x', serviceId: 'translate-pro', price: 0.02 })).violations[0].rule, 'priceCaps');
+});
+
+test('Policy - A looser service cap should not lift a stricter endpoint cap', () => {
+  const caps = parsePolicy({ priceCaps: { '/api/search/*': 0.05, 'search-pro': 1 } });
+  const result = checkPolicy(caps, split({ endpoint: '/api/search/web', serviceId: 'search-pro', price: 0.5 }));
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['priceCaps']);
+  assert.match(result.violations[0].message, /0\.05 USDC cap for \/api\/search\/\*/);
+
+  const stricter = parsePolicy({ priceCaps: { '/api/search/*': 0.05, 'search-pro': 0.01 } });
+  assert.match(checkPolicy(stricter, split({ endpoint: '/api/search/web', serviceId: 'search-pro', price: 0.02 })).violations[0].message, /0\.01 USDC cap for search-pro/);
+});
+
+test('Policy - Should load policy.json and fail closed when it is malformed', () => {
+  assert.strictEqual(loadPolicy(), null);
+
+  fs.writeFileSync(getPolicyPath(), JSON.stringify({ allowedRecipients: [PROVIDER] }));
+  assert.ok(loadPolicy().allowedRecipients.has(PROVIDER));
+
+  fs.writeFileSync(getPolicyPath(), '{ not json');
+  assert.throws(() => loadPolicy(), /Could not parse/);
+
+  fs.writeFileSync(getPolicyPath(), JSON.stringify({ allowedRecipients: ['0x123'] }));
+  assert.throws(() => loadPolicy(), /Invalid address in "allowedRecipients"/);
+
+  assert.throws(() => parsePolicy({ priceCaps: { '/api/a': -1 } }), /Invalid price cap/);
+  assert.throws(() => parsePolicy({ allowedEndpoints: '/api/a' }), /must be an array/);
+  fs.rmSync(getPolicyPath());
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import QRCode from 'qrcode';
+import { usdcPaymentUri, renderQr } from '../src/utils/qr.js';
+import { getChain } from '../src/lib/chains.js';
+
+const ADDRESS = '0x2e988A386a799F506693793c6A5AF6B54dfAaBfB';
+
+test('QR - Should encode an EIP-681 USDC transfer with chain ID', () => {
+  assert.strictEqual(
+    usdcPaymentUri(getChain('base'), ADDRESS),
+    `ethereum:0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913@8453/transfer?address=${ADDRESS}`,
+  );
+  assert.strictEqual(
+    usdcPaymentUri(getChain('polygon'), ADDRESS, 5_000_000n),
+    `ethereum:${getChain('polygon').usdc}@137/transfer?address=${ADDRESS}&uint256=5000000`,
+  );
+});
+
+test('QR - Should render two modules per line with a quiet zone', () => {
+  const uri = usdcPaymentUri(getChain('base'), ADDRESS);
+  const size = QRCode.create(uri, { errorCorrectionLevel: 'M' }).modules.size;
+  const lines = renderQr(uri, { color: false, indent: '' }).split('\n');
+
+  assert.strictEqual(lines.length, Math.ceil((size + 4) / 2));
+  for (const line of lines) assert.strictEqual([...line].length, size + 4);
+  assert.strictEqual(lines[0].trim(), '', 'Top quiet zone is blank');
+  // First QR rows: the top edge of the finder pattern over its hollow second row
+  assert.ok(lines[1].startsWith('  █▀▀▀▀▀█'), lines[1]);
+});
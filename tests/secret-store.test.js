@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { storeSecret, resolveSecretRef } from '../src/lib/secret-store.js';
+import { generateMcpConfig } from '../src/generators/mcp-config.js';
+import { generateEnvContent } from '../src/generators/env-file.js';
+import { generateLauncherContent, LAUNCHER_FILE, SECRET_STORE_FILE } from '../src/generators/launcher.js';
+
+const KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-secrets-'));
+
+test('Secret store - Should round-trip a secret through the obfuscated file backend', () => {
+  const dir = path.join(tmp, 'secrets');
+  const ref = storeSecret('agent-key', KEY, { backend: 'file', dir });
+
+  assert.strictEqual(ref, `file:${path.join(dir, 'agent-key.json')}`);
+  assert.ok(!fs.readFileSync(path.join(dir, 'agent-key.json'), 'utf-8').includes(KEY.slice(2)), 'Key is not stored in clear');
+  assert.strictEqual(resolveSecretRef(ref), KEY);
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(path.join(dir, '.master-key')).mode & 0o777, 0o600);
+  }
+
+  fs.writeFileSync(path.join(dir, '.master-key'), 'ab'.repeat(32));
+  assert.throws(() => resolveSecretRef(ref), /Cannot decrypt/);
+});
+
+test('Secret store - Should reject malformed references and names', () => {
+  assert.throws(() => resolveSecretRef('AGENT_PRIVATE_KEY'), /Invalid secret reference/);
+  assert.throws(() => resolveSecretRef('file:/nonexistent/agent-key.json'), /Cannot read secret file/);
+  assert.throws(() => storeSecret('../escape', KEY, { backend: 'file', dir: tmp }), /Invalid secret name/);
+  assert.throws(() => storeSecret('agent-key', KEY, { backend: 'vault', dir: tmp }), /Unknown secret backend/);
+});
+
+test('Secret store - Should store and look up keychain secrets with secret-tool', { skip: process.platform === 'win32' }, () => {
+  // Stand-in for libsecret's secret-tool: keeps entries in a JSON file
+  const bin = path.join(tmp, 'bin');
+  const db = path.join(tmp, 'keyring.json');
+  fs.mkdirSync(bin, { recursive: true });
+  fs.writeFileSync(path.join(bin, 'secret-tool'), `#!${process.execPath}
+const fs = require('fs');
+const db = ${JSON.stringify(db)};
+const data = fs.existsSync(db) ? JSON.parse(fs.readFileSync(db, 'utf-8')) : {};
+const [cmd, ...rest] = process.argv.slice(2);
+const attrs = rest.filter(a => !a.startsWith('--')).join('/');
+if (cmd === 'store') { data[attrs] = fs.readFileSync(0, 'utf-8'); fs.writeFileSync(db, JSON.stringify(data)); }
+else if (cmd === 'lookup') { if (!(attrs in data)) process.exit(1); process.stdout.write(data[attrs]); }
+`, { mode: 0o755 });
+
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${originalPath}`;
+  try {
+    const ref = storeSecret('agent-key', KEY, { backend: 'keychain' });
+    assert.strictEqual(ref, 'keychain:agent-key');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(db, 'utf-8')), { 'service/x402-bazaar/account/agent-key': KEY });
+    assert.strictEqual(resolveSecretRef(ref), KEY);
+    assert.throws(() => resolveSecretRef('keychain:other'), /secret-tool exited with code 1/);
+  } finally {
+    process.env.PATH = originalPath;
+  }
+});
+
+test('Secret store - Generated config should hold only the reference and start the launcher', () => {
+  const ref = 'keychain:agent-key';
+  const config = generateMcpConfig({ environment: 'claude-desktop', installDir: '/opt/x402', agentPrivateKey: KEY, agentKeyRef: ref });
+  const server = config.mcpServers['x402-bazaar'];
+
+  assert.deepStrictEqual(server.args, [path.join('/opt/x402', LAUNCHER_FILE)]);
+  assert.strictEqual(server.env.AGENT_PRIVATE_KEY_REF, ref);
+  assert.ok(!JSON.stringify(config).includes(KEY), 'Key must not be inlined');
+
+  const env = generateEnvContent({ agentPrivateKey: KEY, agentKeyRef: ref });
+  assert.match(env, /^AGENT_PRIVATE_KEY_REF=keychain:agent-key$/m);
+  assert.ok(!env.includes(KEY));
+
+  const legacy = generateMcpConfig({ environment: 'cursor', installDir: '/opt/x402', agentPrivateKey: KEY });
+  assert.strictEqual(legacy.mcpServers['x402-bazaar'].env.AGENT_PRIVATE_KEY, KEY);
+  assert.deepStrictEqual(legacy.mcpServers['x402-bazaar'].args, [path.join('/opt/x402', 'mcp-server.mjs')]);
+});
+
+test('Secret store - Launcher should resolve the key before loading mcp-server.mjs', () => {
+  const installDir = path.join(tmp, 'install');
+  fs.mkdirSync(installDir, { recursive: true });
+  fs.writeFileSync(path.join(installDir, 'package.json'), JSON.stringify({ type: 'commonjs' }));
+  fs.writeFileSync(path.join(installDir, LAUNCHER_FILE), generateLauncherContent());
+  fs.copyFileSync(new URL('../src/lib/secret-store.js', import.meta.url), path.join(installDir, SECRET_STORE_FILE));
+  fs.writeFileSync(path.join(installDir, 'mcp-server.mjs'), 'process.stdout.write(process.env.AGENT_PRIVATE_KEY);\n');
+
+  const ref = storeSecret('launcher-key', KEY, { backend: 'file', dir: path.join(tmp, 'secrets') });
+  const env = { ...process.env, AGENT_PRIVATE_KEY_REF: ref };
+  delete env.AGENT_PRIVATE_KEY;
+  const out = execFileSync(process.execPath, [path.join(installDir, LAUNCHER_FILE)], { env, encoding: 'utf-8', timeout: 20000 });
+  assert.strictEqual(out, KEY);
+
+  assert.throws(
+    () => execFileSync(process.execPath, [path.join(installDir, LAUNCHER_FILE)], {
+      env: { ...env, AGENT_PRIVATE_KEY_REF: 'file:/nonexistent.json' },
+      stdio: 'pipe',
+      timeout: 20000,
+    }),
+    (err) => err.status === 1 && err.stdout.length === 0 && /Could not load the agent key/.test(err.stderr),
+  );
+});
+
+test('Secret store - env-file mode should leave every setting out of the client config', () => {
+  const config = generateMcpConfig({
+    environment: 'claude-code',
+    installDir: '/opt/x402',
+    network: 'polygon',
+    agentPrivateKey: KEY,
+    coinbaseApiKey: 'cb-key',
+    envFile: true,
+  });
+  const server = config.mcpServers['x402-bazaar'];
+  assert.deepStrictEqual(server, { command: 'node', args: [path.join('/opt/x402', LAUNCHER_FILE)] });
+
+  const readOnly = generateMcpConfig({ environment: 'cursor', installDir: '/opt/x402', readOnly: true, envFile: true });
+  assert.deepStrictEqual(readOnly.mcpServers['x402-bazaar'].args, [path.join('/opt/x402', 'mcp-server.mjs')], 'No .env is written in read-only mode');
+  assert.ok(readOnly.mcpServers['x402-bazaar'].env.X402_SERVER_URL);
+});
+
+test('Secret store - Launcher should load the sibling .env without overriding the client env', () => {
+  const installDir = path.join(tmp, 'install-env');
+  fs.mkdirSync(installDir, { recursive: true });
+  fs.writeFileSync(path.join(installDir, LAUNCHER_FILE), generateLauncherContent());
+  fs.copyFileSync(new URL('../src/lib/secret-store.js', import.meta.url), path.join(installDir, SECRET_STORE_FILE));
+  fs.writeFileSync(path.join(installDir, 'mcp-server.mjs'),
+    'process.stdout.write(JSON.stringify([process.env.AGENT_PRIVATE_KEY, process.env.NETWORK, process.env.MAX_BUDGET_USDC]));\n');
+  fs.writeFileSync(path.join(installDir, '.env'), generateEnvContent({ network: 'polygon', maxBudget: '2.50', agentPrivateKey: KEY }));
+
+  const env = { ...process.env, MAX_BUDGET_USDC: '9.00' };
+  for (const name of ['AGENT_PRIVATE_KEY', 'AGENT_PRIVATE_KEY_REF', 'NETWORK']) delete env[name];
+  const out = execFileSync(process.execPath, [path.join(installDir, LAUNCHER_FILE)], {
+    env,
+    cwd: tmp,
+    encoding: 'utf-8',
+    timeout: 20000,
+  });
+  assert.deepStrictEqual(JSON.parse(out), [KEY, 'polygon', '9.00']);
+});
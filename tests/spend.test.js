@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { summarizeSpend, formatSpendCsv, parseDateRange } from '../src/commands/spend.js';
+
+const entries = [
+  { timestamp: new Date(2026, 2, 1, 10).toISOString(), endpoint: '/api/weather', chain: 'skale', mode: 'legacy', amount: 0.005 },
+  { timestamp: new Date(2026, 2, 1, 11).toISOString(), endpoint: '/api/weather', chain: 'skale', mode: 'split', amount: 0.005 },
+  { timestamp: new Date(2026, 2, 2, 9).toISOString(), endpoint: '/api/search', chain: 'polygon', mode: 'facilitator', amount: 0.05 },
+  { timestamp: new Date(2026, 3, 1, 9).toISOString(), endpoint: '/api/search', chain: 'base', mode: 'legacy', amount: 0.05 },
+];
+
+test('Spend - Should summarize by day, endpoint, chain and mode', () => {
+  const summary = summarizeSpend(entries);
+
+  assert.strictEqual(summary.count, 4);
+  assert.strictEqual(summary.total, 0.11);
+  assert.deepStrictEqual(summary.byDay.map(r => r.key), ['2026-03-01', '2026-03-02', '2026-04-01']);
+  assert.deepStrictEqual(summary.byEndpoint[0], { key: '/api/search', payments: 2, usdc: 0.1 });
+  assert.deepStrictEqual(summary.byChain.find(r => r.key === 'skale'), { key: 'skale', payments: 2, usdc: 0.01 });
+  assert.deepStrictEqual(summary.byMode.map(r => r.key).sort(), ['facilitator', 'legacy', 'split']);
+});
+
+test('Spend - --month should restrict to one calendar month', () => {
+  const summary = summarizeSpend(entries, parseDateRange({ month: '2026-03' }));
+  assert.strictEqual(summary.count, 3);
+  assert.strictEqual(summary.total, 0.06);
+});
+
+test('Spend - --since / --until should be inclusive local days', () => {
+  const range = parseDateRange({ since: '2026-03-02', until: '2026-04-01' });
+  assert.strictEqual(summarizeSpend(entries, range).count, 2);
+
+  const now = new Date(2026, 2, 2, 18).getTime();
+  assert.strictEqual(summarizeSpend(entries, parseDateRange({ since: '1d', until: '2026-03-02' }, now)).count, 1, '1d = today only');
+});
+
+test('Spend - Should reject malformed dates', () => {
+  assert.throws(() => parseDateRange({ since: 'yesterday' }), /Invalid --since/);
+  assert.throws(() => parseDateRange({ month: '2026-3' }), /Invalid --month/);
+});
+
+test('Spend - CSV should have one row per dimension key plus a total', () => {
+  const csv = formatSpendCsv(summarizeSpend(entries));
+  const lines = csv.trim().split('\n');
+  assert.strictEqual(lines[0], 'dimension,key,payments,usdc');
+  assert.ok(lines.includes('chain,polygon,1,0.050000'));
+  assert.strictEqual(lines[lines.length - 1], 'total,all,4,0.110000');
+});
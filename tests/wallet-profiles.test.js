@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_WALLET,
+  getActiveWalletName,
+  setActiveWallet,
+  validateWalletName,
+  listWallets,
+  getWalletPath,
+  writeWalletFile,
+} from '../src/lib/wallet-store.js';
+
+// Isolate the wallet directory for every test in this file
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-profiles-'));
+process.env.X402_HOME = tmpHome;
+
+const ADDRESS = '0x2e988A386a799F506693793c6A5AF6B54dfAaBfB';
+const PRIVATE_KEY = '0x1234567890123456789012345678901234567890123456789012345678901234';
+
+test('WalletProfiles - Default profile is the legacy wallet.json', () => {
+  assert.strictEqual(getActiveWalletName(), DEFAULT_WALLET);
+  assert.strictEqual(getWalletPath(), path.join(tmpHome, 'wallet.json'));
+  assert.strictEqual(getWalletPath('prod'), path.join(tmpHome, 'wallets', 'prod.json'));
+});
+
+test('WalletProfiles - Should reject unsafe profile names', () => {
+  assert.strictEqual(validateWalletName(' customer-42 '), 'customer-42');
+  for (const bad of ['', '../wallet', 'a/b', 'has space', '-leading', 'x'.repeat(33)]) {
+    assert.throws(() => validateWalletName(bad), /Invalid wallet name/, `"${bad}" should be rejected`);
+  }
+});
+
+test('WalletProfiles - Should list profiles and switch the active one', () => {
+  assert.deepStrictEqual(listWallets(), []);
+  assert.throws(() => setActiveWallet('prod'), /No wallet named "prod"/);
+
+  writeWalletFile({ address: ADDRESS, privateKey: PRIVATE_KEY }, getWalletPath(DEFAULT_WALLET));
+  writeWalletFile({ address: ADDRESS, privateKey: PRIVATE_KEY, network: 'skale' }, getWalletPath('prod'));
+
+  let wallets = listWallets();
+  assert.deepStrictEqual(wallets.map(w => w.name), ['default', 'prod']);
+  assert.strictEqual(wallets[0].active, true);
+  assert.strictEqual(wallets[1].network, 'skale');
+  assert.strictEqual(wallets[1].encrypted, false);
+
+  setActiveWallet('prod');
+  assert.strictEqual(getActiveWalletName(), 'prod');
+  assert.strictEqual(getWalletPath(), path.join(tmpHome, 'wallets', 'prod.json'));
+  wallets = listWallets();
+  assert.deepStrictEqual(wallets.filter(w => w.active).map(w => w.name), ['prod']);
+});
+
+test('WalletProfiles - Unreadable wallet files are listed with an error', () => {
+  fs.writeFileSync(getWalletPath('broken'), '{not json');
+  const broken = listWallets().find(w => w.name === 'broken');
+  assert.ok(broken, 'broken profile should still be listed');
+  assert.match(broken.error, /Invalid wallet file/);
+});
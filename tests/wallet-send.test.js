@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseUsdcAmount, resolveRecipient } from '../src/commands/wallet-send.js';
+import { getWalletPath, writeWalletFile } from '../src/lib/wallet-store.js';
+
+// Isolate the wallet directory for every test in this file
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-send-'));
+process.env.X402_HOME = tmpHome;
+
+const TREASURY = '0xA986540F0AaDFB5Ba5ceb2b1d81d90DBE479084b';
+
+test('WalletSend - Should parse USDC amounts exactly', () => {
+  assert.strictEqual(parseUsdcAmount('5'), 5_000_000n);
+  assert.strictEqual(parseUsdcAmount('0.000001'), 1n);
+  assert.strictEqual(parseUsdcAmount('12.5'), 12_500_000n);
+  assert.strictEqual(parseUsdcAmount(' 0.1 '), 100_000n);
+});
+
+test('WalletSend - Should reject malformed amounts', () => {
+  for (const bad of ['', 'abc', '-1', '1e3', '0.1234567', '1,5']) {
+    assert.throws(() => parseUsdcAmount(bad), /Invalid --amount/, `"${bad}" should be rejected`);
+  }
+  assert.throws(() => parseUsdcAmount('0.000000'), /greater than 0/);
+});
+
+test('WalletSend - --to accepts an address or a wallet profile name', () => {
+  assert.deepStrictEqual(resolveRecipient(TREASURY), { address: TREASURY, profile: null });
+
+  writeWalletFile({ address: TREASURY, privateKey: '0x' + '1'.repeat(64) }, getWalletPath('treasury'));
+  assert.deepStrictEqual(resolveRecipient('treasury'), { address: TREASURY, profile: 'treasury' });
+
+  assert.throws(() => resolveRecipient('nobody'), /address or a wallet name/);
+  assert.throws(() => resolveRecipient('0x1234'), /address or a wallet name/);
+  assert.throws(() => resolveRecipient(''), /Missing --to/);
+});
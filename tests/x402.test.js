@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { verifyTypedData } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import {
+  parsePaymentRequirements,
+  chainForNetwork,
+  selectPaymentRequirement,
+  authorizationWindow,
+  requirementDomain,
+  createExactPayment,
+  encodePaymentHeader,
+  decodePaymentResponse,
+} from '../src/lib/x402.js';
+import { getChain } from '../src/lib/chains.js';
+import { constructUrl } from '../src/commands/call.js';
+
+const PAY_TO = '0x3333333333333333333333333333333333333333';
+const KEY = '0x' + '11'.repeat(32);
+
+function requirement(overrides = {}) {
+  const base = getChain('base');
+  return {
+    scheme: 'exact',
+    network: 'base',
+    maxAmountRequired: '10000',
+    resource: 'https://api.example.com/weather',
+    payTo: PAY_TO,
+    asset: base.usdc,
+    maxTimeoutSeconds: 120,
+    extra: { name: 'USD Coin', version: '2' },
+    ...overrides,
+  };
+}
+
+test('x402 - Should read payment requirements only from standard 402 bodies', () => {
+  assert.strictEqual(parsePaymentRequirements(null), null);
+  assert.strictEqual(parsePaymentRequirements({ payment_details: { amount: 0.01 } }), null);
+  assert.strictEqual(parsePaymentRequirements({ accepts: [] }), null);
+  assert.deepStrictEqual(parsePaymentRequirements({ x402Version: 1, accepts: [requirement(), null] }), [requirement()]);
+});
+
+test('x402 - Should map x402 and CAIP-2 network names to registry chains', () => {
+  assert.strictEqual(chainForNetwork('base').key, 'base');
+  assert.strictEqual(chainForNetwork('base-sepolia').key, 'base-sepolia');
+  assert.strictEqual(chainForNetwork('eip155:137').key, 'polygon');
+  assert.strictEqual(chainForNetwork('solana'), null);
+});
+
+test('x402 - Should pick the first payable requirement in server order', () => {
+  const polygon = getChain('polygon');
+  const accepts = [
+    requirement({ scheme: 'upto' }),
+    requirement({ network: 'solana' }),
+    requirement({ network: 'polygon', asset: polygon.usdc }),
+    requirement(),
+  ];
+  const { requirement: picked, chain } = selectPaymentRequirement(accepts);
+  assert.strictEqual(chain.key, 'polygon');
+  assert.strictEqual(picked.asset, polygon.usdc);
+
+  assert.strictEqual(selectPaymentRequirement(accepts, { allowed: ['base'] }).chain.key, 'base');
+});
+
+test('x402 - Should explain why no requirement can be paid', () => {
+  const accepts = [
+    requirement({ asset: '0x4444444444444444444444444444444444444444' }),
+    requirement({ network: 'polygon' }),
+  ];
+  assert.throws(() => selectPaymentRequirement(accepts, { testnet: true }), /mainnet/);
+  assert.throws(() => selectPaymentRequirement(accepts), (err) => {
+    assert.match(err.message, /exact on base: asset 0x4444.* is not USDC/);
+    assert.match(err.message, /exact on polygon: asset .* is not USDC/);
+    return true;
+  });
+  assert.throws(() => selectPaymentRequirement([requirement({ payTo: 'nope' })]), /malformed/);
+});
+
+test('x402 - Should use the server timeout and token domain', () => {
+  assert.deepStrictEqual(authorizationWindow(requirement(), 1000), { validAfter: 400, validBefore: 1120 });
+  assert.deepStrictEqual(authorizationWindow(requirement({ maxTimeoutSeconds: 0 }), 1000), { validAfter: 400, validBefore: 1060 });
+  assert.deepStrictEqual(
+    authorizationWindow(requirement({ maxTimeoutSeconds: 10 * 365 * 86400 }), 1000),
+    { validAfter: 400, validBefore: 1300 },
+    'A hostile server cannot get a long-lived authorization'
+  );
+
+  const base = getChain('base');
+  assert.deepStrictEqual(requirementDomain(requirement({ extra: { name: 'USDC', version: '2' } }), base), {
+    name: 'USDC',
+    version: '2',
+    chainId: base.chainId,
+    verifyingContract: base.usdc,
+  });
+});
+
+test('x402 - Should sign an exact payment the payTo can verify', async () => {
+  const base = getChain('base');
+  const req = requirement();
+  const payment = await createExactPayment(KEY, req, base);
+
+  assert.strictEqual(payment.x402Version, 1);
+  assert.strictEqual(payment.scheme, 'exact');
+  assert.strictEqual(payment.network, 'base');
+
+  const { signature, authorization } = payment.payload;
+  const from = privateKeyToAccount(KEY).address;
+  assert.strictEqual(authorization.from, from);
+  assert.strictEqual(authorization.to, PAY_TO);
+  assert.strictEqual(authorization.value, '10000');
+  assert.match(authorization.nonce, /^0x[0-9a-f]{64}$/);
+  assert.strictEqual(Number(authorization.validBefore) - Number(authorization.validAfter), 720);
+
+  const valid = await verifyTypedData({
+    address: from,
+    domain: requirementDomain(req, base),
+    types: {
+      TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' },
+      ],
+    },
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      from,
+      to: PAY_TO,
+      value: 10000n,
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+      nonce: authorization.nonce,
+    },
+    signature,
+  });
+  assert.ok(valid, 'Signature should recover to the paying address');
+});
+
+test('x402 - Should round-trip X-PAYMENT and decode X-PAYMENT-RESPONSE', () => {
+  const payload = { x402Version: 1, scheme: 'exact', network: 'base', payload: { signature: '0xabc' } };
+  const header = encodePaymentHeader(payload);
+  assert.deepStrictEqual(JSON.parse(Buffer.from(header, 'base64').toString('utf-8')), payload);
+
+  const settlement = { success: true, transaction: '0x' + 'ab'.repeat(32), network: 'base', payer: PAY_TO };
+  assert.deepStrictEqual(decodePaymentResponse(Buffer.from(JSON.stringify(settlement)).toString('base64')), settlement);
+  assert.strictEqual(decodePaymentResponse(null), null);
+  assert.strictEqual(decodePaymentResponse('not json'), null);
+});
+
+test('x402 - Should call full third-party URLs as is', () => {
+  assert.strictEqual(
+    constructUrl('https://x402-api.onrender.com', 'https://api.example.com/weather?units=metric', { city: 'Paris' }),
+    'https://api.example.com/weather?units=metric&city=Paris',
+  );
+});